@@ -1,3 +1,4 @@
+/*global Promise*/
 'use strict';
 
 // fs must be declared separately, else browserify gets sad w/brfs transform
@@ -7,6 +8,27 @@ var path = require('path'),
     concat = require('concat-stream'),
     extend = require('extend'),
     FormData = require('./lib/form-data'),
+    errors = require('./lib/errors'),
+    Spool = require('./lib/spool'),
+    ListStream = require('./lib/list-stream'),
+    Session = require('./lib/session'),
+    RateLimiter = require('./lib/rate-limiter'),
+    Watcher = require('./lib/watcher'),
+    BulkUpload = require('./lib/bulk-upload'),
+    BulkDelete = require('./lib/bulk-delete'),
+    saveResponse = require('./lib/download'),
+    createWebhookHandler = require('./lib/webhook'),
+    createSessionProxy = require('./lib/session-proxy'),
+    createRetentionPolicy = require('./lib/retention-policy'),
+    createFakeServer = require('./lib/fake-server'),
+    validate = require('./lib/validate'),
+    hooks = require('./lib/plugins'),
+    createLogger = require('./lib/logger'),
+    Metrics = require('./lib/metrics'),
+    ResponseCache = require('./lib/cache'),
+    ClientPool = require('./lib/pool'),
+    createAgents = require('./lib/agents'),
+    Cassette = require('./lib/cassette'),
     hyperquest = require('hyperquest'),
     PassThrough = require('stream').PassThrough,
     querystring = require('querystring');
@@ -16,7 +38,27 @@ var VERSION = require('./package').version,
     API_BASE = 'https://view-api.box.com/1/',
     DOCUMENTS_UPLOAD_URL = UPLOAD_BASE + 'documents',
     DOCUMENTS_URL = API_BASE + 'documents',
-    SESSIONS_URL = API_BASE + 'sessions';
+    SESSIONS_URL = API_BASE + 'sessions',
+    MAX_TIMER_DELAY = 2147483647,
+    DEFAULT_DOWNLOAD_TIMEOUT = 5 * 60 * 1000;
+
+var DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: true,
+    statusCodes: errors.RETRYABLE_STATUS_CODES,
+    errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+    retryAfter: true,
+    retryNonIdempotent: false,
+    onRetry: null
+};
+
+// methods whose requests may have had an effect even if they failed, so retrying them
+// could, e.g., upload a document twice
+var NON_IDEMPOTENT_METHODS = ['POST'],
+    // errors that happen before the request is sent, so it can always be retried
+    CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
 
 /**
  * Return a RFC3339-formatted date string
@@ -51,14 +93,17 @@ function parseJSONBody(body) {
 
 /**
  * Try to figure out the filename for the given file
- * @param   {Stream} file The file stream
+ * @param   {String|Stream} file The file path or stream
  * @returns {string}      The guessed filename
  */
 function determineFilename(file) {
     var filename,
         filenameMatch;
 
-    if (file.hasOwnProperty('httpVersion')) {
+    if (typeof file === 'string') {
+        // it's a file path
+        filename = path.basename(file);
+    } else if (file.hasOwnProperty('httpVersion')) {
         // it's an http response
         // first let's check if there's a content-disposition header...
         if (file.headers['content-disposition']) {
@@ -91,41 +136,228 @@ function request(uri, opt, callback) {
     return hyperquest(uri, opt, callback);
 }
 
+/**
+ * Release a request's rate limiter slot once the request is complete (or fails, or is
+ * aborted); a 429 response pauses the limiter for the Retry-After delay (or 1 second)
+ * @param   {HTTPRequest} r       The request object
+ * @param   {RateLimiter} limiter The rate limiter
+ * @param   {Function}    done    Function to call when the request is complete (see RateLimiter#schedule)
+ * @returns {void}
+ */
+function releaseLimiter(r, limiter, done) {
+    r.on('request', function (request) {
+        request.on('close', done);
+    });
+    r.on('response', function (response) {
+        var retryAfter;
+
+        if (response.statusCode === 429) {
+            retryAfter = response.headers['retry-after'] ? parseRetryAfter(response.headers['retry-after']) : NaN;
+            limiter.pause(isNaN(retryAfter) ? 1000 : retryAfter);
+        }
+        response.on('end', done);
+        response.on('close', done);
+    });
+    r.on('error', done);
+    // aborted, possibly before it was sent
+    r.on('close', done);
+}
+
 /**
  * Create and return a request method that has the given defaults baked in
- * @param   {object} options The default options
- * @returns {Function}       The new request method
+ * @param   {object}   options       The default options
+ * @param   {Function} [getAgent]    Function to call with the uri of each request, which returns the agent to send it with
+ * @returns {Function}               The new request method
  */
-request.defaults = function (options) {
+request.defaults = function (options, getAgent) {
     return function (uri, opt, callback) {
         if (typeof opt === 'function') {
             callback = opt;
             opt = {};
         }
         opt = extend(true, {}, options, opt);
+        if (getAgent && !opt.agent) {
+            opt.agent = getAgent(uri);
+        }
         return request(uri, opt, callback);
     };
 };
 
+/**
+ * Create a typed error object (see lib/errors.js) for a failed request
+ * @param   {Object}   body      The parsed response body
+ * @param   {Response} response  The HTTP response object
+ * @param   {Object}   [request] The request (with method and uri), if known
+ * @returns {BoxViewError}       The error object
+ */
+function createError(body, response, request) {
+    var retryAfter = response.headers['retry-after'] ? parseRetryAfter(response.headers['retry-after']) : NaN;
+
+    return errors.createError((body && body.message) || statusText(response.statusCode), {
+        statusCode: response.statusCode,
+        body: body,
+        method: request && request.method,
+        url: request && request.uri,
+        response: response,
+        retryAfter: isNaN(retryAfter) ? null : Math.ceil(retryAfter / 1000)
+    });
+}
+
 /**
  * Create an error object from the response and call the callback function
- * @param   {Object}   body     The parsed response body (or null if not yet parsed)
- * @param   {Response} response The HTTP response object
- * @param   {Function} callback Function to call with the resulting error object
+ * @param   {Object}   body      The parsed response body (or null if not yet parsed)
+ * @param   {Response} response  The HTTP response object
+ * @param   {Object}   [request] The request (with method and uri), if known
+ * @param   {Function} callback  Function to call with the resulting error object
  * @returns {void}
  */
-function handleError(body, response, callback) {
-    var error;
+function handleError(body, response, request, callback) {
     if (!body) {
         response.pipe(concat(function (body) {
             body = parseJSONBody(body);
-            error = body.message || statusText(response.statusCode);
-            callback(new Error(error), body, response);
+            callback(createError(body, response, request), body, response);
         }));
     } else {
-        error = body.message || statusText(response.statusCode);
-        callback(new Error(error), body, response);
+        callback(createError(body, response, request), body, response);
+    }
+}
+
+/**
+ * Parse the value of a Retry-After header (either delay-seconds or an HTTP-date)
+ * @param   {string} retryAfter The header value
+ * @returns {int}               The delay in milliseconds, or NaN if the value cannot be parsed
+ */
+function parseRetryAfter(retryAfter) {
+    if (/^\s*\d+\s*$/.test(retryAfter)) {
+        return parseInt(retryAfter, 10) * 1000;
     }
+    return Math.max(0, Date.parse(retryAfter) - Date.now());
+}
+
+/**
+ * Determine whether a response means the resource is not ready yet: the server accepted
+ * the request, and asked for it to be made again later
+ * @param   {Error}        [error]    The request error (if any)
+ * @param   {HTTPResponse} [response] The response object (if any)
+ * @returns {Boolean}                 Whether the resource is pending
+ */
+function isPending(error, response) {
+    return !error && response.statusCode < 300 && !!response.headers['retry-after'];
+}
+
+/**
+ * Determine whether a request should be retried according to the given retry policy
+ *
+ * Requests with non-idempotent methods (e.g., uploads) are only retried if they were
+ * not processed: after a 429 response, a connection error, or a response that asks for
+ * the request to be made again later (e.g., a 202 from sessions.create for a document that
+ * is not ready), unless the policy's `retryNonIdempotent` option is set.
+ *
+ * @param   {Object}       policy     The retry policy
+ * @param   {string}       method     The request method
+ * @param   {Error}        [error]    The request error (if any)
+ * @param   {HTTPResponse} [response] The response object (if any)
+ * @returns {Boolean}                 Whether the request is retryable
+ */
+function isRetryable(policy, method, error, response) {
+    var safe = policy.retryNonIdempotent || NON_IDEMPOTENT_METHODS.indexOf(method) === -1;
+
+    if (error) {
+        return policy.errorCodes.indexOf(error.code) > -1 && (safe || CONNECTION_ERROR_CODES.indexOf(error.code) > -1);
+    }
+    if (response.statusCode < 300) {
+        return isPending(error, response);
+    }
+    return policy.statusCodes.indexOf(response.statusCode) > -1 && (safe || response.statusCode === 429);
+}
+
+/**
+ * Check whether a retry option sets the maximum number of attempts
+ * @param   {boolean|Object} retry The retry option
+ * @returns {Boolean}              Whether it sets maxAttempts
+ */
+function hasMaxAttempts(retry) {
+    return !!retry && typeof retry === 'object' && typeof retry.maxAttempts !== 'undefined';
+}
+
+/**
+ * Compute the delay before the next attempt of a request
+ * @param   {Object}       policy     The retry policy
+ * @param   {int}          attempt    The number of attempts made so far
+ * @param   {HTTPResponse} [response] The response object (if any)
+ * @returns {int}                     The delay in milliseconds
+ */
+function getRetryDelay(policy, attempt, response) {
+    var retryAfter = response && response.headers['retry-after'],
+        delay;
+
+    if (policy.retryAfter && retryAfter) {
+        delay = parseRetryAfter(retryAfter);
+        if (!isNaN(delay)) {
+            return delay;
+        }
+    }
+
+    delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    if (policy.jitter) {
+        delay = Math.round(Math.random() * delay);
+    }
+    return delay;
+}
+
+/**
+ * Return a retry function for a single API call, which schedules another attempt
+ * of the request if the given retry policy allows it
+ * @param   {Object}   policy  The retry policy (or null to disable retries)
+ * @param   {Function} retryFn Function to call to make another attempt
+ * @param   {Object}   call    The call (see createCall), which schedules the attempt
+ * @returns {Function}         The retry function (or null if retries are disabled)
+ */
+function createRetryHandler(policy, retryFn, call) {
+    var attempt = 1,
+        failedAttempts = 1;
+
+    if (!policy) {
+        return null;
+    }
+
+    /**
+     * Retry the request if the policy allows it
+     * @param   {Error}        [error]    The request error (if any)
+     * @param   {HTTPResponse} [response] The response object (if any)
+     * @returns {Boolean}                 Whether another attempt was scheduled
+     */
+    return function (error, response) {
+        var pending = isPending(error, response),
+            delay;
+
+        if (call.finished || !isRetryable(policy, call.method, error, response)) {
+            return false;
+        }
+        // pending resources are polled until they are ready (see getRetryPolicy), and
+        // failed attempts are limited separately
+        if (pending ? attempt >= policy.maxPendingAttempts : failedAttempts >= policy.maxAttempts) {
+            return false;
+        }
+
+        delay = getRetryDelay(policy, attempt, response);
+        attempt++;
+        if (!pending) {
+            failedAttempts++;
+        }
+
+        if (typeof policy.onRetry === 'function') {
+            policy.onRetry({
+                attempt: attempt,
+                delay: delay,
+                error: error || null,
+                response: response || null
+            });
+        }
+
+        call.schedule(retryFn, delay);
+        return true;
+    };
 }
 
 /**
@@ -133,10 +365,12 @@ function handleError(body, response, callback) {
  * @param   {Function} callback      The callback method to call
  * @param   {Array}    okStatusCodes (optional) HTTP status codes to use as OK (default: [200])
  * @param   {Boolean}  noBuffer      (optional) If true, the response will not be buffered and JSON parsed (unless error), default: false
- * @param   {Function} retryFn       (optional) If defined, function to call when receiving a Retry-After header
+ * @param   {Function} retryFn       (optional) If defined, retry function (see createRetryHandler) to call when a request fails or a Retry-After header is received
  * @returns {Function}               The response handler
  */
 function createResponseHandler(callback, okStatusCodes, noBuffer, retryFn) {
+    var request;
+
     if (typeof callback !== 'function') {
         callback = function () {};
     }
@@ -154,18 +388,13 @@ function createResponseHandler(callback, okStatusCodes, noBuffer, retryFn) {
     okStatusCodes = okStatusCodes || [200];
 
     /**
-     * Retry the request if a retry function and retry-after headers are present
-     * @param   {HTTPResponse} response The response object
-     * @returns {void}
+     * Retry the request if a retry function is present and allows it
+     * @param   {Error}        [error]    The request error (if any)
+     * @param   {HTTPResponse} [response] The response object (if any)
+     * @returns {Boolean}                 Whether the request will be retried
      */
-    function retry(response) {
-        var retryAfter = response.headers['retry-after'];
-        if (typeof retryFn === 'function' && retryAfter) {
-            retryAfter = parseInt(retryAfter, 10);
-            setTimeout(retryFn, retryAfter * 1000);
-            return true;
-        }
-        return false;
+    function retry(error, response) {
+        return typeof retryFn === 'function' && retryFn(error, response);
     }
 
     function handleResponse(response, body) {
@@ -180,7 +409,7 @@ function createResponseHandler(callback, okStatusCodes, noBuffer, retryFn) {
         }
 
         if (okStatusCodes.indexOf(response.statusCode) > -1) {
-            if (!retry(response)) {
+            if (!retry(null, response)) {
                 if (noBuffer) {
                     callback(null, response);
                 } else {
@@ -188,39 +417,780 @@ function createResponseHandler(callback, okStatusCodes, noBuffer, retryFn) {
                 }
             }
         } else {
-            if (response.statusCode === 429) {
-                if (retry(response)) {
-                    return;
-                }
+            if (retry(null, response)) {
+                return;
             }
 
-            handleError(body, response, callback);
+            handleError(body, response, request, callback);
         }
     }
 
+    // hyperquest calls the handler with the request object as `this`
     return function (error, response) {
+        request = this && this.request;
         if (error) {
-            callback(error, response);
+            if (!retry(error)) {
+                callback(error, response);
+            }
         } else {
             handleResponse(response);
         }
     };
 }
 
+/**
+ * Buffer a response stream until it is read, since a promise resolves only after the
+ * response has already started flowing to the request object
+ * @param   {*} value The value to resolve a promise with
+ * @returns {*}       A buffered copy of the response stream (with its status code and headers), or the value
+ */
+function bufferStream(value) {
+    var stream;
+
+    if (!value || typeof value.pipe !== 'function' || !value.headers) {
+        return value;
+    }
+
+    stream = new PassThrough();
+    stream.statusCode = value.statusCode;
+    stream.headers = value.headers;
+    stream.response = value;
+    value.on('error', function (err) {
+        stream.emit('error', err);
+    });
+    value.pipe(stream);
+    return stream;
+}
+
+/**
+ * Create a stream that counts the bytes passing through it
+ * @param   {Function} onBytes Function to call with the number of bytes so far, for each chunk
+ * @returns {Stream}           The stream
+ */
+function createByteCounter(onBytes) {
+    var stream = new PassThrough(),
+        bytes = 0;
+
+    stream._transform = function (chunk, encoding, callback) {
+        bytes += chunk.length;
+        onBytes(bytes);
+        callback(null, chunk);
+    };
+    return stream;
+}
+
+/**
+ * Report the progress of reading a response stream
+ * @param   {HTTPResponse} response   The response stream
+ * @param   {Function}     onProgress Function to call with `{ bytes, total }` for each chunk (`total` is null if the response has no content-length)
+ * @returns {Stream}                  A copy of the response stream (with its status code and headers)
+ */
+function trackDownload(response, onProgress) {
+    var total = parseInt(response.headers['content-length'], 10),
+        stream;
+
+    stream = createByteCounter(function (bytes) {
+        onProgress({ bytes: bytes, total: isNaN(total) ? null : total });
+    });
+    stream.statusCode = response.statusCode;
+    stream.headers = response.headers;
+    stream.response = response;
+    response.on('error', function (err) {
+        stream.emit('error', err);
+    });
+    response.on('close', function () {
+        if (!response.complete) {
+            stream.destroy();
+        }
+    });
+    response.pipe(stream);
+    return stream;
+}
+
+/**
+ * Return a callback function for an API call that can also be consumed as a promise
+ * (via `then` and `catch`) when the caller did not provide a callback
+ * @param   {Function} [callback] The caller's callback function
+ * @param   {string}   [resolveAs] What to resolve the promise with: 'json' for `{ body, response }` (default),
+ *                                 'value' for the first callback argument (e.g., the response stream), or 'empty' for `{ body: null, response }`
+ * @returns {Function}             The callback function to use
+ */
+function createPromiseCallback(callback, resolveAs) {
+    var result,
+        promise,
+        settle;
+
+    if (typeof callback === 'function' || typeof Promise === 'undefined') {
+        return callback;
+    }
+
+    resolveAs = resolveAs || 'json';
+
+    function promiseCallback() {
+        if (result) {
+            return;
+        }
+        result = arguments;
+        if (promise && resolveAs === 'value') {
+            result = [result[0], bufferStream(result[1])];
+        }
+        if (settle) {
+            settle();
+        }
+    }
+
+    // the promise is created lazily, so ignoring the result of a call that
+    // does not use the promise never results in an unhandled rejection
+    function getPromise() {
+        if (!promise) {
+            promise = new Promise(function (resolve, reject) {
+                settle = function () {
+                    var err = result[0],
+                        body = result[1],
+                        response = result[2];
+                    if (err) {
+                        reject(err);
+                    } else if (resolveAs === 'value') {
+                        resolve(body);
+                    } else if (resolveAs === 'empty') {
+                        resolve({ body: null, response: body });
+                    } else {
+                        resolve({ body: body, response: response });
+                    }
+                };
+                if (result) {
+                    settle();
+                }
+            });
+        }
+        return promise;
+    }
+
+    promiseCallback.then = function (onFulfilled, onRejected) {
+        return getPromise().then(onFulfilled, onRejected);
+    };
+    promiseCallback.catch = function (onRejected) {
+        return getPromise().catch(onRejected);
+    };
+
+    return promiseCallback;
+}
+
+/**
+ * Make the given request object thenable if the callback supports promises
+ * @param   {Request}  r        The request object
+ * @param   {Function} callback The callback returned by createPromiseCallback
+ * @returns {Request}           The request object
+ */
+function thenable(r, callback) {
+    if (callback && typeof callback.then === 'function') {
+        r.then = callback.then;
+        r.catch = callback.catch;
+    }
+    return r;
+}
+
+/**
+ * Create the logging plugin of a client, if logging is turned on by the logger option or
+ * the DEBUG environment variable ('box-view' logs requests, 'box-view:bodies' also logs bodies)
+ * @param   {Object}      options             The client options
+ * @param   {Object}      [options.logger]    The logger
+ * @param   {boolean|int} [options.logBodies] Whether (or how much) to log bodies
+ * @returns {Object}                          The plugin, or null if logging is off
+ */
+function createClientLogger(options) {
+    var debug = typeof process !== 'undefined' && process.env ? process.env.DEBUG : '',
+        debugBodies = createLogger.isEnabled(debug, createLogger.BODIES_NAMESPACE);
+
+    if (!options.logger && !debugBodies && !createLogger.isEnabled(debug, createLogger.NAMESPACE)) {
+        return null;
+    }
+    return createLogger(options.logger || createLogger.createDebugLogger(), {
+        logBodies: typeof options.logBodies === 'undefined' ? debugBodies : options.logBodies
+    });
+}
+
 /**
  * The BoxView client constructor
- * @param {String} key The API token
+ * @param {String}         key                 The API token
+ * @param {Object}         [options]           Client options (any other options are used as request defaults)
+ * @param {boolean|Object} [options.retry]     The default retry policy for all requests (see README for policy options)
+ * @param {int}            [options.timeout]   The default number of milliseconds to wait for each call to complete, including retries (default: no timeout)
+ * @param {Object}         [options.limits]    Rate and concurrency limits for requests (`{ uploads, requests }`, each with `rate`, `burst` and `concurrency`; see lib/rate-limiter.js)
+ * @param {string|boolean} [options.validate]  How to validate request parameters before sending them: 'strict', 'lenient' or false (default: 'lenient')
+ * @param {Array}          [options.plugins]   Plugins to add (see client.use)
+ * @param {Object}         [options.logger]    A pino, bunyan or console-compatible logger to log requests with (default: stderr if DEBUG=box-view is set)
+ * @param {boolean|int}    [options.logBodies] Whether to log request and JSON response bodies, or how many characters of each to log (default: false, unless DEBUG=box-view:bodies is set)
+ * @param {boolean|Object} [options.metrics]   Whether to collect metrics (default: true), or metrics options (see lib/metrics.js)
+ * @param {boolean|Object} [options.cache]     Whether to cache responses (default: false), or cache options (see lib/cache.js)
+ * @param {Object}         [options.agent]     An agent to send every request with, or `{ http, https }` agents (default: a keep-alive agent per protocol)
+ * @param {boolean}        [options.keepAlive] Whether to reuse connections (default: true)
+ * @param {int}            [options.maxSockets] The maximum number of connections per host (default: Infinity)
+ * @param {string|boolean} [options.proxy]     The URL of a proxy to send requests through, or false to not use one (default: the HTTPS_PROXY or HTTP_PROXY environment variable)
+ * @param {string|Array}   [options.noProxy]   Hosts to not use the proxy for (default: the NO_PROXY environment variable)
+ * @param {string|Buffer|Array} [options.ca]   CA certificates to trust (e.g., of a TLS-intercepting proxy)
+ * @param {Object}         [options.cassette]  Record requests to a cassette file, or replay them from it (`{ file, mode }`; see lib/cassette.js)
  * @constructor
  */
 function BoxView(key, options) {
     var client = this,
+        retryOption = options && options.retry,
+        timeoutOption = options && options.timeout,
+        validateOption = options && typeof options.validate !== 'undefined' ? options.validate : 'lenient',
+        calls = [],
+        plugins = [],
+        closed = false,
+        logger,
+        metrics = null,
+        agents = createAgents(options),
         defaults = extend(true, {
             headers: {
                 'authorization': 'token ' + key,
                 'user-agent': 'node-box-view@' + VERSION
             }
         }, options || {}),
-        req = request.defaults(defaults);
+        req;
+
+    delete defaults.retry;
+    delete defaults.limits;
+    delete defaults.validate;
+    delete defaults.plugins;
+    delete defaults.logger;
+    delete defaults.logBodies;
+    delete defaults.metrics;
+    delete defaults.cache;
+    delete defaults.agent;
+    delete defaults.keepAlive;
+    delete defaults.maxSockets;
+    delete defaults.proxy;
+    delete defaults.noProxy;
+    delete defaults.cassette;
+    // hyperquest's default socket timeout is longer than node's maximum timer delay
+    // (which triggers a warning for every request); call timeouts are handled by createCall
+    defaults.timeout = MAX_TIMER_DELAY;
+
+    if (options && options.limits) {
+        this.limiters = {
+            uploads: new RateLimiter(options.limits.uploads),
+            requests: new RateLimiter(options.limits.requests)
+        };
+    } else {
+        this.limiters = null;
+    }
+
+    /**
+     * Get the rate limiter for a request: uploads (of files or by URL) and all other
+     * requests are limited separately
+     * @param   {string} uri    The request uri
+     * @param   {string} method The request method
+     * @returns {RateLimiter}   The rate limiter, or null if requests are not limited
+     */
+    function getLimiter(uri, method) {
+        if (!client.limiters) {
+            return null;
+        }
+        if (method === 'POST' && (uri === client.documentsUploadURL || uri === client.documentsURL)) {
+            return client.limiters.uploads;
+        }
+        return client.limiters.requests;
+    }
+
+    req = request.defaults(defaults, agents);
+
+    /**
+     * Get the retry policy for a single API call
+     * @param   {boolean|Object} [retry] The per-call retry option (if not set, the client retry option is used)
+     * @returns {Object}                 The retry policy, or null if the call should not be retried
+     */
+    function getRetryPolicy(retry) {
+        var policy;
+
+        if (typeof retry === 'undefined') {
+            retry = retryOption;
+        }
+        if (!retry) {
+            return null;
+        }
+        policy = extend({}, DEFAULT_RETRY_POLICY,
+            typeof retryOption === 'object' ? retryOption : null,
+            typeof retry === 'object' ? retry : null);
+        // content that is not ready yet is polled until it is, unless maxAttempts is set
+        policy.maxPendingAttempts = hasMaxAttempts(retryOption) || hasMaxAttempts(retry) ? policy.maxAttempts : Infinity;
+        return policy;
+    }
+
+    /**
+     * Validate the arguments of a single API call (see lib/validate.js)
+     * @param   {string}         method             The API method (e.g., 'documents.list')
+     * @param   {Object}         args               The arguments of the call, by name
+     * @param   {Object}         options            The call options
+     * @param   {string|boolean} [options.validate] The per-call validate option (if not set, the client validate option is used)
+     * @returns {void}
+     * @throws  {ValidationError}                   If an argument is invalid
+     */
+    function checkArgs(method, args, options) {
+        validate(method, args, typeof options.validate === 'undefined' ? validateOption : options.validate);
+    }
+
+    /**
+     * Create the state of a single API call, which fails with a TimeoutError if it does not
+     * complete in time, or with an AbortError if it is cancelled (by the signal option or
+     * client.close()); either way, the request in flight and any scheduled retry are aborted
+     *
+     * Every attempt of the call is made with `call.request`, which runs the plugin hooks.
+     * If `call.onCancel` is set (e.g., while a response is being saved), a cancelled call
+     * calls it with the error and a function to call to fail the call.
+     *
+     * @param   {string}      name              The API method (e.g., 'documents.get'), for plugins
+     * @param   {Object}      options           The call options
+     * @param   {int}         [options.timeout] The timeout in milliseconds (default: the client timeout option)
+     * @param   {AbortSignal} [options.signal]  A signal to cancel the call with
+     * @param   {Function}    callback          Function to call once when the call completes (or fails)
+     * @returns {Object}                        The call
+     */
+    function createCall(name, options, callback) {
+        var timeout = typeof options.timeout === 'undefined' ? timeoutOption : options.timeout,
+            signal = options.signal,
+            request = null,
+            retryTimer = null,
+            timeoutTimer = null,
+            context = null,
+            attempts = 0,
+            startedAt = Date.now(),
+            call = {
+                finished: false,
+                onCancel: null
+            };
+
+        function onAbort() {
+            call.cancel(new errors.AbortError('The request was aborted.'));
+        }
+
+        function finish() {
+            call.finished = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(retryTimer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            calls.splice(calls.indexOf(call), 1);
+        }
+
+        /**
+         * Create the context of an attempt, which the plugin hooks get
+         * @param   {string} uri  The request uri
+         * @param   {Object} opt  The request options
+         * @param   {*}      body The request body
+         * @returns {Object}      The context
+         */
+        function createContext(uri, opt, body) {
+            return {
+                client: client,
+                name: name,
+                options: options,
+                attempt: attempts,
+                startedAt: startedAt,
+                attemptStartedAt: Date.now(),
+                request: uri ? {
+                    method: opt.method || 'GET',
+                    url: uri,
+                    headers: extend({}, defaults.headers, opt.headers),
+                    body: typeof body === 'undefined' ? null : body
+                } : null,
+                response: null,
+                error: null
+            };
+        }
+
+        /**
+         * Let the plugins transform the error of a failed call
+         * @param   {Arguments} args The callback arguments
+         * @returns {Array}          The callback arguments, with the transformed error
+         */
+        function transformError(args) {
+            var ctx = context || createContext();
+
+            args = Array.prototype.slice.call(args);
+            if (!args[0] || !plugins.length) {
+                return args;
+            }
+            ctx.error = args[0];
+            try {
+                hooks.runHooks(plugins, 'onError', ctx);
+            } catch (err) {
+                ctx.error = err;
+            }
+            args[0] = ctx.error || args[0];
+            return args;
+        }
+
+        /**
+         * Complete the call
+         * @returns {void}
+         */
+        call.callback = function () {
+            if (!call.finished) {
+                finish();
+                callback.apply(null, transformError(arguments));
+            }
+        };
+
+        /**
+         * Fail the call with the given error, and abort the request in flight
+         * @param   {BoxViewError} err The error
+         * @returns {void}
+         */
+        call.cancel = function (err) {
+            if (call.finished) {
+                return;
+            }
+            finish();
+            if (request) {
+                err.method = request.request.method;
+                err.url = request.request.uri;
+                // hyperquest aborts the request (or doesn't send it at all) when it is closed
+                request.emit('close');
+            }
+            if (typeof call.onCancel === 'function') {
+                // let the response's consumer clean up first (e.g., remove a partially saved file)
+                call.onCancel(err, function () {
+                    callback.apply(null, transformError([err]));
+                });
+                return;
+            }
+            callback.apply(null, transformError([err]));
+        };
+
+        /**
+         * Make an attempt of the call: the plugins' onRequest hooks can change the request
+         * (or respond to it instead of the API), and their onResponse hooks get the response
+         * before the handler does; if a hook is asynchronous or requests are rate limited, the
+         * request is only created and sent once the hooks are done and the limiter starts it
+         * (until then, a stand-in is returned)
+         * @param   {string}   uri        The request uri
+         * @param   {Object}   [opt]      The request options
+         * @param   {*}        [opt.body] The request body (objects are sent as JSON)
+         * @param   {Function} handler    The response handler
+         * @returns {Request}             The request object
+         */
+        call.request = function (uri, opt, handler) {
+            var ctx,
+                body,
+                limiter,
+                queued = null,
+                sent = null,
+                r = null;
+
+            if (typeof opt === 'function') {
+                handler = opt;
+                opt = {};
+            }
+            opt = extend({}, opt);
+            body = opt.body;
+            delete opt.body;
+
+            attempts++;
+            ctx = context = createContext(uri, opt, body);
+            // the retry handler needs it to tell whether the request can be retried safely
+            call.method = ctx.request.method;
+
+            function respond(error, response) {
+                if (!error) {
+                    ctx.response = response;
+                    try {
+                        hooks.runHooks(plugins, 'onResponse', ctx);
+                        response = hooks.createResponse(ctx.response);
+                    } catch (err) {
+                        response.resume();
+                        error = err;
+                        response = null;
+                    }
+                }
+                // the handler expects the request object as `this`, like hyperquest calls it
+                handler.call(r, error, response);
+            }
+
+            function send() {
+                var sent = req(ctx.request.url, extend({}, opt, {
+                    method: ctx.request.method,
+                    headers: ctx.request.headers
+                }), respond);
+
+                if (body && typeof body.pipe === 'function') {
+                    body.pipe(sent);
+                } else if (body) {
+                    sent.setHeader('content-length', body.length);
+                    sent.end(body);
+                }
+                return sent;
+            }
+
+            /**
+             * Create a stand-in for the request while it waits for the onRequest hooks or the
+             * rate limiter; closing it aborts the request (or removes it from the queue)
+             * @returns {Stream} The stand-in
+             */
+            function createStandIn() {
+                var standIn = hooks.createLocalRequest(ctx.request.method, ctx.request.url);
+
+                standIn.on('close', function () {
+                    if (sent) {
+                        // hyperquest aborts the request when it is closed
+                        sent.emit('close');
+                    } else if (queued) {
+                        queued.cancel();
+                    }
+                });
+                return call.track(standIn);
+            }
+
+            /**
+             * Send the request (or respond to it) once the onRequest hooks have run
+             * @param   {Error} [failure] The error of a hook that failed
+             * @returns {void}
+             */
+            function proceed(failure) {
+                if (r && call.finished) {
+                    // cancelled while the hooks were running
+                    return;
+                }
+
+                body = hooks.encodeBody(ctx.request.body);
+
+                if (failure || ctx.response) {
+                    // a plugin failed or responded, so the request is not sent
+                    r = r || call.track(hooks.createLocalRequest(ctx.request.method, ctx.request.url));
+                    if (body && typeof body.pipe === 'function') {
+                        body.pipe(r);
+                    }
+                    process.nextTick(function () {
+                        if (failure) {
+                            call.callback(failure);
+                        } else {
+                            respond(null, hooks.createResponse(ctx.response));
+                        }
+                    });
+                    return;
+                }
+
+                limiter = getLimiter(ctx.request.url, ctx.request.method);
+                if (!limiter && !r) {
+                    r = call.track(send());
+                    return;
+                }
+
+                r = r || createStandIn();
+                if (call.finished) {
+                    return;
+                }
+                if (!limiter) {
+                    sent = send();
+                    return;
+                }
+                queued = limiter.schedule(function (done) {
+                    sent = send();
+                    releaseLimiter(sent, limiter, done);
+                });
+            }
+
+            hooks.runHooksAsync(plugins, 'onRequest', ctx, proceed);
+            // the hooks are still running
+            return r || createStandIn();
+        };
+
+        /**
+         * Keep track of the request of the current attempt, so it can be aborted
+         * @param   {Request} r The request object
+         * @returns {Request}   The request object
+         */
+        call.track = function (r) {
+            request = r;
+            if (call.finished) {
+                r.emit('close');
+            }
+            return r;
+        };
+
+        /**
+         * Schedule another attempt (unless the call is finished by then)
+         * @param   {Function} fn    Function to call to make the attempt
+         * @param   {int}      delay The delay in milliseconds
+         * @returns {void}
+         */
+        call.schedule = function (fn, delay) {
+            retryTimer = setTimeout(function () {
+                retryTimer = null;
+                if (!call.finished) {
+                    fn();
+                }
+            }, delay);
+        };
+
+        calls.push(call);
+
+        if (closed || (signal && signal.aborted)) {
+            process.nextTick(function () {
+                call.cancel(new errors.AbortError(closed ? 'The client has been closed.' : 'The request was aborted.'));
+            });
+            return call;
+        }
+        if (timeout) {
+            timeoutTimer = setTimeout(function () {
+                call.cancel(new errors.TimeoutError('The request timed out after ' + timeout + 'ms.', { timeout: timeout }));
+            }, timeout);
+        }
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        return call;
+    }
+
+    /**
+     * Fetch content with the given method, re-requesting it until it is ready (or the
+     * timeout is reached), then save it to the destination; the call stays open while the
+     * content is saved, so the timeout and signal cover writing it too
+     * @param   {Function} fetch    Function to call with the request options and a callback (e.g., documents.getContent)
+     * @param   {Object}   options  Download options (see documents.downloadContent)
+     * @param   {Function} callback Function to call with an error or the result ({ bytes, contentType, dest })
+     * @returns {Request}           The request object
+     */
+    function download(fetch, options, callback) {
+        var retry = typeof options.retry === 'undefined' ? retryOption : options.retry,
+            fetchOptions;
+
+        if (!options.dest) {
+            throw new Error('The dest option is required.');
+        }
+
+        // 202 responses are polled until the content is ready (see getRetryPolicy); errors
+        // are retried only if retries are enabled
+        if (!retry) {
+            retry = { statusCodes: [], errorCodes: [] };
+        }
+
+        fetchOptions = extend({}, options, {
+            retry: retry,
+            timeout: typeof options.timeout === 'undefined' ? timeoutOption || DEFAULT_DOWNLOAD_TIMEOUT : options.timeout,
+            save: function (response, done) {
+                if (response.statusCode === 202) {
+                    // no retry-after header, so we can't tell when it will be ready
+                    response.resume();
+                    done(new errors.BoxViewError('The content is not ready yet.', {
+                        statusCode: 202,
+                        response: response
+                    }));
+                    return null;
+                }
+                return saveResponse(response, options.dest, options.onProgress, done);
+            }
+        });
+        // progress is reported while saving the response
+        delete fetchOptions.onProgress;
+
+        return fetch(fetchOptions, callback);
+    }
+
+    /**
+     * Create the function that completes a content call (documents.getContent or
+     * documents.getThumbnail) with its response
+     * @param   {Object}   call                 The call
+     * @param   {Object}   options              The call options
+     * @param   {Function} [options.onProgress] Function to call with `{ bytes, total }` as the response is read
+     * @param   {Function} [options.save]       Function to call with the response and a callback, which saves it (see download) and returns a function to abort saving it
+     * @returns {Function}                      Function to call with an error or the response
+     */
+    function completeContent(call, options) {
+        return function (err, response) {
+            if (err) {
+                call.callback(err);
+            } else if (typeof options.save === 'function') {
+                // the call completes once the response is saved, unless it is cancelled first
+                call.onCancel = options.save(response, call.callback);
+            } else if (typeof options.onProgress === 'function') {
+                call.callback(null, trackDownload(response, options.onProgress));
+            } else {
+                call.callback(null, response);
+            }
+        };
+    }
+
+    /**
+     * Add a plugin, whose hooks are called (in the order plugins were added) for every
+     * request made by the documents and sessions methods, with the context of the request:
+     * `{ client, name, options, attempt, startedAt, attemptStartedAt, request: { method, url, headers, body }, response, error }`
+     *
+     * - `onRequest(ctx)` can change `ctx.request`, or set `ctx.response` (`{ statusCode, headers, body }`) to respond instead of the API
+     * - `onResponse(ctx)` gets the response stream in `ctx.response` (before it is read), and can replace it
+     * - `onError(ctx)` gets the error of a failed call in `ctx.error`, and can replace it
+     *
+     * @param   {Object}   plugin              The plugin
+     * @param   {Function} [plugin.onRequest]  Function to call before each request is sent (including retries)
+     * @param   {Function} [plugin.onResponse] Function to call with each response
+     * @param   {Function} [plugin.onError]    Function to call when a call fails
+     * @returns {BoxView}                      The client
+     * @throws  {Error}                        If the plugin has no hooks
+     */
+    this.use = function (plugin) {
+        plugins.push(hooks.checkPlugin(plugin));
+        return client;
+    };
+
+    // the cassette comes first, so it records requests before other plugins change them,
+    // and replays them before other plugins see them
+    if (options && options.cassette) {
+        this.cassette = new Cassette(options.cassette);
+        this.use(this.cassette);
+    } else {
+        this.cassette = null;
+    }
+
+    if (options && options.plugins) {
+        options.plugins.forEach(this.use);
+    }
+
+    // the cache comes before the logger and metrics, which skip the responses it serves
+    // (and those replayed from the cassette), so they only log and count API requests
+    if (options && options.cache) {
+        this.cache = new ResponseCache(typeof options.cache === 'object' ? options.cache : null);
+        this.use(this.cache);
+    } else {
+        this.cache = null;
+    }
+
+    logger = createClientLogger(options || {});
+    if (logger) {
+        this.use(logger);
+    }
+
+    if (!options || options.metrics !== false) {
+        metrics = new Metrics(options && typeof options.metrics === 'object' ? options.metrics : null);
+        this.use(metrics);
+        if (this.limiters) {
+            metrics.watchLimiter('uploads', this.limiters.uploads);
+            metrics.watchLimiter('requests', this.limiters.requests);
+        }
+    }
+
+    /**
+     * Get a snapshot of the metrics of this client's API calls (see lib/metrics.js)
+     * @returns {Array} The metrics (empty if the metrics option is false)
+     */
+    this.metrics = function () {
+        return metrics ? metrics.snapshot() : [];
+    };
+
+    /**
+     * Cancel every outstanding call (they fail with an AbortError) and close idle
+     * connections; calls made after the client is closed fail the same way
+     * @returns {void}
+     */
+    this.close = function () {
+        closed = true;
+        calls.slice().forEach(function (call) {
+            call.cancel(new errors.AbortError('The client has been closed.'));
+        });
+        agents.destroy();
+    };
 
     this.documentsURL = DOCUMENTS_URL;
     this.documentsUploadURL = DOCUMENTS_UPLOAD_URL;
@@ -230,32 +1200,37 @@ function BoxView(key, options) {
         /**
          * Fetch a list of documents uploaded using this API key
          * @param   {Object}   [options]                        List options
-         * @param   {boolean}  [options.retry]                  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]                  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]                The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]                 A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]               How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Object}   [options.params]                 URL parameters
          * @param   {int}      [options.params.limit]           The number of documents to return (default: 10, max: 50)
          * @param   {Date}     [options.params.created_before]  An upper limit on the creation timestamps of documents returned (default: now)
          * @param   {Date}     [options.params.created_after]   A lower limit on the creation timestamps of documents returned
          * @param   {Function} [callback]                       A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         list: function (options, callback) {
-            var query,
+            var call,
+                query,
                 handler,
-                retry = false,
-                params,
-                args = arguments;
+                params;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 params = {};
             } else {
+                options = extend({}, options);
                 params = extend({}, options.params);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.list.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.list', { params: params }, options);
+
+            callback = createPromiseCallback(callback);
+
+            call = createCall('documents.list', options, callback);
 
             if (params['created_before']) {
                 params['created_before'] = getTimestamp(params['created_before']);
@@ -270,43 +1245,67 @@ function BoxView(key, options) {
                 query = '?' + query;
             }
 
-            handler = createResponseHandler(callback, retry);
+            function send() {
+                return call.request(client.documentsURL + query, handler);
+            }
+
+            handler = createResponseHandler(call.callback, createRetryHandler(getRetryPolicy(options.retry), send, call));
 
-            return req(client.documentsURL + query, handler);
+            return thenable(send(), callback);
+        },
+
+        /**
+         * Fetch every document uploaded using this API key (newest first), a page at a time
+         * @param   {Object}   [options]                        List options
+         * @param   {boolean|Object} [options.retry]            Whether (or how) to retry each request: true, false or a retry policy (default: the client retry option)
+         * @param   {AbortSignal} [options.signal]              A signal to abort the requests with
+         * @param   {string|boolean} [options.validate]         How to validate the arguments before sending each request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {int}      [options.max]                    The maximum number of documents to return (default: all of them)
+         * @param   {Object}   [options.params]                 URL parameters
+         * @param   {Date}     [options.params.created_before]  An upper limit on the creation timestamps of documents returned (default: now)
+         * @param   {Date}     [options.params.created_after]   A lower limit on the creation timestamps of documents returned
+         * @returns {ListStream} A readable object stream of documents (also async iterable)
+         */
+        listAll: function (options) {
+            return new ListStream(this, options);
         },
 
         /**
          * Fetch the metadata for a single document
          * @param   {String}        id                  The document uuid
          * @param   {Object}        [options]           Get options
-         * @param   {boolean}       [options.retry]     Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]     Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]   The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]    A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]  How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {String|Array}  [options.fields]    Array of strings or comma-separated string of fields to return. id and type are always returned.
          * @param   {Function}      [callback]          A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         get: function (id, options, callback) {
-            var query = '',
+            var call,
+                query = '',
                 handler,
-                retry = false,
-                fields,
-                args = arguments;
+                fields;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 fields = '';
             } else {
                 options = extend({}, options);
                 fields = options.fields || '';
-                retry = options.retry;
             }
 
             if (Array.isArray(fields)) {
                 fields = fields.join(',');
             }
 
-            retry = (retry === true) && function () {
-                this.get.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.get', { id: id, fields: options.fields }, options);
+
+            callback = createPromiseCallback(callback);
+
+            call = createCall('documents.get', options, callback);
 
             if (fields) {
                 query = '?' + querystring.stringify({
@@ -314,9 +1313,13 @@ function BoxView(key, options) {
                 });
             }
 
-            handler = createResponseHandler(callback, retry);
+            function send() {
+                return call.request(client.documentsURL + '/' + id + query, handler);
+            }
+
+            handler = createResponseHandler(call.callback, createRetryHandler(getRetryPolicy(options.retry), send, call));
 
-            return req(client.documentsURL + '/' + id + query, handler);
+            return thenable(send(), callback);
         },
 
         /**
@@ -324,15 +1327,16 @@ function BoxView(key, options) {
          * @param   {String}   id               The document uuid
          * @param   {Object}   data             The new metadata
          * @param   {Object}   [options]        Update options
-         * @param   {boolean}  [options.retry]  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout] The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal] A signal to cancel the call with
+         * @param   {string|boolean} [options.validate] How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Function} [callback]       A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         update: function (id, data, options, callback) {
-            var args = arguments,
-                r,
+            var call,
                 handler,
-                retry = false,
                 requestOptions = {
                     method: 'PUT',
                     headers: {
@@ -342,93 +1346,106 @@ function BoxView(key, options) {
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
             } else {
                 options = extend({}, options);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.update.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.update', { id: id, data: data }, options);
 
-            handler = createResponseHandler(callback, retry);
+            callback = createPromiseCallback(callback);
 
-            r = req(client.documentsURL + '/' + id, requestOptions, handler);
-            data = new Buffer(JSON.stringify(data));
-            r.setHeader('content-length', data.length);
-            r.end(data);
-            return r;
+            call = createCall('documents.update', options, callback);
+
+            function send() {
+                return call.request(client.documentsURL + '/' + id, extend({ body: data }, requestOptions), handler);
+            }
+
+            handler = createResponseHandler(call.callback, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
         },
 
         /**
          * Delete a single document
          * @param   {String}   id               The document uuid
          * @param   {Object}   [options]        Delete options
-         * @param   {boolean}  [options.retry]  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout] The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal] A signal to cancel the call with
+         * @param   {string|boolean} [options.validate] How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Function} [callback]       A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         delete: function (id, options, callback) {
-            var args = arguments,
-                retry = false,
+            var call,
                 handler;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
             } else {
                 options = extend({}, options);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.delete.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.delete', { id: id }, options);
+
+            callback = createPromiseCallback(callback, 'empty');
 
-            handler = createResponseHandler(callback, [204], true, retry);
+            call = createCall('documents.delete', options, callback);
 
-            return req(client.documentsURL + '/' + id, { method: 'DELETE' }, handler);
+            function send() {
+                return call.request(client.documentsURL + '/' + id, { method: 'DELETE' }, handler);
+            }
+
+            handler = createResponseHandler(call.callback, [204], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
         },
 
         /**
          * Do a multipart upload from a file path or readable stream
          * @param   {String|Stream|Buffer}  file                        A path to a file to read, a readable stream, or a Buffer
          * @param   {Object}                [options]                   Upload options
-         * @param   {boolean}               [options.retry]             Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object}        [options.retry]             Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}                   [options.timeout]           The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}           [options.signal]            A signal to cancel the call with
+         * @param   {string|boolean}        [options.validate]          How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {Function}              [options.onProgress]        Function to call with `{ bytes, total }` as the file is sent (also emitted as 'progress' events on the returned request)
+         * @param   {String|Object}         [options.spool]             If set, spool streams to a temp file ('file') or memory buffer ('memory') so they can be retried (see lib/spool.js for options)
          * @param   {Object}                [options.params]            Upload parameters
          * @param   {String}                [options.params.name]       The name of the file
          * @param   {String}                [options.params.thumbnails] Comma-separated list of thumbnail dimensions of the format {width}x{height} e.g. 128×128,256×256 – width can be between 16 and 1024, height between 16 and 768
          * @param   {Boolean}               [options.params.non_svg]    Whether to also create the non-svg version of the document
          * @param   {Function}              [callback]                  A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         uploadFile: function (file, options, callback) {
-            var args = arguments,
-                r,
-                param,
-                form,
+            var call,
                 handler,
                 params,
-                retry = false,
+                policy,
+                retry,
+                spool,
+                first,
+                total = null,
+                sent = false,
                 requestOptions = {
                     method: 'POST'
                 };
 
-            if (typeof file === 'string') {
-                file = fs.createReadStream(file);
-            }
-
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 params = {};
             } else {
                 options = extend({}, options);
                 params = extend({}, options.params);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.uploadFile.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.uploadFile', { params: params }, options);
+
+            callback = createPromiseCallback(callback);
 
             // filename is required for the form to work properly, so try to
             // figure out a name...
@@ -436,49 +1453,151 @@ function BoxView(key, options) {
                 params.name = determineFilename(file);
             }
 
-            // if the file is a stream, we cannot retry
-            if (retry && file.readable) {
-                throw new Error('Retry option is not supported for streams.');
+            policy = getRetryPolicy(options.retry);
+
+            // if the file is a stream, we can only retry if it is spooled
+            if (policy && file.readable) {
+                if (options.spool) {
+                    spool = new Spool(file, options.spool);
+                } else if (options.retry) {
+                    throw new Error('Retry option is not supported for streams unless the spool option is set.');
+                } else {
+                    policy = null;
+                }
+            }
+
+            function complete() {
+                if (spool) {
+                    spool.destroy();
+                }
+                callback.apply(null, arguments);
             }
 
-            handler = createResponseHandler(callback, [200, 202], retry);
+            call = createCall('documents.uploadFile', options, complete);
+
+            // the total size is known for buffers, files and http responses
+            if (Buffer.isBuffer(file)) {
+                total = file.length;
+            } else if (file.headers && file.headers['content-length']) {
+                total = parseInt(file.headers['content-length'], 10) || null;
+            } else if (typeof file === 'string' || typeof file.path === 'string') {
+                fs.stat(typeof file === 'string' ? file : file.path, function (err, stat) {
+                    if (!err) {
+                        total = stat.size;
+                    }
+                });
+            }
 
-            form = new FormData();
-            for (param in params) {
-                if (params.hasOwnProperty(param)) {
-                    form.append(param, params[param].toString());
+            function emitProgress(bytes) {
+                var progress = { bytes: bytes, total: total };
+
+                if (typeof options.onProgress === 'function') {
+                    options.onProgress(progress);
+                }
+                if (first) {
+                    first.emit('progress', progress);
                 }
             }
 
-            form.append('file', file, { filename: params.name });
-            extend(true, requestOptions, {
-                headers: form.getHeaders()
-            });
+            function sendForm(content) {
+                var r,
+                    param,
+                    counter,
+                    form = new FormData();
 
-            r = req(client.documentsUploadURL, requestOptions, handler);
-            form.pipe(r);
-            return r;
+                for (param in params) {
+                    if (params.hasOwnProperty(param)) {
+                        form.append(param, params[param].toString());
+                    }
+                }
+
+                // count the bytes of the file as the form reads them (a native FormData
+                // in a browser can't read streams, so there is no progress there)
+                if (typeof form.on === 'function' && (Buffer.isBuffer(content) || typeof content.pipe === 'function')) {
+                    counter = createByteCounter(emitProgress);
+                    if (Buffer.isBuffer(content)) {
+                        counter.end(content);
+                    } else {
+                        content.on('error', function (err) {
+                            r.emit('close');
+                            call.callback(err);
+                        });
+                        content.pipe(counter);
+                    }
+                    content = counter;
+                }
+
+                form.append('file', content, { filename: params.name });
+
+                r = call.request(client.documentsUploadURL, extend(true, {}, requestOptions, {
+                    headers: form.getHeaders(),
+                    body: form
+                }), handler);
+                return r;
+            }
+
+            function send() {
+                var content,
+                    r;
+
+                if (typeof file === 'string') {
+                    // file paths are opened again for each attempt, and closed if it is aborted
+                    content = fs.createReadStream(file);
+                    r = sendForm(content);
+                    r.on('close', function () {
+                        content.destroy();
+                    });
+                    return r;
+                }
+                if (!spool) {
+                    return sendForm(file);
+                }
+                if (!sent) {
+                    sent = true;
+                    return sendForm(spool.stream());
+                }
+                spool.replay(function (err, content) {
+                    if (err) {
+                        call.callback(err);
+                    } else {
+                        sendForm(content);
+                    }
+                });
+            }
+
+            retry = createRetryHandler(policy, send, call);
+            if (spool) {
+                handler = createResponseHandler(call.callback, [200, 202], function (error, response) {
+                    return spool.replayable() && retry(error, response);
+                });
+            } else {
+                handler = createResponseHandler(call.callback, [200, 202], retry);
+            }
+
+            // progress events of every attempt are emitted on the request object that is returned
+            first = send();
+            return thenable(first, callback);
         },
 
         /**
          * Do a URL upload of a file
          * @param   {String}   url                         A URL to a publicly-accessible file to upload
          * @param   {Object}   [options]                   Upload options
-         * @param   {boolean}  [options.retry]             Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]             Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]           The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]            A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]          How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Object}   [options.params]            Upload parameters
          * @param   {String}   [options.params.name]       The name of the file
          * @param   {String}   [options.params.thumbnails] Comma-separated list of thumbnail dimensions of the format {width}x{height} e.g. 128×128,256×256 – width can be between 16 and 1024, height between 16 and 768
          * @param   {Boolean}  [options.params.non_svg]    Whether to also create the non-svg version of the document
          * @param   {Function} [callback]                  A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         uploadURL: function (url, options, callback) {
-            var args = arguments,
-                r,
+            var call,
                 handler,
                 params,
-                data = '',
-                retry = false,
                 requestOptions = {
                     method: 'POST',
                     headers: {
@@ -488,16 +1607,18 @@ function BoxView(key, options) {
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 params = {};
             } else {
                 options = extend({}, options);
                 params = extend({}, options.params);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.uploadURL.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.uploadURL', { url: url, params: params }, options);
+
+            callback = createPromiseCallback(callback);
+
+            call = createCall('documents.uploadURL', options, callback);
 
             if (!params.name) {
                 params.name = path.basename(url);
@@ -505,14 +1626,13 @@ function BoxView(key, options) {
 
             params.url = url;
 
-            handler = createResponseHandler(callback, [200, 202], retry);
+            function send() {
+                return call.request(client.documentsURL, extend({ body: params }, requestOptions), handler);
+            }
 
-            r = req(client.documentsURL, requestOptions, handler);
+            handler = createResponseHandler(call.callback, [200, 202], createRetryHandler(getRetryPolicy(options.retry), send, call));
 
-            data = new Buffer(JSON.stringify(params));
-            r.setHeader('content-length', data.length);
-            r.end(data);
-            return r;
+            return thenable(send(), callback);
         },
 
         /**
@@ -520,24 +1640,27 @@ function BoxView(key, options) {
          * If an extension is not specified, the document’s original format is returned.
          * @param   {string}   id                   The document uuid
          * @param   {Object}   [options]            Content options
-         * @param   {boolean}  [options.retry]      Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]      Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]    The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]     A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]   How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {Function}       [options.onProgress] Function to call with `{ bytes, total }` as the content is read
          * @param   {string}   [options.extension]  The document format to request
          * @param   {Function} [callback]           A callback to call with the response (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         getContent: function (id, options, callback) {
-            var args = arguments,
-                retry = false,
+            var call,
                 extension,
                 url,
                 handler;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 extension = '';
             } else {
                 options = extend({}, options);
-                retry = options.retry;
                 extension = options.extension || '';
                 // add a . if there is an extension
                 if (extension && !/^\./.test(extension)) {
@@ -545,14 +1668,21 @@ function BoxView(key, options) {
                 }
             }
 
-            retry = (retry === true) && function () {
-                this.getContent.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.getContent', { id: id, extension: options.extension }, options);
+
+            callback = createPromiseCallback(callback, 'value');
 
-            handler = createResponseHandler(callback, [200, 202], true, retry);
+            call = createCall('documents.getContent', options, callback);
 
             url = client.documentsURL + '/' + id + '/content' + extension;
-            return req(url, handler);
+
+            function send() {
+                return call.request(url, handler);
+            }
+
+            handler = createResponseHandler(completeContent(call, options), [200, 202], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
         },
 
         /**
@@ -561,39 +1691,176 @@ function BoxView(key, options) {
          * @param   {int}      width            The thumbnail width
          * @param   {int}      height           The thumbnail height
          * @param   {Object}   [options]        Content options
-         * @param   {boolean}  [options.retry]  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout] The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal] A signal to cancel the call with
+         * @param   {string|boolean} [options.validate] How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {Function}       [options.onProgress] Function to call with `{ bytes, total }` as the thumbnail is read
          * @param   {Function} [callback]       A callback to call with the response (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         getThumbnail: function (id, width, height, options, callback) {
-            var args = arguments,
+            var call,
                 url,
                 query,
-                retry = false,
                 params,
                 handler;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
             } else {
                 options = extend({}, options);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.getThumbnail.apply(this, args);
-            }.bind(this);
+            checkArgs('documents.getThumbnail', { id: id, width: width, height: height }, options);
+
+            callback = createPromiseCallback(callback, 'value');
+
+            call = createCall('documents.getThumbnail', options, callback);
 
             params = {
                 width: width,
                 height: height
             };
 
-            handler = createResponseHandler(callback, [200, 202], true, retry);
-
             query = querystring.stringify(params);
             url = client.documentsURL + '/' + id + '/thumbnail?' + query;
-            return req(url, handler);
+
+            function send() {
+                return call.request(url, handler);
+            }
+
+            handler = createResponseHandler(completeContent(call, options), [200, 202], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
+        },
+
+        /**
+         * Download the content of a document to a file or writable stream, waiting until it is ready
+         * @param   {string}        id                  The document uuid
+         * @param   {Object}        options             Download options
+         * @param   {String|Stream} options.dest        The file path or writable stream to save the content to (a partially written file is removed if the download fails)
+         * @param   {string}        [options.extension] The document format to download ('pdf' or 'zip'; default: the original format)
+         * @param   {int}           [options.timeout]   The number of milliseconds to wait for the content to be ready and saved (default: the client timeout option, or 5 minutes)
+         * @param   {boolean|Object} [options.retry]    Whether (or how) to retry failed requests: true, false or a retry policy (default: the client retry option)
+         * @param   {AbortSignal}   [options.signal]    A signal to cancel the call with
+         * @param   {Function}      [options.onProgress] Function to call with `{ bytes, total }` as the content is saved
+         * @param   {Function}      [callback]          A callback to call with the result ({ bytes, contentType, dest }) or error
+         * @returns {Request} The request object (thenable if no callback is given)
+         */
+        downloadContent: function (id, options, callback) {
+            var documents = this;
+
+            options = extend({}, options);
+            callback = createPromiseCallback(callback, 'value');
+
+            return thenable(download(function (fetchOptions, fetchCallback) {
+                return documents.getContent(id, fetchOptions, fetchCallback);
+            }, options, callback), callback);
+        },
+
+        /**
+         * Download a thumbnail of a document to a file or writable stream, waiting until it is ready
+         * @param   {string}        id                The document uuid
+         * @param   {int}           width             The thumbnail width
+         * @param   {int}           height            The thumbnail height
+         * @param   {Object}        options           Download options
+         * @param   {String|Stream} options.dest      The file path or writable stream to save the thumbnail to (a partially written file is removed if the download fails)
+         * @param   {int}           [options.timeout] The number of milliseconds to wait for the thumbnail to be ready and saved (default: the client timeout option, or 5 minutes)
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry failed requests: true, false or a retry policy (default: the client retry option)
+         * @param   {AbortSignal}   [options.signal]  A signal to cancel the call with
+         * @param   {Function}      [options.onProgress] Function to call with `{ bytes, total }` as the thumbnail is saved
+         * @param   {Function}      [callback]        A callback to call with the result ({ bytes, contentType, dest }) or error
+         * @returns {Request} The request object (thenable if no callback is given)
+         */
+        downloadThumbnail: function (id, width, height, options, callback) {
+            var documents = this;
+
+            options = extend({}, options);
+            callback = createPromiseCallback(callback, 'value');
+
+            return thenable(download(function (fetchOptions, fetchCallback) {
+                return documents.getThumbnail(id, width, height, fetchOptions, fetchCallback);
+            }, options, callback), callback);
+        },
+
+        /**
+         * Delete every document that matches the given criteria (walking documents.list)
+         * @param   {Object}         criteria                 The documents to delete
+         * @param   {Date}           [criteria.createdBefore] Only delete documents created before this time
+         * @param   {Date}           [criteria.createdAfter]  Only delete documents created after this time
+         * @param   {String|Array}   [criteria.status]        Only delete documents with this status (or one of these)
+         * @param   {RegExp|String}  [criteria.nameMatches]   Only delete documents whose name matches this regular expression
+         * @param   {boolean}        [criteria.all]           Set to true to delete every document (criteria without any criterion fail with a ValidationError otherwise)
+         * @param   {Object}         [options]                Delete options
+         * @param   {boolean}        [options.dryRun]         If true, only report the matching documents, without deleting them
+         * @param   {int}            [options.concurrency]    The maximum number of concurrent documents.delete requests (default: 4)
+         * @param   {boolean|Object} [options.retry]          Whether (or how) to retry requests: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]        The number of milliseconds to wait for each documents.delete call to complete (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]         A signal to stop with (the callback is called with an AbortError)
+         * @param   {Function}       [callback]               A callback to call with the result (`{ matched, deleted, failed, dryRun }`)
+         * @returns {BulkDelete} The deletion (an EventEmitter, thenable if no callback is given)
+         */
+        deleteWhere: function (criteria, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+
+            callback = createPromiseCallback(callback, 'value');
+
+            return thenable(new BulkDelete(this, criteria, options, callback), callback);
+        },
+
+        /**
+         * Upload many files (by path or URL) with bounded concurrency, continuing past failed uploads
+         * @param   {String|Array}   sources               A directory, a CSV or JSON manifest, a file path or URL, or an array of paths, URLs and entries (`{ source, name, thumbnails, non_svg, params }`)
+         * @param   {Object}         [options]             Upload options
+         * @param   {int}            [options.concurrency] The maximum number of concurrent uploads (default: 4)
+         * @param   {String|Array}   [options.include]     Glob patterns of the files to upload from a directory (default: every file)
+         * @param   {String|Array}   [options.exclude]     Glob patterns of the files to skip in a directory
+         * @param   {Object}         [options.params]      Upload parameters for every file (entries can override them)
+         * @param   {String}         [options.report]      A path to write the report to, as CSV (if it ends with .csv) or JSON
+         * @param   {boolean|Object} [options.retry]       Whether (or how) to retry uploads: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]     The number of milliseconds to wait for each upload to complete (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]      A signal to cancel the uploads with
+         * @param   {Function}       [callback]            A callback to call with the report (`{ source, name, id, status, error }` for each source)
+         * @returns {BulkUpload} The bulk upload (an EventEmitter, thenable if no callback is given)
+         */
+        uploadMany: function (sources, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+
+            callback = createPromiseCallback(callback, 'value');
+
+            return thenable(new BulkUpload(this, sources, options, callback), callback);
+        },
+
+        /**
+         * Watch documents until their conversion is done or fails
+         * @param   {Array|String} ids                     Document ids, or document objects (e.g., from uploadFile or uploadURL)
+         * @param   {Object}       [options]               Watch options
+         * @param   {int}          [options.interval]      The number of milliseconds between polls (default: 5000)
+         * @param   {int}          [options.timeout]       The number of milliseconds to watch before giving up (default: no timeout)
+         * @param   {int}          [options.listThreshold] Use documents.list instead of documents.get when more than this many documents are pending (default: 10)
+         * @param   {int}          [options.concurrency]   The maximum number of concurrent documents.get requests (default: 4)
+         * @param   {boolean|Object} [options.retry]       Whether (or how) to retry requests: true, false or a retry policy (default: the client retry option)
+         * @param   {AbortSignal}  [options.signal]        A signal to stop watching with (the callback is called with an AbortError)
+         * @param   {Function}     [callback]              A callback to call with the final metadata of every document
+         * @returns {Watcher} The watcher (an EventEmitter, thenable if no callback is given)
+         */
+        watch: function (ids, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+
+            callback = createPromiseCallback(callback, 'value');
+
+            return thenable(new Watcher(this, ids, options, callback), callback);
         }
     };
 
@@ -603,21 +1870,21 @@ function BoxView(key, options) {
          * Request a viewing session for a document
          * @param   {String}   id                               The document uuid
          * @param   {Object}   [options]                        Session options
-         * @param   {boolean}  [options.retry]                  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]                  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]                The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]                 A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]               How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Object}   [options.params]                 Session parameters
          * @param   {int}      [options.params.duration]        The duration in minutes until the session expires (default: 60)
          * @param   {Date}     [options.params.expires_at]      The timestamp at which the session should expire
          * @param   {boolean}  [options.params.is_downloadable] Whether a the original file will be available for download via GET /sessions/{id}/content while the session is active
          * @param   {Function} [callback]                       A callback to call with the response data (or error)
-         * @returns {void}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         create: function (id, options, callback) {
-            var args = arguments,
-                r,
+            var call,
                 handler,
                 params,
-                data = '',
-                retry = false,
                 requestOptions = {
                     method: 'POST',
                     headers: {
@@ -627,16 +1894,18 @@ function BoxView(key, options) {
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
                 params = {};
             } else {
                 options = extend({}, options);
                 params = extend({}, options.params);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.create.apply(this, args);
-            }.bind(this);
+            checkArgs('sessions.create', { id: id, params: params }, options);
+
+            callback = createPromiseCallback(callback);
+
+            call = createCall('sessions.create', options, callback);
 
             params['document_id'] = id;
 
@@ -644,47 +1913,197 @@ function BoxView(key, options) {
                 params['expires_at'] = getTimestamp(params['expires_at']);
             }
 
-            handler = createResponseHandler(callback, [201, 202], retry);
+            function send() {
+                return call.request(client.sessionsURL, extend({ body: params }, requestOptions), handler);
+            }
 
-            r = req(client.sessionsURL, requestOptions, handler);
+            function complete(err, body, response) {
+                if (!err && response.statusCode === 201) {
+                    body = new Session(body, client.sessionsURL);
+                }
+                call.callback(err, body, response);
+            }
 
-            data = new Buffer(JSON.stringify(params));
-            r.setHeader('content-length', data.length);
-            r.end(data);
-            return r;
+            handler = createResponseHandler(complete, [201, 202], createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
+        },
+
+        /**
+         * Fetch the original document through a session created with `is_downloadable`
+         * (or the document as PDF or zip, if `extension` is given)
+         * @param   {string}   id                   The session uuid
+         * @param   {Object}   [options]            Content options
+         * @param   {boolean|Object} [options.retry]      Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout]    The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal]     A signal to cancel the call with
+         * @param   {string|boolean} [options.validate]   How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {string}   [options.extension]  The document format to request
+         * @param   {Function} [callback]           A callback to call with the response (or error)
+         * @returns {Request} The request object (thenable if no callback is given)
+         */
+        getContent: function (id, options, callback) {
+            var call,
+                extension,
+                url,
+                handler;
+
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+                extension = '';
+            } else {
+                options = extend({}, options);
+                extension = options.extension || '';
+                // add a . if there is an extension
+                if (extension && !/^\./.test(extension)) {
+                    extension = '.' + extension;
+                }
+            }
+
+            checkArgs('sessions.getContent', { id: id, extension: options.extension }, options);
+
+            callback = createPromiseCallback(callback, 'value');
+
+            call = createCall('sessions.getContent', options, callback);
+
+            url = client.sessionsURL + '/' + id + '/content' + extension;
+
+            function send() {
+                return call.request(url, handler);
+            }
+
+            handler = createResponseHandler(call.callback, [200, 202], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
+        },
+
+        /**
+         * Fetch a single viewer asset of a session (e.g., 'info.json', 'page-1.svg' or 'stylesheet.css')
+         * @param   {string}   id               The session uuid
+         * @param   {string}   asset            The path of the asset
+         * @param   {Object}   [options]        Asset options
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout] The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal] A signal to cancel the call with
+         * @param   {string|boolean} [options.validate] How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
+         * @param   {Function} [callback]       A callback to call with the response (or error)
+         * @returns {Request} The request object (thenable if no callback is given)
+         */
+        getAsset: function (id, asset, options, callback) {
+            var call,
+                url,
+                handler;
+
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            } else {
+                options = extend({}, options);
+            }
+
+            checkArgs('sessions.getAsset', { id: id, asset: asset }, options);
+
+            callback = createPromiseCallback(callback, 'value');
+
+            call = createCall('sessions.getAsset', options, callback);
+
+            url = client.sessionsURL + '/' + id + '/assets/' + String(asset).replace(/^\//, '');
+
+            function send() {
+                return call.request(url, handler);
+            }
+
+            handler = createResponseHandler(call.callback, [200], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
         },
 
         /**
          * Delete a session
          * @param   {String}   id               The session uuid
          * @param   {Object}   [options]        Delete options
-         * @param   {boolean}  [options.retry]  Whether to retry the request after 'retry-after' seconds if the retry-after header is sent
+         * @param   {boolean|Object} [options.retry]  Whether (or how) to retry the request: true, false or a retry policy (default: the client retry option)
+         * @param   {int}            [options.timeout] The number of milliseconds to wait for the call to complete, including retries (default: the client timeout option)
+         * @param   {AbortSignal}    [options.signal] A signal to cancel the call with
+         * @param   {string|boolean} [options.validate] How to validate the arguments before sending the request: 'strict', 'lenient' or false (default: the client validate option)
          * @param   {Function} [callback]       A callback to call with the response data (or error)
-         * @returns {Request}
+         * @returns {Request} The request object (thenable if no callback is given)
          */
         delete: function (id, options, callback) {
-            var args = arguments,
-                retry = false,
+            var call,
                 handler;
 
             if (typeof options === 'function') {
                 callback = options;
+                options = {};
             } else {
                 options = extend({}, options);
-                retry = options.retry;
             }
 
-            retry = (retry === true) && function () {
-                this.delete.apply(this, args);
-            }.bind(this);
+            checkArgs('sessions.delete', { id: id }, options);
 
-            handler = createResponseHandler(callback, [204], true, retry);
+            callback = createPromiseCallback(callback, 'empty');
 
-            return req(client.sessionsURL + '/' + id, { method: 'DELETE' }, handler);
+            call = createCall('sessions.delete', options, callback);
+
+            function send() {
+                return call.request(client.sessionsURL + '/' + id, { method: 'DELETE' }, handler);
+            }
+
+            handler = createResponseHandler(call.callback, [204], true, createRetryHandler(getRetryPolicy(options.retry), send, call));
+
+            return thenable(send(), callback);
         }
     };
 }
 
+/**
+ * Create a request handler for Box View webhook notifications that uses this client
+ * to fetch documents (see lib/webhook.js)
+ * @param   {Object}         [options]       Handler options
+ * @param   {boolean|Object} [options.fetch] If set, fetch the full document with documents.get (using these options) before emitting
+ * @returns {Function}                       The request handler (also an EventEmitter)
+ */
+BoxView.prototype.createWebhookHandler = function (options) {
+    return createWebhookHandler(extend({}, options, { client: this }));
+};
+
+/**
+ * Create a request handler that serves session assets through the application's
+ * origin using this client (see lib/session-proxy.js)
+ * @param   {Object} [options]        Proxy options
+ * @param   {string} [options.path]   The path the proxy is mounted under (default: '')
+ * @param   {int}    [options.maxAge] The max-age in seconds of the cache-control header, if the API doesn't send one (default: 3600)
+ * @returns {Function}                The request handler
+ */
+BoxView.prototype.createSessionProxy = function (options) {
+    return createSessionProxy(extend({}, options, { client: this }));
+};
+
+/**
+ * Create a retention policy that deletes old documents with this client each time it
+ * is run (see lib/retention-policy.js)
+ * @param   {Object}        options               Policy options
+ * @param   {int|string}    options.maxAge        The maximum age of documents, in milliseconds or with a unit (e.g., '30d')
+ * @param   {String|Array}  [options.status]      Only delete documents with this status (or one of these)
+ * @param   {RegExp|String} [options.nameMatches] Only delete documents whose name matches this regular expression
+ * @param   {boolean}       [options.dryRun]      If true, only report the documents that would be deleted
+ * @returns {Object}                              The policy, with a `run([options], [callback])` method
+ */
+BoxView.prototype.createRetentionPolicy = function (options) {
+    return createRetentionPolicy(extend({}, options, { client: this }));
+};
+
+/**
+ * Create a request handler that serves the metrics of this client in the Prometheus
+ * text format, e.g., on a `/metrics` route (see lib/metrics.js)
+ * @returns {Function} The request handler
+ */
+BoxView.prototype.createMetricsHandler = function () {
+    return Metrics.createMetricsHandler({ client: this });
+};
+
 module.exports = {
     DOCUMENTS_UPLOAD_URL: DOCUMENTS_UPLOAD_URL,
     DOCUMENTS_URL: DOCUMENTS_URL,
@@ -692,5 +2111,25 @@ module.exports = {
     BoxView: BoxView,
     createClient: function (token, options) {
         return new BoxView(token, options);
-    }
+    },
+    createPool: function (options) {
+        return new ClientPool(options, function (token, clientOptions) {
+            return new BoxView(token, clientOptions);
+        });
+    },
+    createWebhookHandler: createWebhookHandler,
+    createSessionProxy: createSessionProxy,
+    createRetentionPolicy: createRetentionPolicy,
+    createFakeServer: createFakeServer,
+    createMetricsHandler: Metrics.createMetricsHandler,
+    formatPrometheus: Metrics.formatPrometheus,
+    BoxViewError: errors.BoxViewError,
+    AuthenticationError: errors.AuthenticationError,
+    NotFoundError: errors.NotFoundError,
+    ValidationError: errors.ValidationError,
+    RateLimitError: errors.RateLimitError,
+    UnsupportedMediaError: errors.UnsupportedMediaError,
+    ServerError: errors.ServerError,
+    AbortError: errors.AbortError,
+    TimeoutError: errors.TimeoutError
 };
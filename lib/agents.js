@@ -0,0 +1,248 @@
+'use strict';
+
+var http = require('http'),
+    https = require('https'),
+    tls = require('tls'),
+    url = require('url'),
+    util = require('util'),
+    extend = require('extend');
+
+module.exports = createAgents;
+
+/**
+ * Get an environment variable (by its upper or lower case name)
+ * @param   {Object} env  The environment
+ * @param   {string} name The upper case name (e.g., 'HTTPS_PROXY')
+ * @returns {string}      The value, or undefined if it is not set
+ */
+function getEnv(env, name) {
+    return env[name] || env[name.toLowerCase()] || undefined;
+}
+
+/**
+ * Check whether a host is excluded from proxying by a NO_PROXY-style list (e.g.,
+ * 'localhost,.internal.example.com,10.0.0.1:8080' or '*')
+ * @param   {string}       host    The host name
+ * @param   {string}       port    The port
+ * @param   {string|Array} noProxy The list (a comma-separated string or an array)
+ * @returns {boolean}              Whether the host is excluded
+ */
+function isExcluded(host, port, noProxy) {
+    var list = Array.isArray(noProxy) ? noProxy : String(noProxy || '').split(/[\s,]+/);
+
+    host = host.toLowerCase();
+    return list.some(function (entry) {
+        var match = /^(.*?)(?::(\d+))?$/.exec(String(entry).trim().toLowerCase()),
+            name = match[1].replace(/^\*?\./, '');
+
+        if (!name) {
+            return false;
+        }
+        if (match[2] && match[2] !== port) {
+            return false;
+        }
+        return name === '*' || host === name || host.slice(-name.length - 1) === '.' + name;
+    });
+}
+
+/**
+ * Get the proxy to send a request through
+ * @param   {string}         uri               The request uri
+ * @param   {Object}         [options]         Proxy options
+ * @param   {string|boolean} [options.proxy]   The proxy URL, or false to not use a proxy (default: the HTTPS_PROXY or HTTP_PROXY environment variable, depending on the protocol of the request)
+ * @param   {string|Array}   [options.noProxy] Hosts to not use the proxy for (default: the NO_PROXY environment variable)
+ * @param   {Object}         [env]             The environment (default: process.env)
+ * @returns {string}                           The proxy URL, or null if the request should not be proxied
+ */
+function getProxy(uri, options, env) {
+    var target = url.parse(uri),
+        secure = target.protocol === 'https:',
+        port = target.port || (secure ? '443' : '80'),
+        proxy,
+        noProxy;
+
+    options = options || {};
+    env = env || process.env;
+
+    if (options.proxy === false) {
+        return null;
+    }
+    proxy = options.proxy || getEnv(env, secure ? 'HTTPS_PROXY' : 'HTTP_PROXY');
+    noProxy = typeof options.noProxy === 'undefined' ? getEnv(env, 'NO_PROXY') : options.noProxy;
+
+    if (!proxy || isExcluded(target.hostname || '', port, noProxy)) {
+        return null;
+    }
+    // like curl, accept proxies without a protocol
+    return /^[a-z]+:\/\//i.test(proxy) ? proxy : 'http://' + proxy;
+}
+
+/**
+ * Open a tunnel to the host of a request through a proxy with a CONNECT request (and
+ * start TLS over it, for https requests)
+ * @param   {Object}   agent    The agent (with `proxy`, the parsed proxy URL, and `secure`)
+ * @param   {Object}   options  The connection options (see http.Agent#createConnection)
+ * @param   {Function} callback Function to call with an error or the socket
+ * @returns {void}
+ */
+function tunnel(agent, options, callback) {
+    var proxy = agent.proxy,
+        proxySecure = proxy.protocol === 'https:',
+        target = options.host + ':' + options.port,
+        headers = { host: target },
+        connect;
+
+    if (proxy.auth) {
+        headers['proxy-authorization'] = 'Basic ' + new Buffer(decodeURIComponent(proxy.auth)).toString('base64');
+    }
+
+    connect = (proxySecure ? https : http).request({
+        host: proxy.hostname,
+        port: Number(proxy.port) || (proxySecure ? 443 : 80),
+        method: 'CONNECT',
+        path: target,
+        headers: headers,
+        agent: false,
+        ca: options.ca,
+        rejectUnauthorized: options.rejectUnauthorized
+    });
+
+    connect.once('connect', function (response, socket) {
+        var err;
+
+        if (response.statusCode !== 200) {
+            socket.destroy();
+            err = new Error('The proxy refused to connect to ' + target + ' (' + response.statusCode + ' ' + http.STATUS_CODES[response.statusCode] + ')');
+            err.statusCode = response.statusCode;
+            callback(err);
+            return;
+        }
+        if (!agent.secure) {
+            callback(null, socket);
+            return;
+        }
+        callback(null, tls.connect(extend({}, options, {
+            socket: socket,
+            servername: options.servername || options.host
+        })));
+    });
+    connect.once('error', callback);
+    connect.end();
+}
+
+/**
+ * An agent for http requests that tunnels its connections through a proxy
+ * @param {string} proxy     The proxy URL
+ * @param {Object} [options] Agent options (see http.Agent)
+ * @constructor
+ */
+function HttpTunnelAgent(proxy, options) {
+    http.Agent.call(this, options);
+    this.proxy = url.parse(proxy);
+    this.secure = false;
+}
+
+util.inherits(HttpTunnelAgent, http.Agent);
+
+/**
+ * Open a connection through the proxy
+ * @param   {Object}   options  The connection options
+ * @param   {Function} callback Function to call with an error or the socket
+ * @returns {void}
+ */
+HttpTunnelAgent.prototype.createConnection = function (options, callback) {
+    tunnel(this, options, callback);
+};
+
+/**
+ * An agent for https requests that tunnels its connections through a proxy
+ * @param {string} proxy     The proxy URL
+ * @param {Object} [options] Agent options (see https.Agent)
+ * @constructor
+ */
+function HttpsTunnelAgent(proxy, options) {
+    https.Agent.call(this, options);
+    this.proxy = url.parse(proxy);
+    this.secure = true;
+}
+
+util.inherits(HttpsTunnelAgent, https.Agent);
+
+/**
+ * Open a TLS connection through the proxy
+ * @param   {Object}   options  The connection options
+ * @param   {Function} callback Function to call with an error or the socket
+ * @returns {void}
+ */
+HttpsTunnelAgent.prototype.createConnection = function (options, callback) {
+    tunnel(this, options, callback);
+};
+
+/**
+ * Create the agents of a client's requests: a keep-alive agent per protocol, and one
+ * per protocol and proxy for requests that are sent through a proxy (connections to the
+ * API are tunneled through the proxy with CONNECT requests)
+ *
+ * @param   {Object}         [options]             Agent options
+ * @param   {Object}         [options.agent]       An agent to use for every request, or `{ http, https }` agents (the other options are ignored)
+ * @param   {boolean}        [options.keepAlive]   Whether to keep connections open to reuse them (default: true)
+ * @param   {int}            [options.maxSockets]  The maximum number of connections per host (default: Infinity)
+ * @param   {string|boolean} [options.proxy]       The proxy URL, or false to not use a proxy (default: the HTTPS_PROXY or HTTP_PROXY environment variable)
+ * @param   {string|Array}   [options.noProxy]     Hosts to not use the proxy for (default: the NO_PROXY environment variable)
+ * @param   {string|Buffer|Array} [options.ca]     CA certificates to trust (e.g., of a TLS-intercepting proxy)
+ * @returns {Function}                             Function to call with the uri of a request, which returns its agent (with a `destroy()` method that closes the connections of the created agents)
+ */
+function createAgents(options) {
+    var agents = {},
+        agentOptions;
+
+    options = options || {};
+
+    agentOptions = {
+        keepAlive: options.keepAlive !== false,
+        maxSockets: options.maxSockets || Infinity
+    };
+    if (options.ca) {
+        agentOptions.ca = options.ca;
+    }
+
+    /**
+     * Get the agent of a request
+     * @param   {string} uri The request uri
+     * @returns {Agent}      The agent
+     */
+    function getAgent(uri) {
+        var secure = url.parse(uri).protocol === 'https:',
+            protocol = secure ? 'https' : 'http',
+            proxy,
+            key;
+
+        if (options.agent) {
+            return options.agent[protocol] || options.agent;
+        }
+
+        proxy = getProxy(uri, options);
+        key = protocol + ' ' + (proxy || '');
+        if (!agents[key]) {
+            if (proxy) {
+                agents[key] = secure ? new HttpsTunnelAgent(proxy, agentOptions) : new HttpTunnelAgent(proxy, agentOptions);
+            } else {
+                agents[key] = new (secure ? https : http).Agent(agentOptions);
+            }
+        }
+        return agents[key];
+    }
+
+    getAgent.destroy = function () {
+        Object.keys(agents).forEach(function (key) {
+            agents[key].destroy();
+        });
+        agents = {};
+    };
+
+    return getAgent;
+}
+
+createAgents.getProxy = getProxy;
+createAgents.HttpTunnelAgent = HttpTunnelAgent;
+createAgents.HttpsTunnelAgent = HttpsTunnelAgent;
@@ -0,0 +1,225 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter,
+    errors = require('./errors'),
+    util = require('util');
+
+var DEFAULT_CONCURRENCY = 4,
+    CRITERIA = ['createdBefore', 'createdAfter', 'status', 'nameMatches'];
+
+module.exports = BulkDelete;
+
+/**
+ * Create a function that tests whether a document matches the given criteria (beyond
+ * the creation timestamps, which documents.list filters by)
+ * @param   {Object}          criteria               The criteria
+ * @param   {String|Array}    [criteria.status]      The status(es) of the documents to match
+ * @param   {RegExp|String}   [criteria.nameMatches] A regular expression the document name must match
+ * @returns {Function}                               The test function
+ */
+function createFilter(criteria) {
+    var statuses = criteria.status ? [].concat(criteria.status) : null,
+        nameMatches = criteria.nameMatches;
+
+    if (typeof nameMatches === 'string') {
+        nameMatches = new RegExp(nameMatches);
+    }
+
+    return function (doc) {
+        if (statuses && statuses.indexOf(doc.status) === -1) {
+            return false;
+        }
+        if (nameMatches && !nameMatches.test(doc.name || '')) {
+            return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Check whether the criteria select documents by at least one criterion
+ * @param   {Object}  criteria The criteria
+ * @returns {boolean}          Whether a criterion is set
+ */
+function hasCriterion(criteria) {
+    return CRITERIA.some(function (name) {
+        return criteria[name] !== null && typeof criteria[name] !== 'undefined';
+    });
+}
+
+/**
+ * Create the error for criteria that would match every document, shaped like the
+ * errors of lib/validate.js
+ * @returns {ValidationError} The error
+ */
+function createCriteriaError() {
+    var message = 'set at least one criterion, or all: true to delete every document',
+        text = 'Invalid criteria: ' + message;
+
+    return new errors.ValidationError(text, {
+        body: {
+            message: text,
+            details: [{ field: 'criteria', message: message }]
+        }
+    });
+}
+
+/**
+ * Delete every document that matches the given criteria, walking documents.list and
+ * deleting the matching documents with bounded concurrency (or only reporting them, in a
+ * dry run); documents that are already gone count as deleted
+ *
+ * Emits 'match' with each matching document, 'delete' with each deleted document, and
+ * 'end' with the result when it has finished. Criteria without any criterion would match
+ * every document, so they fail with a ValidationError unless `all` is true.
+ *
+ * @param {Object}          documents                     The client's documents API
+ * @param {Object}          criteria                      The documents to delete
+ * @param {Date}            [criteria.createdBefore]      Only delete documents created before this time
+ * @param {Date}            [criteria.createdAfter]       Only delete documents created after this time
+ * @param {String|Array}    [criteria.status]             Only delete documents with this status (or one of these)
+ * @param {RegExp|String}   [criteria.nameMatches]        Only delete documents whose name matches this regular expression
+ * @param {boolean}         [criteria.all]                Set to true to delete every document when no other criterion is set
+ * @param {Object}          [options]                     Delete options
+ * @param {boolean}         [options.dryRun]              If true, only report the matching documents, without deleting them
+ * @param {int}             [options.concurrency]         The maximum number of concurrent documents.delete requests (default: 4)
+ * @param {boolean|Object}  [options.retry]               The retry option to use for requests
+ * @param {int}             [options.timeout]             The timeout of each documents.delete call
+ * @param {AbortSignal}     [options.signal]              A signal to stop with (the callback is called with an AbortError)
+ * @param {Function}        [callback]                    Function to call with an error or the result (`{ matched, deleted, failed, dryRun }`)
+ * @constructor
+ */
+function BulkDelete(documents, criteria, options, callback) {
+    var bulkDelete = this,
+        params = {};
+
+    EventEmitter.call(this);
+
+    criteria = criteria || {};
+    options = options || {};
+
+    if (criteria.createdBefore) {
+        params['created_before'] = new Date(criteria.createdBefore);
+    }
+    if (criteria.createdAfter) {
+        params['created_after'] = new Date(criteria.createdAfter);
+    }
+
+    this.documents = documents;
+    this.matches = createFilter(criteria);
+    this.dryRun = !!options.dryRun;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.deleteOptions = {
+        retry: options.retry,
+        timeout: options.timeout,
+        signal: options.signal
+    };
+    this.callback = callback;
+    this.stream = null;
+    this.active = 0;
+    this.listed = false;
+    this.finished = false;
+    this.result = {
+        matched: [],
+        deleted: [],
+        failed: [],
+        dryRun: this.dryRun
+    };
+
+    if (!hasCriterion(criteria) && criteria.all !== true) {
+        process.nextTick(function () {
+            bulkDelete.finish(createCriteriaError());
+        });
+        return;
+    }
+
+    this.stream = documents.listAll({ params: params, retry: options.retry, signal: options.signal });
+    this.stream.on('data', function (doc) {
+        bulkDelete.handle(doc);
+    });
+    this.stream.on('error', function (err) {
+        bulkDelete.finish(err);
+    });
+    this.stream.on('end', function () {
+        bulkDelete.listed = true;
+        bulkDelete.check();
+    });
+}
+
+util.inherits(BulkDelete, EventEmitter);
+
+/**
+ * Delete a listed document if it matches (pausing the listing while the maximum number
+ * of deletions are in flight)
+ * @param   {Object} doc The document metadata
+ * @returns {void}
+ */
+BulkDelete.prototype.handle = function (doc) {
+    var bulkDelete = this;
+
+    if (this.finished || !this.matches(doc)) {
+        return;
+    }
+
+    this.result.matched.push(doc);
+    this.emit('match', doc);
+
+    if (this.dryRun) {
+        return;
+    }
+
+    this.active++;
+    if (this.active >= this.concurrency) {
+        this.stream.pause();
+    }
+
+    this.documents.delete(doc.id, this.deleteOptions, function (err, body, response) {
+        bulkDelete.active--;
+        if (err instanceof errors.AbortError) {
+            bulkDelete.finish(err);
+            return;
+        }
+        if (err && !(response && response.statusCode === 404)) {
+            bulkDelete.result.failed.push({ document: doc, error: err });
+        } else {
+            bulkDelete.result.deleted.push(doc);
+            bulkDelete.emit('delete', doc);
+        }
+        bulkDelete.stream.resume();
+        bulkDelete.check();
+    });
+};
+
+/**
+ * Finish once every document has been listed and every deletion has completed
+ * @returns {void}
+ */
+BulkDelete.prototype.check = function () {
+    if (this.listed && this.active === 0) {
+        this.finish();
+    }
+};
+
+/**
+ * Stop, and call the callback with an error or the result
+ * @param   {Error} [err] The error that stopped the deletion
+ * @returns {void}
+ */
+BulkDelete.prototype.finish = function (err) {
+    if (this.finished) {
+        return;
+    }
+    this.finished = true;
+    if (this.stream) {
+        this.stream.pause();
+    }
+    this.emit('end', this.result);
+
+    if (typeof this.callback === 'function') {
+        if (err) {
+            this.callback(err);
+        } else {
+            this.callback(null, this.result);
+        }
+    }
+};
@@ -0,0 +1,495 @@
+'use strict';
+
+// fs must be declared separately, else browserify gets sad w/brfs transform
+var fs = require('fs');
+
+var EventEmitter = require('events').EventEmitter,
+    extend = require('extend'),
+    path = require('path'),
+    util = require('util');
+
+var DEFAULT_CONCURRENCY = 4,
+    URL_RE = /^https?:\/\//i,
+    MANIFEST_RE = /\.(csv|json)$/i,
+    PARAM_FIELDS = ['name', 'thumbnails', 'non_svg'],
+    REPORT_FIELDS = ['source', 'name', 'id', 'status', 'error'];
+
+module.exports = BulkUpload;
+
+/**
+ * Convert a glob pattern to a regular expression; supports `*`, `**`, `?` and `{a,b}`
+ * @param   {string} pattern The glob pattern
+ * @returns {RegExp}         The regular expression
+ */
+function globToRegExp(pattern) {
+    var source = '',
+        braces = 0,
+        i,
+        c;
+
+    for (i = 0; i < pattern.length; i++) {
+        c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            i++;
+            if (pattern[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '{') {
+            braces++;
+            source += '(?:';
+        } else if (c === '}' && braces) {
+            braces--;
+            source += ')';
+        } else if (c === ',' && braces) {
+            source += '|';
+        } else {
+            source += c.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+/**
+ * Determine whether a relative path matches any of the given glob patterns; patterns
+ * without a slash are matched against the file name only
+ * @param   {string} file     The path, relative to the directory (with `/` separators)
+ * @param   {Array}  patterns The glob patterns
+ * @returns {Boolean}         Whether the path matches
+ */
+function matchesAny(file, patterns) {
+    return patterns.some(function (pattern) {
+        var subject = pattern.indexOf('/') > -1 ? file : path.basename(file);
+        return globToRegExp(pattern).test(subject);
+    });
+}
+
+/**
+ * Find the files in a directory (recursively), skipping hidden files
+ * @param   {string}   dir      The directory
+ * @param   {string}   prefix   The path of the directory relative to the top directory
+ * @param   {Function} callback Function to call with an error or the relative paths of the files
+ * @returns {void}
+ */
+function walk(dir, prefix, callback) {
+    fs.readdir(dir, function (err, names) {
+        var files = [];
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        names = names.filter(function (name) {
+            return name[0] !== '.';
+        }).sort();
+
+        (function next() {
+            var name = names.shift(),
+                file;
+
+            if (!name) {
+                callback(null, files);
+                return;
+            }
+
+            file = prefix ? prefix + '/' + name : name;
+            fs.stat(path.join(dir, name), function (err, stat) {
+                if (err) {
+                    callback(err);
+                } else if (stat.isDirectory()) {
+                    walk(path.join(dir, name), file, function (err, nested) {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+                        files = files.concat(nested);
+                        next();
+                    });
+                } else {
+                    files.push(file);
+                    next();
+                }
+            });
+        })();
+    });
+}
+
+/**
+ * Parse CSV text (with optionally quoted fields) into rows
+ * @param   {string} text The CSV text
+ * @returns {Array}       The rows (arrays of fields)
+ */
+function parseCSV(text) {
+    var rows = [],
+        row = [],
+        field = '',
+        quoted = false,
+        i,
+        c;
+
+    for (i = 0; i < text.length; i++) {
+        c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(function (row) {
+        return row.length > 1 || row[0];
+    });
+}
+
+/**
+ * Format a value as a CSV field
+ * @param   {*} value The value
+ * @returns {string}  The field
+ */
+function formatCSVField(value) {
+    value = value === null || typeof value === 'undefined' ? '' : String(value);
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+/**
+ * Read the entries of a CSV or JSON manifest; relative paths are resolved against the
+ * directory of the manifest
+ * @param   {string}   file     The path of the manifest
+ * @param   {Function} callback Function to call with an error or the entries
+ * @returns {void}
+ */
+function readManifest(file, callback) {
+    fs.readFile(file, 'utf8', function (err, text) {
+        var entries,
+            rows,
+            header;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        try {
+            if (/\.json$/i.test(file)) {
+                entries = JSON.parse(text);
+                if (!Array.isArray(entries)) {
+                    throw new Error('The manifest must be an array of sources.');
+                }
+            } else {
+                rows = parseCSV(text);
+                header = (rows.shift() || []).map(function (name) {
+                    return name.trim();
+                });
+                if (header.indexOf('source') === -1) {
+                    throw new Error('The manifest must have a source column.');
+                }
+                entries = rows.map(function (row) {
+                    var entry = {};
+                    header.forEach(function (name, i) {
+                        if (row[i]) {
+                            entry[name] = row[i];
+                        }
+                    });
+                    return entry;
+                });
+            }
+        } catch (e) {
+            e.message = 'Invalid manifest ' + file + ': ' + e.message;
+            callback(e);
+            return;
+        }
+
+        callback(null, entries.map(function (entry) {
+            entry = typeof entry === 'string' ? { source: entry } : extend({}, entry);
+            if (typeof entry.source === 'string' && !URL_RE.test(entry.source)) {
+                entry.source = path.resolve(path.dirname(file), entry.source);
+            }
+            return entry;
+        }));
+    });
+}
+
+/**
+ * Upload many files (by path or URL) with bounded concurrency, continuing past failed
+ * uploads, and report the result of each one
+ *
+ * Emits 'result' with the result of each upload as it completes, and 'end' with the
+ * report when every upload has completed.
+ *
+ * @param {Object}          documents                 The client's documents API
+ * @param {string|Array}    sources                   A directory, a CSV or JSON manifest, a file path or URL, or an array of paths, URLs and entries (`{ source, name, thumbnails, non_svg, params }`)
+ * @param {Object}          [options]                 Upload options
+ * @param {int}             [options.concurrency]     The maximum number of concurrent uploads (default: 4)
+ * @param {string|Array}    [options.include]         Glob patterns of the files to upload from a directory (default: every file)
+ * @param {string|Array}    [options.exclude]         Glob patterns of the files to skip in a directory
+ * @param {Object}          [options.params]          Upload parameters for every file (entries can override them)
+ * @param {string}          [options.report]          A path to write the report to, as CSV (if it ends with .csv) or JSON
+ * @param {boolean|Object}  [options.retry]           The retry option to use for uploads
+ * @param {int}             [options.timeout]         The timeout of each upload
+ * @param {AbortSignal}     [options.signal]          A signal to cancel the uploads with
+ * @param {Function}        [callback]                Function to call with the report (an array of `{ source, name, id, status, error }`), or an error if the sources cannot be read
+ * @constructor
+ */
+function BulkUpload(documents, sources, options, callback) {
+    var upload = this;
+
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.documents = documents;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.include = [].concat(options.include || []);
+    this.exclude = [].concat(options.exclude || []);
+    this.params = options.params || {};
+    this.reportFile = options.report || null;
+    this.uploadOptions = {
+        retry: options.retry,
+        timeout: options.timeout,
+        signal: options.signal
+    };
+    this.callback = callback;
+    this.report = [];
+    this.finished = false;
+
+    this.resolve(sources, function (err, entries) {
+        if (err) {
+            upload.finish(err);
+            return;
+        }
+        upload.run(entries);
+    });
+}
+
+util.inherits(BulkUpload, EventEmitter);
+
+/**
+ * Resolve the sources to a list of entries to upload
+ * @param   {string|Array} sources  The sources
+ * @param   {Function}     callback Function to call with an error or the entries
+ * @returns {void}
+ */
+BulkUpload.prototype.resolve = function (sources, callback) {
+    var upload = this;
+
+    if (Array.isArray(sources)) {
+        process.nextTick(function () {
+            callback(null, sources.map(function (entry) {
+                return typeof entry === 'string' ? { source: entry } : entry;
+            }));
+        });
+        return;
+    }
+
+    if (typeof sources !== 'string') {
+        process.nextTick(function () {
+            callback(new Error('Sources must be a path, a URL or an array.'));
+        });
+        return;
+    }
+
+    if (URL_RE.test(sources)) {
+        process.nextTick(function () {
+            callback(null, [{ source: sources }]);
+        });
+        return;
+    }
+
+    fs.stat(sources, function (err, stat) {
+        if (err) {
+            callback(err);
+        } else if (stat.isDirectory()) {
+            walk(sources, '', function (err, files) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                callback(null, files.filter(function (file) {
+                    return (!upload.include.length || matchesAny(file, upload.include)) &&
+                        !matchesAny(file, upload.exclude);
+                }).map(function (file) {
+                    return { source: path.join(sources, file) };
+                }));
+            });
+        } else if (MANIFEST_RE.test(sources)) {
+            readManifest(sources, callback);
+        } else {
+            callback(null, [{ source: sources }]);
+        }
+    });
+};
+
+/**
+ * Upload a single entry
+ * @param   {Object}   entry    The entry
+ * @param   {Function} callback Function to call with the result
+ * @returns {void}
+ */
+BulkUpload.prototype.uploadEntry = function (entry, callback) {
+    var documents = this.documents,
+        source = entry.source,
+        params = extend({}, this.params, entry.params),
+        options;
+
+    PARAM_FIELDS.forEach(function (name) {
+        if (typeof entry[name] !== 'undefined' && entry[name] !== '') {
+            params[name] = entry[name];
+        }
+    });
+
+    options = extend({}, this.uploadOptions, { params: params });
+
+    function complete(err, doc) {
+        if (err) {
+            doc = null;
+        }
+        callback({
+            source: source,
+            name: (doc && doc.name) || params.name || (typeof source === 'string' ? path.basename(source) : null),
+            id: (doc && doc.id) || null,
+            status: err ? 'failed' : doc.status,
+            error: err ? err.message : null
+        });
+    }
+
+    // invalid params are reported like any other failure
+    function upload(method) {
+        try {
+            documents[method](source, options, complete);
+        } catch (err) {
+            complete(err);
+        }
+    }
+
+    if (typeof source !== 'string' || !source) {
+        complete(new Error('Missing source.'));
+    } else if (URL_RE.test(source)) {
+        upload('uploadURL');
+    } else {
+        // check the file first, so a missing file is reported like any other failure
+        fs.stat(source, function (err, stat) {
+            if (!err && !stat.isFile()) {
+                err = new Error(source + ' is not a file.');
+            }
+            if (err) {
+                complete(err);
+                return;
+            }
+            upload('uploadFile');
+        });
+    }
+};
+
+/**
+ * Upload the entries with bounded concurrency
+ * @param   {Array} entries The entries
+ * @returns {void}
+ */
+BulkUpload.prototype.run = function (entries) {
+    var upload = this,
+        index = 0,
+        active = 0;
+
+    upload.report = new Array(entries.length);
+
+    function start(i) {
+        active++;
+        upload.uploadEntry(entries[i], function (result) {
+            // entries can fail synchronously (e.g., with invalid params), so completions
+            // are deferred to keep them from starting the next entries recursively
+            process.nextTick(function () {
+                active--;
+                // the report is in the order of the sources, not of completion
+                upload.report[i] = result;
+                upload.emit('result', result);
+                next();
+            });
+        });
+    }
+
+    function next() {
+        while (active < upload.concurrency && index < entries.length) {
+            start(index++);
+        }
+        if (index >= entries.length && active === 0) {
+            upload.finish();
+        }
+    }
+
+    next();
+};
+
+/**
+ * Write the report to the report file (if any), then call the callback (only once)
+ * @param   {Error} [err] An error that prevented the uploads
+ * @returns {void}
+ */
+BulkUpload.prototype.finish = function (err) {
+    var upload = this,
+        callback = this.callback || function () {},
+        text;
+
+    if (this.finished) {
+        return;
+    }
+    this.finished = true;
+
+    if (err) {
+        callback(err);
+        return;
+    }
+
+    this.emit('end', this.report);
+
+    if (!this.reportFile) {
+        callback(null, this.report);
+        return;
+    }
+
+    if (/\.csv$/i.test(this.reportFile)) {
+        text = [REPORT_FIELDS].concat(this.report.map(function (result) {
+            return REPORT_FIELDS.map(function (name) {
+                return result[name];
+            });
+        })).map(function (row) {
+            return row.map(formatCSVField).join(',');
+        }).join('\n') + '\n';
+    } else {
+        text = JSON.stringify(this.report, null, 2) + '\n';
+    }
+
+    fs.writeFile(this.reportFile, text, function (err) {
+        callback(err || null, upload.report);
+    });
+};
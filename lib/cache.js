@@ -0,0 +1,749 @@
+'use strict';
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    url = require('url'),
+    crypto = require('crypto'),
+    querystring = require('querystring'),
+    extend = require('extend'),
+    copyResponse = require('./plugins').copyResponse;
+
+var HOUR = 60 * 60 * 1000,
+    DEFAULT_TTL = {
+        documents: HOUR,
+        thumbnails: 24 * HOUR,
+        content: 0
+    },
+    DEFAULT_MAX_ENTRIES = 500,
+    DEFAULT_MAX_ENTRY_SIZE = 10 * 1024 * 1024,
+    HEADER_CHUNK_SIZE = 1024,
+    NEWLINE = 10,
+    MAX_HEADER_SIZE = 64 * 1024,
+    CACHE_HEADER = 'x-box-view-cache',
+    STORED_HEADERS = ['content-type', 'content-length', 'etag', 'last-modified'],
+    RESOURCES = {
+        'documents.get': 'documents',
+        'documents.getThumbnail': 'thumbnails',
+        'documents.getContent': 'content'
+    },
+    INVALIDATING_METHODS = ['documents.update', 'documents.delete'];
+
+module.exports = ResponseCache;
+
+/**
+ * Hash a string
+ * @param   {string} value The string
+ * @returns {string}       The hex-encoded SHA-1 hash
+ */
+function hash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Get the id of the document a request is for
+ * @param   {Object} ctx The context of the request (see client.use)
+ * @returns {string}     The document id, or null if the request is not for a single document
+ */
+function getDocumentId(ctx) {
+    var base = ctx.client.documentsURL + '/',
+        id;
+
+    if (ctx.request.url.indexOf(base) !== 0) {
+        return null;
+    }
+    id = ctx.request.url.slice(base.length).split(/[\/?]/)[0];
+    return id ? decodeURIComponent(id) : null;
+}
+
+/**
+ * Get the cache key of a request: the API token, the method, and the URL with its query
+ * parameters (and the names in `fields`) sorted, so equivalent requests share a key
+ * @param   {Object} ctx The context of the request (see client.use)
+ * @returns {string}     The key
+ */
+function getCacheKey(ctx) {
+    var parsed = url.parse(ctx.request.url, true),
+        query = {};
+
+    Object.keys(parsed.query).sort().forEach(function (name) {
+        var value = parsed.query[name];
+
+        if (name === 'fields') {
+            value = String(value).split(',').map(function (field) {
+                return field.trim();
+            }).filter(Boolean).sort().join(',');
+        }
+        query[name] = value;
+    });
+
+    return hash([
+        ctx.request.headers.authorization || '',
+        ctx.name,
+        parsed.pathname,
+        querystring.stringify(query)
+    ].join('\n'));
+}
+
+/**
+ * Check whether a documents.get response body is of a document that is done
+ * @param   {Buffer}  body The response body
+ * @returns {boolean}      Whether the document is done
+ */
+function isDone(body) {
+    try {
+        return JSON.parse(body.toString()).status === 'done';
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * An in-memory store of cache entries, which evicts the least recently used entries
+ * when it is full
+ * @param {Object} [options]     Store options
+ * @param {int}    [options.max] The maximum number of entries (default: 500)
+ * @constructor
+ */
+function MemoryStore(options) {
+    options = options || {};
+
+    this.max = options.max || DEFAULT_MAX_ENTRIES;
+    this.clear();
+}
+
+/**
+ * Get an entry (and mark it as recently used)
+ * @param   {string}   group    The group of the entry (a document id)
+ * @param   {string}   key      The key
+ * @param   {Function} callback Function to call (synchronously) with null and the entry, or undefined if there is none
+ * @returns {void}
+ */
+MemoryStore.prototype.get = function (group, key, callback) {
+    // keys are prefixed, so they keep their insertion order
+    var record = this.entries['k' + key];
+
+    if (!record) {
+        callback(null, undefined);
+        return;
+    }
+    delete this.entries['k' + key];
+    this.entries['k' + key] = record;
+    callback(null, record.entry);
+};
+
+/**
+ * Store an entry, evicting the least recently used entries if the store is full
+ * @param   {string}   group      The group of the entry (a document id)
+ * @param   {string}   key        The key
+ * @param   {Object}   entry      The entry (with its body as a Buffer)
+ * @param   {Function} [callback] Function to call once the entry is stored
+ * @returns {void}
+ */
+MemoryStore.prototype.set = function (group, key, entry, callback) {
+    var oldest;
+
+    this.delete(group, key);
+    this.entries['k' + key] = { group: group, entry: entry };
+    this.groups[group] = this.groups[group] || {};
+    this.groups[group][key] = true;
+    this.count++;
+
+    while (this.count > this.max) {
+        for (oldest in this.entries) {
+            break;
+        }
+        this.delete(this.entries[oldest].group, oldest.slice(1));
+    }
+    done(callback);
+};
+
+/**
+ * Remove an entry
+ * @param   {string}   group      The group of the entry (a document id)
+ * @param   {string}   key        The key
+ * @param   {Function} [callback] Function to call once the entry is removed
+ * @returns {void}
+ */
+MemoryStore.prototype.delete = function (group, key, callback) {
+    done(callback);
+    if (!this.entries['k' + key]) {
+        return;
+    }
+    delete this.entries['k' + key];
+    delete this.groups[group][key];
+    if (!Object.keys(this.groups[group]).length) {
+        delete this.groups[group];
+    }
+    this.count--;
+};
+
+/**
+ * Remove every entry of a group
+ * @param   {string}   group      The group (a document id)
+ * @param   {Function} [callback] Function to call once the entries are removed
+ * @returns {void}
+ */
+MemoryStore.prototype.deleteGroup = function (group, callback) {
+    var store = this;
+
+    Object.keys(this.groups[group] || {}).forEach(function (key) {
+        store.delete(group, key);
+    });
+    done(callback);
+};
+
+/**
+ * Remove every entry
+ * @param   {Function} [callback] Function to call once the entries are removed
+ * @returns {void}
+ */
+MemoryStore.prototype.clear = function (callback) {
+    this.entries = {};
+    this.groups = {};
+    this.count = 0;
+    done(callback);
+};
+
+/**
+ * Call an optional callback of a store method on the next tick
+ * @param   {Function} [callback] The callback
+ * @returns {void}
+ */
+function done(callback) {
+    if (typeof callback === 'function') {
+        process.nextTick(callback);
+    }
+}
+
+/**
+ * Call a function with each item (all at once), then a callback once they are all done
+ * @param   {Array}    items    The items
+ * @param   {Function} fn       Function to call with each item and a function to call when it is done
+ * @param   {Function} callback Function to call when every item is done
+ * @returns {void}
+ */
+function each(items, fn, callback) {
+    var pending = items.length;
+
+    if (!pending) {
+        callback();
+        return;
+    }
+    items.forEach(function (item) {
+        fn(item, function () {
+            if (--pending === 0) {
+                callback();
+            }
+        });
+    });
+}
+
+/**
+ * Remove a directory and the files in it, ignoring errors
+ * @param   {string}   dir      The directory
+ * @param   {Function} callback Function to call once it is removed
+ * @returns {void}
+ */
+function removeDir(dir, callback) {
+    fs.readdir(dir, function (err, files) {
+        each(files || [], function (file, next) {
+            fs.unlink(path.join(dir, file), function () {
+                next();
+            });
+        }, function () {
+            fs.rmdir(dir, function () {
+                callback();
+            });
+        });
+    });
+}
+
+/**
+ * Create a directory and its missing parents (fs.mkdir's recursive option is not
+ * available in every node version)
+ * @param   {string}   dir      The directory
+ * @param   {Function} callback Function to call with an error, once it exists
+ * @returns {void}
+ */
+function makeDir(dir, callback) {
+    fs.mkdir(dir, function (err) {
+        if (err && err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+            makeDir(path.dirname(dir), function (err) {
+                if (err) {
+                    callback(err);
+                } else {
+                    makeDir(dir, callback);
+                }
+            });
+        } else if (err && err.code !== 'EEXIST') {
+            callback(err);
+        } else {
+            callback(null);
+        }
+    });
+}
+
+/**
+ * Find the end of the first line in a buffer
+ * @param   {Buffer} buffer The buffer
+ * @param   {int}    length The number of bytes to search
+ * @returns {int}           The index of the newline, or -1 if there is none
+ */
+function findNewline(buffer, length) {
+    var i;
+
+    for (i = 0; i < length; i++) {
+        if (buffer[i] === NEWLINE) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read the header of an entry file: its metadata, as a line of JSON before the body
+ * @param   {int}      fd       The file descriptor
+ * @param   {Function} callback Function to call with an error, or null, the entry (without its body) and the length of the header in bytes
+ * @returns {void}
+ */
+function readHeader(fd, callback) {
+    var chunk = new Buffer(HEADER_CHUNK_SIZE),
+        chunks = [],
+        length = 0;
+
+    function read() {
+        fs.read(fd, chunk, 0, chunk.length, length, function (err, bytes) {
+            var end,
+                entry;
+
+            if (err || !bytes || length > MAX_HEADER_SIZE) {
+                callback(err || new Error('Invalid cache entry'));
+                return;
+            }
+            end = findNewline(chunk, bytes);
+            // copy the bytes, since the chunk is read into again
+            chunks.push(new Buffer(chunk.slice(0, end === -1 ? bytes : end)));
+            length += end === -1 ? bytes : end;
+            if (end === -1) {
+                read();
+                return;
+            }
+            try {
+                entry = JSON.parse(Buffer.concat(chunks, length).toString());
+            } catch (e) {
+                callback(e);
+                return;
+            }
+            callback(null, entry, length + 1);
+        });
+    }
+
+    read();
+}
+
+/**
+ * A store of cache entries on disk (a directory per document, and a file per entry),
+ * which can be shared by processes; expired entries are removed when they are read
+ *
+ * Each file has a line of JSON metadata, then the body, which is streamed from the open
+ * file (so it can't be removed or replaced in the meantime). Entries that are still being
+ * written are kept in memory, so they can be read right away. Errors are ignored (the
+ * entry is not cached).
+ *
+ * @param {Object} [options]     Store options
+ * @param {string} [options.dir] The directory (default: box-view-cache in os.tmpdir())
+ * @constructor
+ */
+function FileStore(options) {
+    options = options || {};
+
+    this.dir = options.dir || path.join(os.tmpdir(), 'box-view-cache');
+    // the entries that are being written, by file
+    this.writes = Object.create(null);
+    // the writes in flight (including removed entries that are still being written), each
+    // with the functions to call once it is done
+    this.inFlight = [];
+}
+
+/**
+ * Get the path of the file of an entry
+ * @param   {string} group The group of the entry (a document id)
+ * @param   {string} key   The key
+ * @returns {string}       The path
+ */
+FileStore.prototype.file = function (group, key) {
+    return path.join(this.dir, hash(group), key + '.entry');
+};
+
+/**
+ * Get an entry
+ * @param   {string}   group    The group of the entry (a document id)
+ * @param   {string}   key      The key
+ * @param   {Function} callback Function to call with null and the entry (with its body as a readable stream, unless it is still being written), or undefined if there is none (or it can't be read)
+ * @returns {void}
+ */
+FileStore.prototype.get = function (group, key, callback) {
+    var file = this.file(group, key);
+
+    if (this.writes[file]) {
+        callback(null, this.writes[file]);
+        return;
+    }
+    fs.open(file, 'r', function (err, fd) {
+        if (err) {
+            callback(null, undefined);
+            return;
+        }
+        readHeader(fd, function (err, entry, length) {
+            if (err) {
+                fs.close(fd, function () {
+                    callback(null, undefined);
+                });
+                return;
+            }
+            entry.body = fs.createReadStream(file, { fd: fd, start: length });
+            callback(null, entry);
+        });
+    });
+};
+
+/**
+ * Store an entry (the file is written to a temp file first, so it is never read half-written)
+ * @param   {string}   group      The group of the entry (a document id)
+ * @param   {string}   key        The key
+ * @param   {Object}   entry      The entry (with its body as a Buffer)
+ * @param   {Function} [callback] Function to call once the entry is stored
+ * @returns {void}
+ */
+FileStore.prototype.set = function (group, key, entry, callback) {
+    var store = this,
+        file = this.file(group, key),
+        temp = file + '.' + crypto.randomBytes(4).toString('hex'),
+        metadata = extend({}, entry),
+        write = { waiting: [] },
+        header;
+
+    // the entry was removed (or replaced) while it was being written
+    function isStale() {
+        return store.writes[file] !== entry;
+    }
+
+    function settle() {
+        store.inFlight.splice(store.inFlight.indexOf(write), 1);
+        write.waiting.forEach(function (fn) {
+            fn();
+        });
+        done(callback);
+    }
+
+    function finish(remove) {
+        if (!isStale()) {
+            delete store.writes[file];
+        }
+        if (remove) {
+            fs.unlink(remove, settle);
+        } else {
+            settle();
+        }
+    }
+
+    delete metadata.body;
+    header = new Buffer(JSON.stringify(metadata) + '\n');
+
+    this.writes[file] = entry;
+    this.inFlight.push(write);
+    makeDir(path.dirname(file), function (err) {
+        if (err || isStale()) {
+            finish();
+            return;
+        }
+        fs.writeFile(temp, Buffer.concat([header, entry.body]), function (err) {
+            if (err || isStale()) {
+                finish(temp);
+                return;
+            }
+            fs.rename(temp, file, function (err) {
+                if (err) {
+                    finish(temp);
+                } else {
+                    finish(isStale() ? file : null);
+                }
+            });
+        });
+    });
+};
+
+/**
+ * Wait for the writes in flight, e.g., so the directories of removed entries aren't
+ * created again after they are removed
+ * @param   {Function} callback Function to call once they are done
+ * @returns {void}
+ */
+FileStore.prototype.settle = function (callback) {
+    each(this.inFlight.slice(), function (write, next) {
+        write.waiting.push(next);
+    }, callback);
+};
+
+/**
+ * Remove an entry
+ * @param   {string}   group      The group of the entry (a document id)
+ * @param   {string}   key        The key
+ * @param   {Function} [callback] Function to call once the entry is removed
+ * @returns {void}
+ */
+FileStore.prototype.delete = function (group, key, callback) {
+    var file = this.file(group, key);
+
+    delete this.writes[file];
+    fs.unlink(file, function () {
+        // errors mean it's already gone
+        done(callback);
+    });
+};
+
+/**
+ * Remove every entry of a group
+ * @param   {string}   group      The group (a document id)
+ * @param   {Function} [callback] Function to call once the entries are removed
+ * @returns {void}
+ */
+FileStore.prototype.deleteGroup = function (group, callback) {
+    var store = this,
+        dir = path.join(this.dir, hash(group));
+
+    Object.keys(this.writes).forEach(function (file) {
+        if (path.dirname(file) === dir) {
+            delete store.writes[file];
+        }
+    });
+    this.settle(function () {
+        removeDir(dir, function () {
+            done(callback);
+        });
+    });
+};
+
+/**
+ * Remove every entry
+ * @param   {Function} [callback] Function to call once the entries are removed
+ * @returns {void}
+ */
+FileStore.prototype.clear = function (callback) {
+    var dir = this.dir;
+
+    this.writes = Object.create(null);
+    this.settle(function () {
+        fs.readdir(dir, function (err, groups) {
+            // if there is an error, there is nothing to clear
+            each(groups || [], function (group, next) {
+                removeDir(path.join(dir, group), next);
+            }, function () {
+                done(callback);
+            });
+        });
+    });
+};
+
+/**
+ * Create the store of a cache
+ * @param   {string|Object} [store]   'memory' (default), 'disk', or a store object (with the methods of MemoryStore; `get` calls back with the entry, whose body can be a Buffer or a readable stream)
+ * @param   {Object}        [options] Store options
+ * @returns {Object}                  The store
+ */
+function createStore(store, options) {
+    if (store && typeof store === 'object') {
+        return store;
+    }
+    if (!store || store === 'memory') {
+        return new MemoryStore(options);
+    }
+    if (store === 'disk') {
+        return new FileStore(options);
+    }
+    throw new Error('Invalid cache store: ' + store + ' (must be memory, disk or a store object)');
+}
+
+/**
+ * A cache of API responses, as a plugin (see client.use): responses to documents.get
+ * (only for documents that are done, since other documents are still changing),
+ * documents.getThumbnail and documents.getContent (only 200 responses; a 202 means the
+ * content is not ready yet) are cached for the TTL of their resource type, and served
+ * without a request until they expire
+ *
+ * The entries of a document are removed when it is updated or deleted with the client.
+ * Cached responses have an `x-box-view-cache: hit` header.
+ *
+ * @param {Object}        [options]                Cache options
+ * @param {string|Object} [options.store]          'memory' (default), 'disk', or a store object (see MemoryStore)
+ * @param {int}           [options.max]            The maximum number of entries of the memory store (default: 500)
+ * @param {string}        [options.dir]            The directory of the disk store (default: box-view-cache in os.tmpdir())
+ * @param {Object}        [options.ttl]            The TTL of each resource type in milliseconds (0 to not cache it)
+ * @param {int}           [options.ttl.documents]  The TTL of document metadata (default: 1 hour)
+ * @param {int}           [options.ttl.thumbnails] The TTL of thumbnails (default: 24 hours)
+ * @param {int}           [options.ttl.content]    The TTL of document content (default: 0)
+ * @param {int}           [options.maxEntrySize]   The maximum size of a cached body in bytes (default: 10MB)
+ * @constructor
+ */
+function ResponseCache(options) {
+    options = options || {};
+
+    this.store = createStore(options.store, options);
+    this.ttl = extend({}, DEFAULT_TTL, options.ttl);
+    this.maxEntrySize = options.maxEntrySize || DEFAULT_MAX_ENTRY_SIZE;
+    // when each document was last invalidated, so responses to requests that were
+    // already in flight at the time are not cached
+    this.invalidated = Object.create(null);
+    this.hits = 0;
+    this.misses = 0;
+}
+
+/**
+ * Get the TTL of the response to a request
+ * @param   {Object} ctx The context of the request
+ * @returns {int}        The TTL in milliseconds, or 0 if the response is not cacheable
+ */
+ResponseCache.prototype.getTTL = function (ctx) {
+    var resource = RESOURCES[ctx.name];
+
+    if (!resource || ctx.request.method !== 'GET') {
+        return 0;
+    }
+    return this.ttl[resource] || 0;
+};
+
+/**
+ * Remove the cached responses of a document
+ * @param   {string}   id         The document id
+ * @param   {Function} [callback] Function to call once they are removed
+ * @returns {void}
+ */
+ResponseCache.prototype.invalidate = function (id, callback) {
+    var invalidated = this.invalidated,
+        ttl = this.ttl,
+        now = Date.now(),
+        maxTTL = Math.max.apply(null, Object.keys(ttl).map(function (resource) {
+            return ttl[resource] || 0;
+        }));
+
+    // a request that started before then would have expired from the cache anyway
+    Object.keys(invalidated).forEach(function (other) {
+        if (invalidated[other] < now - maxTTL) {
+            delete invalidated[other];
+        }
+    });
+    invalidated[id] = now;
+    this.store.deleteGroup(id, callback);
+};
+
+/**
+ * Remove every cached response
+ * @param   {Function} [callback] Function to call once they are removed
+ * @returns {void}
+ */
+ResponseCache.prototype.clear = function (callback) {
+    this.store.clear(callback);
+};
+
+/**
+ * Get the number of requests that were served from the cache (`hits`) and that were sent (`misses`)
+ * @returns {Object} The stats
+ */
+ResponseCache.prototype.stats = function () {
+    return { hits: this.hits, misses: this.misses };
+};
+
+/**
+ * Plugin hook: respond from the cache, or invalidate a document that is being changed
+ * @param   {Object}   ctx  The context of the request
+ * @param   {Function} next Function to call once the cache has been checked
+ * @returns {void}
+ */
+ResponseCache.prototype.onRequest = function (ctx, next) {
+    var cache = this,
+        id = getDocumentId(ctx),
+        key;
+
+    if (id && INVALIDATING_METHODS.indexOf(ctx.name) > -1) {
+        this.invalidate(id);
+        next();
+        return;
+    }
+    if (!id || !this.getTTL(ctx)) {
+        next();
+        return;
+    }
+
+    key = getCacheKey(ctx);
+    this.store.get(id, key, function (err, entry) {
+        if (entry && entry.expires > Date.now()) {
+            cache.hits++;
+            ctx.response = {
+                statusCode: entry.statusCode,
+                headers: extend({}, entry.headers),
+                body: entry.body
+            };
+            ctx.response.headers[CACHE_HEADER] = 'hit';
+            next();
+            return;
+        }
+        if (entry) {
+            if (entry.body && typeof entry.body.destroy === 'function') {
+                // close the file of an expired entry
+                entry.body.destroy();
+            }
+            cache.store.delete(id, key);
+        }
+        cache.misses++;
+        next();
+    });
+};
+
+/**
+ * Plugin hook: cache a successful response once it has been read
+ * @param   {Object} ctx The context of the request
+ * @returns {void}
+ */
+ResponseCache.prototype.onResponse = function (ctx) {
+    var cache = this,
+        response = ctx.response,
+        id = getDocumentId(ctx),
+        ttl = id ? this.getTTL(ctx) : 0,
+        key;
+
+    if (id && INVALIDATING_METHODS.indexOf(ctx.name) > -1) {
+        this.invalidate(id);
+        return;
+    }
+    // responses with a retry-after header are retried, even with a 200
+    if (!ttl || response.statusCode !== 200 || response.headers[CACHE_HEADER] || response.headers['retry-after']) {
+        return;
+    }
+
+    key = getCacheKey(ctx);
+    ctx.response = copyResponse(response, this.maxEntrySize, function (body, length) {
+        var headers = {};
+
+        if (length > cache.maxEntrySize || (cache.invalidated[id] || 0) >= ctx.attemptStartedAt) {
+            return;
+        }
+        if (ctx.name === 'documents.get' && !isDone(body)) {
+            return;
+        }
+        STORED_HEADERS.forEach(function (name) {
+            if (response.headers[name]) {
+                headers[name] = response.headers[name];
+            }
+        });
+        cache.store.set(id, key, {
+            expires: Date.now() + ttl,
+            statusCode: response.statusCode,
+            headers: headers,
+            body: body
+        });
+    });
+};
+
+ResponseCache.MemoryStore = MemoryStore;
+ResponseCache.FileStore = FileStore;
@@ -0,0 +1,234 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    PassThrough = require('stream').PassThrough,
+    extend = require('extend'),
+    redactHeaders = require('./logger').redactHeaders;
+
+var MODES = ['record', 'replay'],
+    REDACTED = '[REDACTED]',
+    CASSETTE_HEADER = 'x-box-view-cassette',
+    TEXT_RE = /json|text|xml|javascript/;
+
+module.exports = Cassette;
+
+/**
+ * Serialize a request body so recorded and replayed requests can be compared
+ * @param   {*}      body The body
+ * @returns {string}      The serialized body, or null if there is none (or it is a stream, like a file upload)
+ */
+function serializeBody(body) {
+    if (body === null || typeof body === 'undefined' || typeof body.pipe === 'function') {
+        return null;
+    }
+    if (Buffer.isBuffer(body)) {
+        return body.toString('base64');
+    }
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Get the API token of a request from its authorization header
+ * @param   {Object} headers The request headers
+ * @returns {string}         The token, or null if there is none
+ */
+function getToken(headers) {
+    var match = /^\w+\s+(.+)$/.exec(headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Create a directory and its missing parents (fs.mkdirSync's recursive option is not
+ * available in every node version)
+ * @param   {string} dir The directory
+ * @returns {void}
+ * @throws  {Error}      If the directory can't be created
+ */
+function makeDirSync(dir) {
+    try {
+        fs.mkdirSync(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+            makeDirSync(path.dirname(dir));
+            makeDirSync(dir);
+        } else if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+}
+
+/**
+ * A recording of the requests a client makes and their responses (including streamed
+ * bodies, like document content), as a plugin (see client.use), for integration tests
+ * that run without network access
+ *
+ * In 'record' mode, every request and its response are written to the cassette file
+ * (replacing what was recorded before), with the API token scrubbed. In 'replay' mode,
+ * requests are answered from the file instead of the API: each request gets the first
+ * response recorded for the same method, URL and body that hasn't been replayed yet, and
+ * a request that wasn't recorded fails with an error.
+ *
+ * @param {Object} options        Cassette options
+ * @param {string} options.file   The path of the cassette file (JSON)
+ * @param {string} [options.mode] 'record' or 'replay' (default: 'replay')
+ * @constructor
+ * @throws {Error} If the options are invalid, or the file can't be read in replay mode
+ */
+function Cassette(options) {
+    var data;
+
+    options = options || {};
+
+    if (!options.file) {
+        throw new Error('The file option is required.');
+    }
+    this.file = options.file;
+    this.mode = options.mode || 'replay';
+    if (MODES.indexOf(this.mode) === -1) {
+        throw new Error('Invalid cassette mode: ' + this.mode + ' (must be record or replay)');
+    }
+
+    this.interactions = [];
+    if (this.mode === 'replay') {
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            throw new Error('Cannot read the cassette ' + this.file + ': ' + err.message);
+        }
+        this.interactions = data.interactions.map(function (interaction) {
+            return { request: interaction.request, response: interaction.response, played: false };
+        });
+    }
+}
+
+/**
+ * Write the recorded interactions to the cassette file
+ * @returns {void}
+ */
+Cassette.prototype.save = function () {
+    var interactions = this.interactions.map(function (interaction) {
+        return { request: interaction.request, response: interaction.response };
+    });
+
+    makeDirSync(path.dirname(this.file));
+    fs.writeFileSync(this.file, JSON.stringify({ interactions: interactions }, null, 2) + '\n');
+};
+
+/**
+ * Record a request and its response
+ * @param   {Object} ctx      The context of the request (see client.use)
+ * @param   {Object} response The response (with `statusCode` and `headers`)
+ * @param   {Buffer} body     The response body
+ * @returns {void}
+ */
+Cassette.prototype.record = function (ctx, response, body) {
+    var token = getToken(ctx.request.headers),
+        text = TEXT_RE.test(response.headers['content-type'] || ''),
+        interaction = {
+            request: {
+                method: ctx.request.method,
+                url: ctx.request.url,
+                headers: redactHeaders(ctx.request.headers),
+                body: serializeBody(ctx.request.body)
+            },
+            response: {
+                statusCode: response.statusCode,
+                headers: redactHeaders(response.headers),
+                encoding: text ? 'utf8' : 'base64',
+                body: body.toString(text ? 'utf8' : 'base64')
+            }
+        };
+
+    if (token) {
+        // the token could also be echoed in a URL or body
+        interaction = JSON.parse(JSON.stringify(interaction).split(token).join(REDACTED));
+    }
+    this.interactions.push(interaction);
+    this.save();
+};
+
+/**
+ * Plugin hook: respond to a request with its recorded response, in replay mode
+ * @param   {Object} ctx The context of the request
+ * @returns {void}
+ * @throws  {Error}      If the request wasn't recorded
+ */
+Cassette.prototype.onRequest = function (ctx) {
+    var body = serializeBody(ctx.request.body),
+        match,
+        response;
+
+    if (this.mode !== 'replay') {
+        return;
+    }
+
+    match = this.interactions.filter(function (interaction) {
+        var request = interaction.request;
+
+        return !interaction.played &&
+            request.method === ctx.request.method &&
+            request.url === ctx.request.url &&
+            (body === null || request.body === null || request.body === body);
+    })[0];
+
+    if (!match) {
+        throw new Error('No response was recorded for ' + ctx.request.method + ' ' + ctx.request.url +
+            ' (' + ctx.name + ') in the cassette ' + this.file + '; record it again to add it.');
+    }
+
+    match.played = true;
+    response = match.response;
+    ctx.response = {
+        statusCode: response.statusCode,
+        headers: extend({}, response.headers),
+        body: new Buffer(response.body, response.encoding)
+    };
+    ctx.response.headers[CASSETTE_HEADER] = 'replay';
+};
+
+/**
+ * Plugin hook: record each response, in record mode; the body is read right away (so
+ * responses are recorded even if they are never read), and passed on once it has been read
+ * @param   {Object} ctx The context of the request
+ * @returns {void}
+ */
+Cassette.prototype.onResponse = function (ctx) {
+    var cassette = this,
+        response = ctx.response,
+        copy,
+        chunks = [];
+
+    if (this.mode !== 'record') {
+        return;
+    }
+
+    copy = new PassThrough();
+    copy.statusCode = response.statusCode;
+    copy.headers = response.headers;
+    copy.response = response;
+    Object.defineProperty(copy, 'complete', {
+        get: function () {
+            return response.complete;
+        }
+    });
+
+    response.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    response.on('end', function () {
+        var body = Buffer.concat(chunks);
+
+        try {
+            cassette.record(ctx, response, body);
+        } catch (err) {
+            copy.emit('error', err);
+            return;
+        }
+        copy.end(body);
+    });
+    response.on('error', function (err) {
+        copy.emit('error', err);
+    });
+    ctx.response = copy;
+};
@@ -0,0 +1,609 @@
+'use strict';
+
+var fs = require('fs'),
+    extend = require('extend'),
+    BoxView = require('../index'),
+    PassThrough = require('stream').PassThrough,
+    getEntries = require('./list-stream').getEntries;
+
+var EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    UNAUTHORIZED: 3,
+    NOT_FOUND: 4,
+    CONVERSION_FAILED: 5
+};
+
+var USAGE = [
+    'Usage: box-view <command> [arguments] [options]',
+    '',
+    'Commands:',
+    '  upload <path|url|->          Upload a file (- reads from stdin) or a URL',
+    '      --name <name>            The name of the document',
+    '      --thumbnails <WxH,...>   Thumbnail dimensions to generate',
+    '      --non-svg                Also create the non-svg version of the document',
+    '      --wait                   Wait until the conversion is done',
+    '  list                         List documents',
+    '      --limit <n>              The number of documents to return',
+    '      --created-before <date>  Only documents created before this date',
+    '      --created-after <date>   Only documents created after this date',
+    '      --all                    List every document (page by page)',
+    '  get <id>                     Get the metadata of a document',
+    '      --fields <a,b,...>       The fields to return',
+    '  update <id>                  Update the metadata of a document',
+    '      --name <name>            The new name of the document',
+    '  delete <id>                  Delete a document',
+    '  content <id>                 Download the content of a document (when it is ready)',
+    '      --ext <pdf|zip>          The format to download (default: the original)',
+    '      -o, --output <file>      Write to a file instead of stdout',
+    '  thumbnail <id> <WxH>         Download a thumbnail of a document (when it is ready)',
+    '      -o, --output <file>      Write to a file instead of stdout',
+    '  session <id>                 Create a viewing session for a document',
+    '      --duration <minutes>     The duration of the session',
+    '      --expires-at <date>      When the session should expire',
+    '      --downloadable           Allow the original file to be downloaded',
+    '',
+    'Options:',
+    '  --token <token>              The API token (default: $BOX_VIEW_API_TOKEN)',
+    '  --format <table|json>        The output format (default: table)',
+    '  --json                       Same as --format json',
+    '  -h, --help                   Show this help',
+    '',
+    'Exit codes:',
+    '  0 success, 1 request failed, 2 usage error, 3 unauthorized,',
+    '  4 not found, 5 conversion failed'
+].join('\n');
+
+var GLOBAL_OPTIONS = ['token', 'format', 'json', 'help'],
+    BOOLEAN_OPTIONS = ['json', 'help', 'non-svg', 'wait', 'all', 'downloadable'],
+    OPTION_ALIASES = { o: 'output', h: 'help' },
+    CONTENT_EXTENSIONS = ['pdf', 'zip'];
+
+module.exports = run;
+run.EXIT_CODES = EXIT_CODES;
+run.USAGE = USAGE;
+
+/**
+ * Create an error for invalid command-line usage
+ * @param   {string} message The error message
+ * @returns {Error}          The error
+ */
+function usageError(message) {
+    var err = new Error(message);
+    err.exitCode = EXIT_CODES.USAGE;
+    return err;
+}
+
+/**
+ * Parse command-line arguments into positional arguments and options
+ * @param   {Array}  argv The arguments (without the node and script paths)
+ * @returns {Object}      The parsed arguments ({ args, options })
+ * @throws  {Error}       If an option is missing its value
+ */
+function parseArgs(argv) {
+    var parsed = { args: [], options: {} },
+        arg,
+        name,
+        value,
+        index,
+        i;
+
+    for (i = 0; i < argv.length; i++) {
+        arg = argv[i];
+        if (arg === '--') {
+            parsed.args = parsed.args.concat(argv.slice(i + 1));
+            break;
+        }
+        // a lone '-' is an argument (stdin)
+        if (!/^--?[a-z]/i.test(arg)) {
+            parsed.args.push(arg);
+            continue;
+        }
+
+        name = arg.replace(/^--?/, '');
+        value = undefined;
+        index = name.indexOf('=');
+        if (index > -1) {
+            value = name.slice(index + 1);
+            name = name.slice(0, index);
+        }
+        name = OPTION_ALIASES[name] || name;
+
+        if (BOOLEAN_OPTIONS.indexOf(name) > -1) {
+            parsed.options[name] = value !== 'false';
+        } else {
+            if (typeof value === 'undefined') {
+                value = argv[++i];
+            }
+            if (typeof value === 'undefined') {
+                throw usageError('Missing value for --' + name);
+            }
+            parsed.options[name] = value;
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Flatten an object into [key, value] pairs, using dotted keys for nested objects
+ * @param   {Object} obj      The object
+ * @param   {string} [prefix] The key prefix
+ * @param   {Array}  [pairs]  The pairs collected so far
+ * @returns {Array}           The pairs
+ */
+function flatten(obj, prefix, pairs) {
+    pairs = pairs || [];
+    Object.keys(obj).forEach(function (key) {
+        var value = obj[key];
+        key = prefix ? prefix + '.' + key : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, key, pairs);
+        } else {
+            pairs.push([key, formatValue(value)]);
+        }
+    });
+    return pairs;
+}
+
+/**
+ * Format a single value for a table cell
+ * @param   {*} value The value
+ * @returns {string}  The formatted value
+ */
+function formatValue(value) {
+    if (value === null || typeof value === 'undefined') {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(',');
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Render rows of cells as aligned columns
+ * @param   {Array}  rows The rows (arrays of strings)
+ * @returns {string}      The table
+ */
+function renderRows(rows) {
+    var widths = [];
+
+    rows.forEach(function (row) {
+        row.forEach(function (cell, i) {
+            widths[i] = Math.max(widths[i] || 0, cell.length);
+        });
+    });
+
+    return rows.map(function (row) {
+        return row.map(function (cell, i) {
+            return i === row.length - 1 ? cell : cell + new Array(widths[i] - cell.length + 1).join(' ');
+        }).join('  ');
+    }).join('\n') + '\n';
+}
+
+/**
+ * Format a result as a table: one row per item for arrays, or one row per field for objects
+ * @param   {Array|Object} result The result
+ * @returns {string}              The table
+ */
+function formatTable(result) {
+    var columns = [];
+
+    if (!Array.isArray(result)) {
+        return renderRows(flatten(result));
+    }
+    if (!result.length) {
+        return '';
+    }
+
+    result.forEach(function (item) {
+        flatten(item).forEach(function (pair) {
+            if (columns.indexOf(pair[0]) === -1) {
+                columns.push(pair[0]);
+            }
+        });
+    });
+
+    return renderRows([columns].concat(result.map(function (item) {
+        var values = {};
+        flatten(item).forEach(function (pair) {
+            values[pair[0]] = pair[1];
+        });
+        return columns.map(function (column) {
+            return values[column] || '';
+        });
+    })));
+}
+
+/**
+ * Get the destination to download content to
+ * @param   {string}        [file] The file to write to (default: stdout)
+ * @param   {Object}        io     The standard streams
+ * @returns {String|Stream}        The file path, or a stream that writes to stdout
+ */
+function getDestination(file, io) {
+    var stream;
+
+    if (file) {
+        return file;
+    }
+    // stdout can't be ended, so write to it through a stream that can
+    stream = new PassThrough();
+    stream.pipe(io.stdout, { end: false });
+    return stream;
+}
+
+/**
+ * Upload a file, stdin or a URL, and optionally wait for the conversion
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error or the result
+ * @returns {void}
+ */
+function upload(client, args, options, io, done) {
+    var source = args[0],
+        params = {};
+
+    if (options.name) {
+        params.name = options.name;
+    }
+    if (options.thumbnails) {
+        params.thumbnails = options.thumbnails;
+    }
+    if (options['non-svg']) {
+        params['non_svg'] = true;
+    }
+
+    function uploaded(err, doc, response) {
+        if (err || !options.wait) {
+            done(err, doc, response);
+            return;
+        }
+        client.documents.watch(doc, function (err, docs) {
+            if (err) {
+                done(err);
+                return;
+            }
+            doc = docs[0];
+            if (doc.status === 'error') {
+                err = new Error('Document conversion failed');
+                err.exitCode = EXIT_CODES.CONVERSION_FAILED;
+            }
+            done(err, doc);
+        });
+    }
+
+    if (/^https?:\/\//i.test(source)) {
+        client.documents.uploadURL(source, { params: params }, uploaded);
+    } else if (source === '-') {
+        client.documents.uploadFile(io.stdin, { params: params, spool: 'file' }, uploaded);
+    } else {
+        fs.stat(source, function (err, stats) {
+            if (err || !stats.isFile()) {
+                done(new Error('Not a file: ' + source));
+                return;
+            }
+            client.documents.uploadFile(source, { params: params }, uploaded);
+        });
+    }
+}
+
+/**
+ * List documents (a single page, or every page with --all)
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error or the result
+ * @returns {void}
+ */
+function list(client, args, options, io, done) {
+    var params = {},
+        limit,
+        docs = [];
+
+    if (options.limit) {
+        limit = parseInt(options.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            done(usageError('Invalid limit: ' + options.limit));
+            return;
+        }
+    }
+    if (options['created-before']) {
+        params['created_before'] = options['created-before'];
+    }
+    if (options['created-after']) {
+        params['created_after'] = options['created-after'];
+    }
+
+    if (options.all) {
+        client.documents.listAll({ params: params, max: limit })
+            .on('data', function (doc) {
+                docs.push(doc);
+            })
+            .on('error', done)
+            .on('end', function () {
+                done(null, docs);
+            });
+        return;
+    }
+
+    if (limit) {
+        params.limit = limit;
+    }
+    client.documents.list({ params: params }, function (err, body, response) {
+        done(err, err ? body : getEntries(body), response);
+    });
+}
+
+/**
+ * Get the metadata of a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error or the result
+ * @returns {void}
+ */
+function get(client, args, options, io, done) {
+    client.documents.get(args[0], { fields: options.fields }, done);
+}
+
+/**
+ * Update the metadata of a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error or the result
+ * @returns {void}
+ */
+function update(client, args, options, io, done) {
+    if (!options.name) {
+        done(usageError('Nothing to update (use --name)'));
+        return;
+    }
+    client.documents.update(args[0], { name: options.name }, done);
+}
+
+/**
+ * Delete a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error
+ * @returns {void}
+ */
+function remove(client, args, options, io, done) {
+    client.documents.delete(args[0], function (err, body, response) {
+        done(err, undefined, err ? response : body);
+    });
+}
+
+/**
+ * Download the content of a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error
+ * @returns {void}
+ */
+function content(client, args, options, io, done) {
+    if (options.ext && CONTENT_EXTENSIONS.indexOf(options.ext) === -1) {
+        done(usageError('Invalid extension: ' + options.ext + ' (must be pdf or zip)'));
+        return;
+    }
+    client.documents.downloadContent(args[0], {
+        extension: options.ext,
+        dest: getDestination(options.output, io)
+    }, function (err) {
+        done(err);
+    });
+}
+
+/**
+ * Download a thumbnail of a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error
+ * @returns {void}
+ */
+function thumbnail(client, args, options, io, done) {
+    var size = /^(\d+)x(\d+)$/.exec(args[1]);
+
+    if (!size) {
+        done(usageError('Invalid thumbnail size: ' + args[1] + ' (must be WxH, e.g. 128x128)'));
+        return;
+    }
+    client.documents.downloadThumbnail(args[0], parseInt(size[1], 10), parseInt(size[2], 10), {
+        dest: getDestination(options.output, io)
+    }, function (err) {
+        done(err);
+    });
+}
+
+/**
+ * Create a viewing session for a document
+ * @param   {BoxView}  client  The client
+ * @param   {Array}    args    The positional arguments
+ * @param   {Object}   options The options
+ * @param   {Object}   io      The standard streams
+ * @param   {Function} done    Function to call with an error or the result
+ * @returns {void}
+ */
+function session(client, args, options, io, done) {
+    var params = {};
+
+    if (options.duration) {
+        params.duration = parseInt(options.duration, 10);
+        if (isNaN(params.duration) || params.duration < 1) {
+            done(usageError('Invalid duration: ' + options.duration));
+            return;
+        }
+    }
+    if (options['expires-at']) {
+        params['expires_at'] = options['expires-at'];
+    }
+    if (options.downloadable) {
+        params['is_downloadable'] = true;
+    }
+    client.sessions.create(args[0], { params: params }, done);
+}
+
+var COMMANDS = {
+    upload: { args: 1, options: ['name', 'thumbnails', 'non-svg', 'wait'], run: upload },
+    list: { args: 0, options: ['limit', 'created-before', 'created-after', 'all'], run: list },
+    get: { args: 1, options: ['fields'], run: get },
+    update: { args: 1, options: ['name'], run: update },
+    delete: { args: 1, options: [], run: remove },
+    content: { args: 1, options: ['ext', 'output'], run: content },
+    thumbnail: { args: 2, options: ['output'], run: thumbnail },
+    session: { args: 1, options: ['duration', 'expires-at', 'downloadable'], run: session }
+};
+
+/**
+ * Get the exit code for an error
+ * @param   {Error}        err        The error
+ * @param   {HTTPResponse} [response] The response object (if any)
+ * @returns {int}                     The exit code
+ */
+function getExitCode(err, response) {
+    var statusCode = err.statusCode || (response && response.statusCode);
+
+    if (err.exitCode) {
+        return err.exitCode;
+    }
+    if (statusCode === 401 || statusCode === 403) {
+        return EXIT_CODES.UNAUTHORIZED;
+    }
+    if (statusCode === 404) {
+        return EXIT_CODES.NOT_FOUND;
+    }
+    return EXIT_CODES.FAILURE;
+}
+
+/**
+ * Run the box-view command-line tool
+ * @param   {Array}    argv          The arguments (without the node and script paths)
+ * @param   {Object}   [io]          The environment and standard streams to use
+ * @param   {Object}   [io.env]      Environment variables (default: process.env)
+ * @param   {Stream}   [io.stdin]    The input stream (default: process.stdin)
+ * @param   {Stream}   [io.stdout]   The output stream (default: process.stdout)
+ * @param   {Stream}   [io.stderr]   The error stream (default: process.stderr)
+ * @param   {Function} callback      Function to call with the exit code
+ * @returns {void}
+ */
+function run(argv, io, callback) {
+    var parsed,
+        command,
+        format,
+        token,
+        client,
+        name;
+
+    if (typeof io === 'function') {
+        callback = io;
+        io = {};
+    }
+    io = extend({
+        env: process.env,
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr
+    }, io);
+
+    function fail(err, response) {
+        io.stderr.write('box-view: ' + err.message + '\n');
+        if (err.exitCode === EXIT_CODES.USAGE) {
+            io.stderr.write('Run box-view --help for usage.\n');
+        }
+        callback(getExitCode(err, response));
+    }
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        fail(e);
+        return;
+    }
+
+    if (parsed.options.help) {
+        io.stdout.write(USAGE + '\n');
+        callback(EXIT_CODES.SUCCESS);
+        return;
+    }
+    if (!parsed.args.length) {
+        io.stderr.write(USAGE + '\n');
+        callback(EXIT_CODES.USAGE);
+        return;
+    }
+
+    command = COMMANDS.hasOwnProperty(parsed.args[0]) && COMMANDS[parsed.args[0]];
+    if (!command) {
+        fail(usageError('Unknown command: ' + parsed.args[0]));
+        return;
+    }
+    parsed.args.shift();
+
+    if (parsed.args.length !== command.args) {
+        fail(usageError('Expected ' + command.args + ' argument(s), got ' + parsed.args.length));
+        return;
+    }
+    for (name in parsed.options) {
+        if (parsed.options.hasOwnProperty(name) && GLOBAL_OPTIONS.indexOf(name) === -1 && command.options.indexOf(name) === -1) {
+            fail(usageError('Unknown option: --' + name));
+            return;
+        }
+    }
+
+    format = parsed.options.json ? 'json' : parsed.options.format || 'table';
+    if (format !== 'json' && format !== 'table') {
+        fail(usageError('Invalid format: ' + format + ' (must be table or json)'));
+        return;
+    }
+
+    token = parsed.options.token || io.env['BOX_VIEW_API_TOKEN'];
+    if (!token) {
+        fail(usageError('Missing API token (set BOX_VIEW_API_TOKEN or use --token)'));
+        return;
+    }
+
+    // close the client once the command is done, so its timers don't keep the process alive
+    client = BoxView.createClient(token);
+    callback = (function (exit) {
+        return function (code) {
+            client.close();
+            exit(code);
+        };
+    }(callback));
+
+    try {
+        command.run(client, parsed.args, parsed.options, io, function (err, result, response) {
+            if (err) {
+                fail(err, response);
+                return;
+            }
+            if (typeof result !== 'undefined' && result !== null) {
+                io.stdout.write(format === 'json' ? JSON.stringify(result, null, 2) + '\n' : formatTable(result));
+            }
+            callback(EXIT_CODES.SUCCESS);
+        });
+    } catch (err) {
+        // arguments rejected by client-side validation
+        if (err instanceof BoxView.ValidationError) {
+            err.exitCode = EXIT_CODES.USAGE;
+        }
+        fail(err);
+    }
+}
@@ -0,0 +1,85 @@
+'use strict';
+
+// fs must be declared separately, else browserify gets sad w/brfs transform
+var fs = require('fs');
+
+var BoxViewError = require('./errors').BoxViewError;
+
+module.exports = saveResponse;
+
+/**
+ * Save a response stream to a file or a writable stream; if saving fails, a partially
+ * written file is removed
+ * @param   {HTTPResponse}    response     The response stream
+ * @param   {String|Stream}   dest         The file path or writable stream to save to
+ * @param   {Function}        [onProgress] Function to call with `{ bytes, total }` for each chunk received (`total` is null if the response has no content-length)
+ * @param   {Function}        callback     Function to call with an error or the result ({ bytes, contentType, dest })
+ * @returns {Function}                     Function to call with an error and a callback to abort saving (a partially written file is removed before the callback is called, instead of the original one)
+ */
+function saveResponse(response, dest, onProgress, callback) {
+    var file = typeof dest === 'string' ? dest : null,
+        output = file ? fs.createWriteStream(file) : dest,
+        total = parseInt(response.headers['content-length'], 10),
+        bytes = 0,
+        done = false;
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        if (!err) {
+            callback(null, {
+                bytes: bytes,
+                contentType: response.headers['content-type'] || null,
+                dest: dest
+            });
+            return;
+        }
+
+        response.unpipe(output);
+        response.resume();
+        if (!file) {
+            callback(err);
+            return;
+        }
+        output.destroy();
+        fs.unlink(file, function () {
+            callback(err);
+        });
+    }
+
+    response.on('data', function (chunk) {
+        bytes += chunk.length;
+        if (typeof onProgress === 'function') {
+            onProgress({ bytes: bytes, total: isNaN(total) ? null : total });
+        }
+    });
+    response.on('error', finish);
+    response.on('close', function () {
+        if (!response.complete) {
+            finish(new BoxViewError('The download was interrupted.', {
+                statusCode: response.statusCode,
+                response: response
+            }));
+        }
+    });
+
+    output.on('error', finish);
+    // wait for files to be closed, so they are complete when the callback is called
+    output.on(file ? 'close' : 'finish', function () {
+        finish();
+    });
+
+    response.pipe(output);
+
+    return function (err, abortCallback) {
+        if (done) {
+            abortCallback();
+            return;
+        }
+        callback = abortCallback;
+        finish(err);
+    };
+}
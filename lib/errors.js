@@ -0,0 +1,198 @@
+'use strict';
+
+var util = require('util');
+
+var RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * The base class of errors for failed API requests
+ * @param {string}       message                 The error message
+ * @param {Object}       [details]               Details about the failed request
+ * @param {int}          [details.statusCode]    The response status code
+ * @param {Object}       [details.body]          The parsed response body
+ * @param {string}       [details.method]        The request method
+ * @param {string}       [details.url]           The request URL
+ * @param {HTTPResponse} [details.response]      The response object
+ * @constructor
+ */
+function BoxViewError(message, details) {
+    details = details || {};
+
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.name = 'BoxViewError';
+    this.message = message;
+    this.statusCode = details.statusCode || null;
+    this.body = typeof details.body === 'undefined' ? null : details.body;
+    this.method = details.method || null;
+    this.url = details.url || null;
+    this.retryable = RETRYABLE_STATUS_CODES.indexOf(this.statusCode) > -1;
+
+    // the response is not enumerable, so it isn't dumped when the error is logged
+    Object.defineProperty(this, 'response', {
+        value: details.response || null,
+        configurable: true,
+        writable: true
+    });
+}
+
+util.inherits(BoxViewError, Error);
+
+/**
+ * The request was not authenticated (401), e.g., because the API token is invalid
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the failed request (see BoxViewError)
+ * @constructor
+ */
+function AuthenticationError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'AuthenticationError';
+}
+
+util.inherits(AuthenticationError, BoxViewError);
+
+/**
+ * The document or session does not exist (404)
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the failed request (see BoxViewError)
+ * @constructor
+ */
+function NotFoundError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'NotFoundError';
+}
+
+util.inherits(NotFoundError, BoxViewError);
+
+/**
+ * The request was invalid (400); `details` lists the invalid fields as
+ * `{ field, message }` objects, if the API provided them
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the failed request (see BoxViewError)
+ * @constructor
+ */
+function ValidationError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'ValidationError';
+    this.details = (this.body && Array.isArray(this.body.details)) ? this.body.details : [];
+}
+
+util.inherits(ValidationError, BoxViewError);
+
+/**
+ * Too many requests were made (429); `retryAfter` is the number of seconds to wait
+ * before making another request (from the Retry-After header), or null
+ * @param {string} message              The error message
+ * @param {Object} [details]            Details about the failed request (see BoxViewError)
+ * @param {int}    [details.retryAfter] The number of seconds to wait
+ * @constructor
+ */
+function RateLimitError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = details && typeof details.retryAfter === 'number' ? details.retryAfter : null;
+}
+
+util.inherits(RateLimitError, BoxViewError);
+
+/**
+ * The file type is not supported (415)
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the failed request (see BoxViewError)
+ * @constructor
+ */
+function UnsupportedMediaError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'UnsupportedMediaError';
+}
+
+util.inherits(UnsupportedMediaError, BoxViewError);
+
+/**
+ * The API failed to handle the request (5xx)
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the failed request (see BoxViewError)
+ * @constructor
+ */
+function ServerError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'ServerError';
+}
+
+util.inherits(ServerError, BoxViewError);
+
+/**
+ * The call was cancelled before it completed, with an AbortSignal or by closing the client
+ * @param {string} message   The error message
+ * @param {Object} [details] Details about the request (see BoxViewError)
+ * @constructor
+ */
+function AbortError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+}
+
+util.inherits(AbortError, BoxViewError);
+
+/**
+ * The call did not complete within its timeout (including any retries)
+ * @param {string} message           The error message
+ * @param {Object} [details]         Details about the request (see BoxViewError)
+ * @param {int}    [details.timeout] The timeout in milliseconds
+ * @constructor
+ */
+function TimeoutError(message, details) {
+    BoxViewError.call(this, message, details);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.timeout = (details && details.timeout) || null;
+    this.retryable = true;
+}
+
+util.inherits(TimeoutError, BoxViewError);
+
+/**
+ * Create an error of the appropriate class for a response status code
+ * @param   {string} message            The error message
+ * @param   {Object} details            Details about the failed request (see BoxViewError)
+ * @param   {int}    details.statusCode The response status code
+ * @returns {BoxViewError}              The error
+ */
+function createError(message, details) {
+    var statusCode = details.statusCode;
+
+    switch (statusCode) {
+        case 400:
+            return new ValidationError(message, details);
+        case 401:
+            return new AuthenticationError(message, details);
+        case 404:
+            return new NotFoundError(message, details);
+        case 415:
+            return new UnsupportedMediaError(message, details);
+        case 429:
+            return new RateLimitError(message, details);
+    }
+    if (statusCode >= 500) {
+        return new ServerError(message, details);
+    }
+    return new BoxViewError(message, details);
+}
+
+module.exports = {
+    RETRYABLE_STATUS_CODES: RETRYABLE_STATUS_CODES,
+    BoxViewError: BoxViewError,
+    AuthenticationError: AuthenticationError,
+    NotFoundError: NotFoundError,
+    ValidationError: ValidationError,
+    RateLimitError: RateLimitError,
+    UnsupportedMediaError: UnsupportedMediaError,
+    ServerError: ServerError,
+    AbortError: AbortError,
+    TimeoutError: TimeoutError,
+    createError: createError
+};
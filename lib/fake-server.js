@@ -0,0 +1,528 @@
+'use strict';
+
+var http = require('http'),
+    crypto = require('crypto'),
+    extend = require('extend'),
+    querystring = require('querystring'),
+    url = require('url');
+
+var DEFAULT_CONVERSION_DELAY = 100,
+    DEFAULT_RETRY_AFTER = 1,
+    MAX_LIST_LIMIT = 50,
+    DEFAULT_LIST_LIMIT = 10,
+    // a 1x1 transparent png
+    THUMBNAIL = new Buffer('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64'),
+    CONTENT_TYPES = {
+        '.pdf': 'application/pdf',
+        '.zip': 'application/zip'
+    };
+
+module.exports = createFakeServer;
+
+/**
+ * Generate a random uuid-like id
+ * @returns {string} The id
+ */
+function generateId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Parse a multipart/form-data request body
+ * @param   {Buffer} body        The request body
+ * @param   {string} contentType The content-type header
+ * @returns {Object}             Map of field names to values (strings, or { filename, content } for files)
+ */
+function parseMultipart(body, contentType) {
+    var match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || ''),
+        fields = {},
+        delimiter,
+        start,
+        end,
+        part,
+        headerEnd,
+        headers,
+        name,
+        filename;
+
+    if (!match) {
+        return fields;
+    }
+
+    delimiter = new Buffer('--' + (match[1] || match[2]));
+    start = indexOf(body, delimiter, 0);
+
+    while (start > -1) {
+        start += delimiter.length;
+        end = indexOf(body, delimiter, start);
+        if (end < 0) {
+            break;
+        }
+        // strip the CRLF after the delimiter and before the next one
+        part = body.slice(start + 2, end - 2);
+        headerEnd = indexOf(part, new Buffer('\r\n\r\n'), 0);
+        if (headerEnd > -1) {
+            headers = part.slice(0, headerEnd).toString();
+            name = /name="([^"]*)"/.exec(headers);
+            filename = /filename="([^"]*)"/.exec(headers);
+            if (name) {
+                if (filename) {
+                    fields[name[1]] = {
+                        filename: filename[1],
+                        content: part.slice(headerEnd + 4)
+                    };
+                } else {
+                    fields[name[1]] = part.slice(headerEnd + 4).toString();
+                }
+            }
+        }
+        start = end;
+    }
+
+    return fields;
+}
+
+/**
+ * Find a buffer within another buffer
+ * @param   {Buffer} buffer The buffer to search
+ * @param   {Buffer} search The buffer to find
+ * @param   {int}    offset The offset to start at
+ * @returns {int}           The index, or -1 if not found
+ */
+function indexOf(buffer, search, offset) {
+    var i, j;
+    for (i = offset; i <= buffer.length - search.length; i++) {
+        j = 0;
+        while (j < search.length && buffer[i + j] === search[j]) {
+            j++;
+        }
+        if (j === search.length) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Create an in-process fake Box View API server, which implements the documents and
+ * sessions endpoints against an in-memory store
+ *
+ * Documents are 'queued' when they are uploaded, 'processing' after `conversionDelay`
+ * milliseconds, and 'done' (or 'error', if `conversionError` says so) after twice that.
+ * Sessions serve their content (if downloadable) and a fixed set of one-page viewer assets.
+ *
+ * @param   {Object}   [options]                    Server options
+ * @param   {string}   [options.token]              The API token to accept (default: any token)
+ * @param   {int}      [options.conversionDelay]    Milliseconds between conversion states (default: 100)
+ * @param   {Function} [options.conversionError]    Function called with each document; if it returns true, the conversion fails
+ * @param   {int}      [options.retryAfter]         The Retry-After value in seconds for 202 and 429 responses (default: 1)
+ * @param   {Object}   [options.rateLimit]          If set, respond with 429 to requests over the limit
+ * @param   {int}      [options.rateLimit.limit]    The number of requests allowed per interval
+ * @param   {int}      [options.rateLimit.interval] The interval in milliseconds (default: 1000)
+ * @returns {http.Server}                           The (not yet listening) server
+ */
+function createFakeServer(options) {
+    var server,
+        documents = {},
+        sessions = {},
+        rateWindow = { start: 0, count: 0 };
+
+    options = extend({
+        conversionDelay: DEFAULT_CONVERSION_DELAY,
+        retryAfter: DEFAULT_RETRY_AFTER
+    }, options);
+
+    /**
+     * Get the document with its current conversion status
+     * @param   {string} id The document id
+     * @returns {Object}    The document, or null if it doesn't exist
+     */
+    function getDocument(id) {
+        var doc = documents[id],
+            age;
+
+        if (!doc) {
+            return null;
+        }
+        if (doc.status !== 'done' && doc.status !== 'error' && !doc.manual) {
+            age = Date.now() - doc.uploadedAt;
+            if (age >= options.conversionDelay * 2) {
+                doc.status = doc.failed ? 'error' : 'done';
+            } else if (age >= options.conversionDelay) {
+                doc.status = 'processing';
+            }
+        }
+        return doc;
+    }
+
+    /**
+     * Get the public representation of a document
+     * @param   {Object}       doc      The document
+     * @param   {string|Array} [fields] The fields to return (id and type are always returned)
+     * @returns {Object}                The document metadata
+     */
+    function serializeDocument(doc, fields) {
+        var data = {
+                type: 'document',
+                id: doc.id,
+                status: doc.status,
+                name: doc.name,
+                'created_at': doc.createdAt
+            },
+            result;
+
+        if (!fields) {
+            return data;
+        }
+        result = { type: 'document', id: doc.id };
+        String(fields).split(',').forEach(function (field) {
+            if (data.hasOwnProperty(field)) {
+                result[field] = data[field];
+            }
+        });
+        return result;
+    }
+
+    function sendJSON(res, statusCode, data, headers) {
+        var body = new Buffer(JSON.stringify(data));
+        res.writeHead(statusCode, extend({
+            'content-type': 'application/json',
+            'content-length': body.length
+        }, headers));
+        res.end(body);
+    }
+
+    function sendError(res, statusCode, message, headers) {
+        sendJSON(res, statusCode, {
+            message: message || http.STATUS_CODES[statusCode],
+            type: 'error',
+            'request_id': generateId()
+        }, headers);
+    }
+
+    function sendNotReady(res) {
+        res.writeHead(202, { 'retry-after': String(options.retryAfter) });
+        res.end();
+    }
+
+    function sendContent(res, contentType, content) {
+        res.writeHead(200, {
+            'content-type': contentType,
+            'content-length': content.length
+        });
+        res.end(content);
+    }
+
+    /**
+     * Check whether the request is over the rate limit
+     * @returns {Boolean}
+     */
+    function isRateLimited() {
+        var now = Date.now(),
+            interval;
+
+        if (!options.rateLimit) {
+            return false;
+        }
+        interval = options.rateLimit.interval || 1000;
+        if (now - rateWindow.start >= interval) {
+            rateWindow.start = now;
+            rateWindow.count = 0;
+        }
+        rateWindow.count++;
+        return rateWindow.count > options.rateLimit.limit;
+    }
+
+    function isAuthorized(req) {
+        var match = /^token (.+)$/.exec(req.headers.authorization || '');
+        return !!match && (!options.token || match[1] === options.token);
+    }
+
+    function createDocument(params, content) {
+        var now = new Date(),
+            doc = {
+                id: generateId(),
+                name: params.name || 'untitled document',
+                status: 'queued',
+                createdAt: now.toISOString(),
+                uploadedAt: now.getTime(),
+                content: content || new Buffer(0),
+                thumbnails: params.thumbnails || null
+            };
+        doc.failed = typeof options.conversionError === 'function' && !!options.conversionError(serializeDocument(doc));
+        documents[doc.id] = doc;
+        return doc;
+    }
+
+    function listDocuments(query) {
+        var limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT),
+            before = query['created_before'] ? Date.parse(query['created_before']) : Infinity,
+            after = query['created_after'] ? Date.parse(query['created_after']) : -Infinity,
+            entries;
+
+        entries = Object.keys(documents).map(getDocument).filter(function (doc) {
+            var created = Date.parse(doc.createdAt);
+            return created < before && created >= after;
+        }).sort(function (a, b) {
+            return Date.parse(b.createdAt) - Date.parse(a.createdAt);
+        });
+
+        return {
+            'document_collection': {
+                'total_count': entries.length,
+                entries: entries.slice(0, limit).map(function (doc) {
+                    return serializeDocument(doc);
+                })
+            }
+        };
+    }
+
+    function createSession(res, params) {
+        var doc = getDocument(params['document_id']),
+            session,
+            base = server.baseURL();
+
+        if (!doc) {
+            sendError(res, 400, 'Document not found');
+            return;
+        }
+        if (doc.status === 'error') {
+            sendError(res, 400, 'Document conversion failed');
+            return;
+        }
+        if (doc.status !== 'done') {
+            sendNotReady(res);
+            return;
+        }
+        if (typeof params.duration !== 'undefined' && (typeof params.duration !== 'number' || params.duration <= 0)) {
+            sendError(res, 400, 'Invalid duration');
+            return;
+        }
+
+        session = {
+            type: 'session',
+            id: generateId(),
+            document: serializeDocument(doc),
+            'expires_at': params['expires_at'] ?
+                new Date(params['expires_at']).toISOString() :
+                new Date(Date.now() + (params.duration || 60) * 60000).toISOString(),
+            'is_downloadable': !!params['is_downloadable']
+        };
+        session.urls = {
+            view: base + '/1/sessions/' + session.id + '/view',
+            assets: base + '/1/sessions/' + session.id + '/assets/',
+            realtime: base + '/sse/' + session.id
+        };
+        sessions[session.id] = session;
+        sendJSON(res, 201, session);
+    }
+
+    function handleDocument(req, res, id, rest, query, body) {
+        var doc = getDocument(id),
+            data,
+            width,
+            height,
+            extension;
+
+        if (!doc) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+
+        if (!rest) {
+            if (req.method === 'GET') {
+                sendJSON(res, 200, serializeDocument(doc, query.fields));
+            } else if (req.method === 'PUT') {
+                data = JSON.parse(body.toString() || '{}');
+                if (typeof data.name === 'string') {
+                    doc.name = data.name;
+                }
+                sendJSON(res, 200, serializeDocument(doc));
+            } else if (req.method === 'DELETE') {
+                delete documents[id];
+                res.writeHead(204);
+                res.end();
+            } else {
+                sendError(res, 405);
+            }
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendError(res, 405);
+            return;
+        }
+
+        if (/^\/content(\.pdf|\.zip)?$/.test(rest)) {
+            extension = /(\.pdf|\.zip)?$/.exec(rest)[1];
+            if (doc.status === 'error') {
+                sendError(res, 404, 'Document conversion failed');
+            } else if (extension && doc.status !== 'done') {
+                sendNotReady(res);
+            } else {
+                sendContent(res, CONTENT_TYPES[extension] || 'application/octet-stream', extension ? new Buffer('fake ' + extension.substr(1)) : doc.content);
+            }
+        } else if (rest === '/thumbnail') {
+            width = parseInt(query.width, 10);
+            height = parseInt(query.height, 10);
+            if (!(width >= 16 && width <= 1024 && height >= 16 && height <= 768)) {
+                sendError(res, 400, 'Invalid thumbnail dimensions');
+            } else if (doc.status !== 'done') {
+                sendNotReady(res);
+            } else {
+                sendContent(res, 'image/png', THUMBNAIL);
+            }
+        } else {
+            sendError(res, 404, 'Not found');
+        }
+    }
+
+    function handleSession(res, id, rest) {
+        var session = sessions[id],
+            doc = session && getDocument(session.document.id),
+            extension,
+            match;
+
+        if (!session || !doc || Date.parse(session['expires_at']) <= Date.now()) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+
+        if ((match = /^content(\.pdf|\.zip)?$/.exec(rest))) {
+            extension = match[1];
+            if (!session['is_downloadable']) {
+                sendError(res, 403, 'The session is not downloadable');
+            } else {
+                sendContent(res, CONTENT_TYPES[extension] || 'application/octet-stream', extension ? new Buffer('fake ' + extension.substr(1)) : doc.content);
+            }
+        } else if (rest === 'assets/info.json') {
+            sendJSON(res, 200, { numpages: 1, dimensions: { width: 612, height: 792 } });
+        } else if (rest === 'assets/stylesheet.css') {
+            sendContent(res, 'text/css', new Buffer('.page { }'));
+        } else if (rest === 'assets/page-1.svg') {
+            sendContent(res, 'image/svg+xml', new Buffer('<svg xmlns="http://www.w3.org/2000/svg" width="612" height="792"></svg>'));
+        } else if (rest === 'assets/text-1.html') {
+            sendContent(res, 'text/html', new Buffer('<div class="page"></div>'));
+        } else {
+            sendError(res, 404, 'Not found');
+        }
+    }
+
+    function handleRequest(req, res, body) {
+        var parsed = url.parse(req.url),
+            pathname = parsed.pathname,
+            query = querystring.parse(parsed.query || ''),
+            contentType = req.headers['content-type'] || '',
+            params,
+            fields,
+            match;
+
+        // session resources are public, like the session URLs given to viewers
+        if (req.method === 'GET' && (match = /^\/1\/sessions\/([^\/]+)\/(.+)$/.exec(pathname))) {
+            handleSession(res, match[1], match[2]);
+            return;
+        }
+
+        if (!isAuthorized(req)) {
+            sendError(res, 401, 'Unauthorized');
+            return;
+        }
+
+        if (isRateLimited()) {
+            sendError(res, 429, 'Too Many Requests', { 'retry-after': String(options.retryAfter) });
+            return;
+        }
+
+        if (pathname === '/1/documents') {
+            if (req.method === 'GET') {
+                sendJSON(res, 200, listDocuments(query));
+            } else if (req.method === 'POST') {
+                if (/^multipart\/form-data/.test(contentType)) {
+                    fields = parseMultipart(body, contentType);
+                    if (!fields.file || typeof fields.file !== 'object') {
+                        sendError(res, 400, 'Missing file');
+                        return;
+                    }
+                    params = extend({}, fields);
+                    delete params.file;
+                    params.name = params.name || fields.file.filename;
+                    sendJSON(res, 202, serializeDocument(createDocument(params, fields.file.content)));
+                } else {
+                    params = JSON.parse(body.toString() || '{}');
+                    if (!params.url) {
+                        sendError(res, 400, 'Missing url');
+                        return;
+                    }
+                    sendJSON(res, 202, serializeDocument(createDocument(params)));
+                }
+            } else {
+                sendError(res, 405);
+            }
+        } else if ((match = /^\/1\/documents\/([^\/]+)(\/.*)?$/.exec(pathname))) {
+            handleDocument(req, res, match[1], match[2], query, body);
+        } else if (pathname === '/1/sessions' && req.method === 'POST') {
+            createSession(res, JSON.parse(body.toString() || '{}'));
+        } else if ((match = /^\/1\/sessions\/([^\/]+)$/.exec(pathname)) && req.method === 'DELETE') {
+            if (sessions[match[1]]) {
+                delete sessions[match[1]];
+                res.writeHead(204);
+                res.end();
+            } else {
+                sendError(res, 404, 'Not found');
+            }
+        } else {
+            sendError(res, 404, 'Not found');
+        }
+    }
+
+    server = http.createServer(function (req, res) {
+        var chunks = [];
+        req.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function () {
+            try {
+                handleRequest(req, res, Buffer.concat(chunks));
+            } catch (e) {
+                sendError(res, 400, e.message);
+            }
+        });
+    });
+
+    server.documents = documents;
+    server.sessions = sessions;
+
+    /**
+     * Get the base URL of the (listening) server
+     * @returns {string} The base URL
+     */
+    server.baseURL = function () {
+        return 'http://localhost:' + server.address().port;
+    };
+
+    /**
+     * Point a client at the (listening) server
+     * @param   {BoxView} client The client
+     * @returns {BoxView}        The client
+     */
+    server.configure = function (client) {
+        var base = server.baseURL();
+        client.documentsURL = base + '/1/documents';
+        client.documentsUploadURL = base + '/1/documents';
+        client.sessionsURL = base + '/1/sessions';
+        return client;
+    };
+
+    /**
+     * Set the conversion status of a document (it won't change by itself after this)
+     * @param   {string} id     The document id
+     * @param   {string} status The new status
+     * @returns {void}
+     */
+    server.setStatus = function (id, status) {
+        documents[id].status = status;
+        documents[id].manual = true;
+    };
+
+    return server;
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+var Readable = require('stream').Readable,
+    extend = require('extend'),
+    util = require('util');
+
+var PAGE_LIMIT = 50;
+
+module.exports = ListStream;
+ListStream.getEntries = getEntries;
+
+/**
+ * Get the list of documents from a documents.list response body
+ * @param   {Object|Array} body The response body
+ * @returns {Array}             The documents
+ */
+function getEntries(body) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+    return (body && body['document_collection'] && body['document_collection'].entries) || [];
+}
+
+/**
+ * A readable object stream of every document uploaded using an API key, which
+ * fetches pages of documents (newest first) with documents.list as needed
+ *
+ * Pages are fetched with `created_before` set just past the oldest document of the
+ * previous page, so documents that share a timestamp at a page boundary are not
+ * skipped; documents that show up on both pages are only emitted once.
+ *
+ * @param {Object}         documents                       The client's documents API
+ * @param {Object}         [options]                       List options
+ * @param {Object}         [options.params]                URL parameters
+ * @param {Date}           [options.params.created_before] An upper limit on the creation timestamps of documents returned (default: now)
+ * @param {Date}           [options.params.created_after]  A lower limit on the creation timestamps of documents returned
+ * @param {int}            [options.max]                   The maximum number of documents to return (default: all of them)
+ * @param {boolean|Object} [options.retry]                 The retry option to use for requests
+ * @param {AbortSignal}    [options.signal]                A signal to abort the requests with
+ * @param {string|boolean} [options.validate]              The validate option to use for requests
+ * @constructor
+ */
+function ListStream(documents, options) {
+    Readable.call(this, { objectMode: true });
+
+    options = options || {};
+
+    this.documents = documents;
+    this.params = extend({}, options.params);
+    this.createdBefore = this.params['created_before'] ? new Date(this.params['created_before']).getTime() : Infinity;
+    this.max = options.max || Infinity;
+    this.retry = options.retry;
+    this.signal = options.signal;
+    this.validate = options.validate;
+    this.count = 0;
+    this.seen = {};
+    this.fetching = false;
+    this.done = false;
+}
+
+util.inherits(ListStream, Readable);
+
+/**
+ * Fetch the next page of documents (called by the stream when it wants more data)
+ * @returns {void}
+ */
+ListStream.prototype._read = function () {
+    var stream = this,
+        params;
+
+    if (this.fetching || this.done) {
+        return;
+    }
+    this.fetching = true;
+
+    params = extend({}, this.params, { limit: PAGE_LIMIT });
+
+    try {
+        this.documents.list({
+            params: params,
+            retry: this.retry,
+            signal: this.signal,
+            validate: this.validate
+        }, function (err, body) {
+            var docs,
+                fresh,
+                oldest,
+                more = true;
+
+            stream.fetching = false;
+
+            if (err) {
+                stream.done = true;
+                stream.emit('error', err);
+                return;
+            }
+
+            docs = getEntries(body);
+            fresh = docs.filter(function (doc) {
+                return !stream.seen.hasOwnProperty(doc.id);
+            });
+
+            fresh.forEach(function (doc) {
+                if (stream.count < stream.max) {
+                    stream.count++;
+                    stream.seen[doc.id] = Date.parse(doc['created_at']);
+                    more = stream.push(doc);
+                }
+            });
+
+            if (docs.length < PAGE_LIMIT || stream.count >= stream.max) {
+                stream.done = true;
+            } else {
+                oldest = Date.parse(docs[docs.length - 1]['created_at']);
+                if (fresh.length) {
+                    // overlap the next page with this one by a second, in case
+                    // there are more documents with the same timestamp
+                    stream.setCreatedBefore(oldest + 1000);
+                } else if (stream.params['created_before'] && new Date(stream.params['created_before']).getTime() === oldest) {
+                    // we can't get past these documents
+                    stream.done = true;
+                } else {
+                    // a full page of documents we've already seen (more documents share
+                    // a timestamp than fit on a page), so we have to move past them
+                    stream.setCreatedBefore(oldest);
+                }
+            }
+
+            if (stream.done) {
+                stream.push(null);
+            } else if (more) {
+                stream._read();
+            }
+        });
+    } catch (err) {
+        // invalid params
+        this.fetching = false;
+        this.done = true;
+        process.nextTick(function () {
+            stream.emit('error', err);
+        });
+    }
+};
+
+/**
+ * Set the upper limit on creation timestamps for the next page, and forget
+ * documents that can no longer show up in later pages
+ * @param   {int} createdBefore The timestamp in milliseconds
+ * @returns {void}
+ */
+ListStream.prototype.setCreatedBefore = function (createdBefore) {
+    var id;
+
+    createdBefore = Math.min(createdBefore, this.createdBefore);
+    this.params['created_before'] = new Date(createdBefore);
+
+    for (id in this.seen) {
+        if (this.seen.hasOwnProperty(id) && (this.seen[id] >= createdBefore || isNaN(this.seen[id]))) {
+            delete this.seen[id];
+        }
+    }
+};
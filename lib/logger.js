@@ -0,0 +1,222 @@
+'use strict';
+
+var plugins = require('./plugins'),
+    copyResponse = plugins.copyResponse,
+    isLocalResponse = plugins.isLocalResponse;
+
+var NAMESPACE = 'box-view',
+    BODIES_NAMESPACE = 'box-view:bodies',
+    DEFAULT_MAX_BODY_LENGTH = 1000,
+    REDACTED = '[REDACTED]';
+
+/**
+ * Check whether a debug namespace is enabled by a DEBUG-style list of patterns
+ * (e.g., 'box-view', 'box-view:*', '*,-box-view:bodies')
+ * @param   {string}  debug     The value of the DEBUG environment variable
+ * @param   {string}  namespace The namespace
+ * @returns {boolean}           Whether the namespace is enabled
+ */
+function isEnabled(debug, namespace) {
+    var enabled = false;
+
+    String(debug || '').split(/[\s,]+/).forEach(function (pattern) {
+        var negated = pattern.charAt(0) === '-',
+            re;
+
+        if (negated) {
+            pattern = pattern.slice(1);
+        }
+        if (!pattern) {
+            return;
+        }
+        re = new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+        if (re.test(namespace)) {
+            enabled = !negated;
+        }
+    });
+    return enabled;
+}
+
+/**
+ * Create a logger that writes to stderr (used when logging is turned on with DEBUG)
+ * @returns {Object} The logger
+ */
+function createDebugLogger() {
+    function write(fields, message) {
+        console.error(message + ' ' + JSON.stringify(fields));
+    }
+
+    return {
+        debug: write,
+        info: write,
+        warn: write,
+        error: write
+    };
+}
+
+/**
+ * Copy request or response headers, redacting credentials
+ * @param   {Object} headers The headers
+ * @returns {Object}         The redacted copy
+ */
+function redactHeaders(headers) {
+    var redacted = {},
+        name;
+
+    for (name in headers) {
+        if (headers.hasOwnProperty(name)) {
+            if (/^(authorization|proxy-authorization|cookie|set-cookie)$/i.test(name)) {
+                // keep the scheme (e.g., 'token'), which is useful when debugging auth errors
+                redacted[name] = String(headers[name]).replace(/^(\w+\s+)?.*$/, '$1' + REDACTED);
+            } else {
+                redacted[name] = headers[name];
+            }
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Truncate a body for logging
+ * @param   {*}   body      The body (objects are logged as JSON)
+ * @param   {int} maxLength The maximum number of characters to log
+ * @returns {string}        The truncated body, or null if there is no body
+ */
+function truncate(body, maxLength) {
+    if (body === null || typeof body === 'undefined') {
+        return null;
+    }
+    if (typeof body.pipe === 'function') {
+        return '[stream]';
+    }
+    if (!Buffer.isBuffer(body) && typeof body === 'object') {
+        body = JSON.stringify(body);
+    }
+    body = String(body);
+    if (body.length > maxLength) {
+        return body.slice(0, maxLength) + '... (' + (body.length - maxLength) + ' more characters)';
+    }
+    return body;
+}
+
+/**
+ * Call a method of a pino, bunyan or console-compatible logger with a message and
+ * fields, falling back to `log` if the logger has no method for the level
+ * @param   {Object} logger  The logger
+ * @param   {string} level   The level ('debug', 'info', 'warn' or 'error')
+ * @param   {Object} fields  The fields to log
+ * @param   {string} message The message
+ * @returns {void}
+ */
+function log(logger, level, fields, message) {
+    var method = typeof logger[level] === 'function' ? logger[level] : logger.log;
+
+    if (typeof method === 'function') {
+        method.call(logger, fields, message);
+    }
+}
+
+/**
+ * Create a plugin (see client.use) that logs the requests a client makes: each request
+ * (at debug level, or warn for retries), each response with its status and duration (at
+ * debug level), and each failed call with its error body (at error level)
+ *
+ * Credentials in headers (`authorization`, cookies) are always redacted. Request and JSON
+ * response bodies are only logged with the `logBodies` option, and are truncated.
+ *
+ * @param   {Object}      logger                A pino, bunyan or console-compatible logger (methods are called with fields, then a message)
+ * @param   {Object}      [options]             Logging options
+ * @param   {boolean|int} [options.logBodies]   Whether to log request and response bodies, or the maximum number of characters of each body to log (default: false; true logs 1000 characters)
+ * @returns {Object}                            The plugin
+ */
+function createLogger(logger, options) {
+    var logBodies = options && options.logBodies,
+        maxLength = typeof logBodies === 'number' ? logBodies : DEFAULT_MAX_BODY_LENGTH;
+
+    /**
+     * Get the fields that identify the request of an attempt
+     * @param   {Object} ctx The context
+     * @returns {Object}     The fields
+     */
+    function requestFields(ctx) {
+        return {
+            name: ctx.name,
+            method: ctx.request && ctx.request.method,
+            url: ctx.request && ctx.request.url,
+            attempt: ctx.attempt
+        };
+    }
+
+    return {
+        onRequest: function (ctx) {
+            var fields = requestFields(ctx);
+
+            // requests replayed from a cassette are not sent
+            if (isLocalResponse(ctx.response)) {
+                return;
+            }
+
+            fields.headers = redactHeaders(ctx.request.headers);
+            if (logBodies) {
+                fields.body = truncate(ctx.request.body, maxLength);
+            }
+            if (ctx.attempt > 1) {
+                log(logger, 'warn', fields, 'box-view retrying request');
+            } else {
+                log(logger, 'debug', fields, 'box-view request');
+            }
+        },
+
+        onResponse: function (ctx) {
+            var response = ctx.response,
+                fields = requestFields(ctx),
+                type;
+
+            // nor are the responses served by the cache or replayed from a cassette
+            if (isLocalResponse(response)) {
+                return;
+            }
+
+            fields.statusCode = response.statusCode;
+            fields.duration = Date.now() - ctx.attemptStartedAt;
+            fields.headers = redactHeaders(response.headers);
+
+            type = (response.headers && response.headers['content-type']) || '';
+            if (logBodies && typeof response.pipe === 'function' && /json/.test(type)) {
+                // streamed content (e.g., documents) is never logged
+                ctx.response = copyResponse(response, maxLength, function (body, length) {
+                    fields.body = body.toString();
+                    if (length > maxLength) {
+                        fields.body += '... (' + (length - maxLength) + ' more bytes)';
+                    }
+                    log(logger, 'debug', fields, 'box-view response');
+                });
+            } else {
+                log(logger, 'debug', fields, 'box-view response');
+            }
+        },
+
+        onError: function (ctx) {
+            var err = ctx.error,
+                fields = requestFields(ctx);
+
+            fields.duration = Date.now() - ctx.startedAt;
+            fields.error = {
+                name: err.name,
+                message: err.message,
+                code: err.code,
+                statusCode: err.statusCode,
+                body: truncate(err.body, maxLength)
+            };
+            log(logger, 'error', fields, 'box-view request failed');
+        }
+    };
+}
+
+createLogger.isEnabled = isEnabled;
+createLogger.createDebugLogger = createDebugLogger;
+createLogger.redactHeaders = redactHeaders;
+createLogger.NAMESPACE = NAMESPACE;
+createLogger.BODIES_NAMESPACE = BODIES_NAMESPACE;
+
+module.exports = createLogger;
@@ -0,0 +1,331 @@
+'use strict';
+
+var isLocalResponse = require('./plugins').isLocalResponse;
+
+var DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = Metrics;
+
+/**
+ * Get the key of a set of label values
+ * @param   {Object} labels The labels
+ * @returns {string}        The key
+ */
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(function (name) {
+        return name + '=' + labels[name];
+    }).join(',');
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param   {string} value The value
+ * @returns {string}       The escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format the labels of a sample for the Prometheus text format
+ * @param   {Object} labels  The labels
+ * @param   {Object} [extra] More labels (e.g., `le` for histogram buckets)
+ * @returns {string}         The formatted labels (e.g., '{operation="documents.get"}'), or '' if there are none
+ */
+function formatLabels(labels, extra) {
+    var all = [],
+        name;
+
+    for (name in labels) {
+        if (labels.hasOwnProperty(name)) {
+            all.push(name + '="' + escapeLabel(labels[name]) + '"');
+        }
+    }
+    for (name in extra) {
+        if (extra.hasOwnProperty(name)) {
+            all.push(name + '="' + escapeLabel(extra[name]) + '"');
+        }
+    }
+    return all.length ? '{' + all.join(',') + '}' : '';
+}
+
+/**
+ * Format a bucket boundary for the Prometheus text format
+ * @param   {number} bound The upper bound
+ * @returns {string}       The formatted bound
+ */
+function formatBound(bound) {
+    return bound === Infinity ? '+Inf' : String(bound);
+}
+
+/**
+ * Format a metrics snapshot (see Metrics#snapshot) in the Prometheus text exposition format
+ * @param   {Array}  snapshot The metrics
+ * @returns {string}          The text
+ */
+function formatPrometheus(snapshot) {
+    var lines = [];
+
+    snapshot.forEach(function (metric) {
+        lines.push('# HELP ' + metric.name + ' ' + metric.help);
+        lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+        metric.samples.forEach(function (sample) {
+            if (metric.type === 'counter') {
+                lines.push(metric.name + formatLabels(sample.labels) + ' ' + sample.value);
+                return;
+            }
+            sample.buckets.forEach(function (bucket) {
+                lines.push(metric.name + '_bucket' + formatLabels(sample.labels, { le: formatBound(bucket.le) }) + ' ' + bucket.count);
+            });
+            lines.push(metric.name + '_sum' + formatLabels(sample.labels) + ' ' + sample.sum);
+            lines.push(metric.name + '_count' + formatLabels(sample.labels) + ' ' + sample.count);
+        });
+    });
+    return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Create a request handler that serves the metrics of a client in the Prometheus text
+ * format, e.g., on a `/metrics` route (it can be used as connect/express middleware)
+ * @param   {Object}  options        Handler options
+ * @param   {BoxView} options.client The client
+ * @returns {Function}               The request handler
+ */
+function createMetricsHandler(options) {
+    if (!options || !options.client) {
+        throw new Error('The client option is required.');
+    }
+
+    return function (req, res) {
+        var body = new Buffer(formatPrometheus(options.client.metrics()));
+
+        res.writeHead(200, {
+            'content-type': PROMETHEUS_CONTENT_TYPE,
+            'content-length': body.length
+        });
+        res.end(req.method === 'HEAD' ? null : body);
+    };
+}
+
+/**
+ * A collector of counters and latency histograms for the API calls of a client, per
+ * operation (e.g., 'documents.uploadFile'); it is a plugin (see client.use), and can
+ * also record the time requests waited for a rate limiter
+ *
+ * Metrics:
+ * - box_view_requests_total (counter): requests, by operation, status code and whether they were retries
+ * - box_view_request_duration_seconds (histogram): time until the response headers were received, with the same labels
+ * - box_view_retries_total (counter): retries, by operation
+ * - box_view_errors_total (counter): failed calls, by operation and error
+ * - box_view_rate_limit_wait_seconds (histogram): time requests waited for a rate limiter, by limiter
+ *
+ * Requests that fail without a response are counted with the error code (e.g., 'ECONNRESET')
+ * as the status code.
+ *
+ * @param {Object} [options]         Metrics options
+ * @param {Array}  [options.buckets] The upper bounds of the histogram buckets, in seconds (default: 0.05 to 60)
+ * @constructor
+ */
+function Metrics(options) {
+    options = options || {};
+
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort(function (a, b) {
+        return a - b;
+    });
+    this.metrics = {};
+
+    this.define('box_view_requests_total', 'counter', 'Requests sent to the Box View API');
+    this.define('box_view_request_duration_seconds', 'histogram', 'Time until the response headers of a request were received');
+    this.define('box_view_retries_total', 'counter', 'Requests that were retries of a previous attempt');
+    this.define('box_view_errors_total', 'counter', 'API calls that failed (after any retries)');
+    this.define('box_view_rate_limit_wait_seconds', 'histogram', 'Time requests waited in a client-side rate limiter queue');
+}
+
+/**
+ * Define a metric
+ * @param   {string} name The metric name
+ * @param   {string} type The metric type ('counter' or 'histogram')
+ * @param   {string} help The description of the metric
+ * @returns {void}
+ */
+Metrics.prototype.define = function (name, type, help) {
+    this.metrics[name] = { name: name, type: type, help: help, samples: {} };
+};
+
+/**
+ * Get the sample of a metric with the given labels, creating it if needed
+ * @param   {string} name   The metric name
+ * @param   {Object} labels The labels
+ * @returns {Object}        The sample
+ */
+Metrics.prototype.sample = function (name, labels) {
+    var metric = this.metrics[name],
+        key = labelKey(labels);
+
+    if (!metric.samples[key]) {
+        if (metric.type === 'counter') {
+            metric.samples[key] = { labels: labels, value: 0 };
+        } else {
+            metric.samples[key] = {
+                labels: labels,
+                count: 0,
+                sum: 0,
+                buckets: this.buckets.concat(Infinity).map(function (bound) {
+                    return { le: bound, count: 0 };
+                })
+            };
+        }
+    }
+    return metric.samples[key];
+};
+
+/**
+ * Increment a counter
+ * @param   {string} name    The metric name
+ * @param   {Object} labels  The labels
+ * @param   {number} [value] The amount to increment by (default: 1)
+ * @returns {void}
+ */
+Metrics.prototype.inc = function (name, labels, value) {
+    this.sample(name, labels).value += typeof value === 'number' ? value : 1;
+};
+
+/**
+ * Record an observation in a histogram
+ * @param   {string} name   The metric name
+ * @param   {Object} labels The labels
+ * @param   {number} value  The observed value
+ * @returns {void}
+ */
+Metrics.prototype.observe = function (name, labels, value) {
+    var sample = this.sample(name, labels);
+
+    sample.count++;
+    sample.sum += value;
+    sample.buckets.forEach(function (bucket) {
+        if (value <= bucket.le) {
+            bucket.count++;
+        }
+    });
+};
+
+/**
+ * Record a request of an API call (see client.use)
+ * @param   {Object}     ctx        The context of the request
+ * @param   {int|string} statusCode The status code of the response, or the error code if there was no response
+ * @returns {void}
+ */
+Metrics.prototype.recordRequest = function (ctx, statusCode) {
+    var labels = {
+        operation: ctx.name,
+        'status_code': String(statusCode),
+        retry: ctx.attempt > 1 ? 'true' : 'false'
+    };
+
+    this.inc('box_view_requests_total', labels);
+    this.observe('box_view_request_duration_seconds', labels, (Date.now() - ctx.attemptStartedAt) / 1000);
+};
+
+/**
+ * Plugin hook: count retries (that are not replayed from a cassette)
+ * @param   {Object} ctx The context of the request
+ * @returns {void}
+ */
+Metrics.prototype.onRequest = function (ctx) {
+    if (ctx.attempt > 1 && !isLocalResponse(ctx.response)) {
+        this.inc('box_view_retries_total', { operation: ctx.name });
+    }
+};
+
+/**
+ * Plugin hook: record each request once its response is received (responses served by
+ * the cache or replayed from a cassette are not requests to the API)
+ * @param   {Object} ctx The context of the request
+ * @returns {void}
+ */
+Metrics.prototype.onResponse = function (ctx) {
+    if (isLocalResponse(ctx.response)) {
+        return;
+    }
+    this.recordRequest(ctx, ctx.response.statusCode);
+};
+
+/**
+ * Plugin hook: count failed calls (and record the request of the last attempt, if it
+ * failed without a response)
+ * @param   {Object} ctx The context of the call
+ * @returns {void}
+ */
+Metrics.prototype.onError = function (ctx) {
+    var err = ctx.error;
+
+    if (ctx.request && !ctx.response) {
+        this.recordRequest(ctx, err.code || 'error');
+    }
+    this.inc('box_view_errors_total', { operation: ctx.name, error: err.name || 'Error' });
+};
+
+/**
+ * Record the time requests wait for a rate limiter (see lib/rate-limiter.js)
+ * @param   {string}      name    The name of the limiter (e.g., 'uploads'), used as the `limiter` label
+ * @param   {RateLimiter} limiter The limiter
+ * @returns {void}
+ */
+Metrics.prototype.watchLimiter = function (name, limiter) {
+    var metrics = this;
+
+    limiter.on('start', function (wait) {
+        metrics.observe('box_view_rate_limit_wait_seconds', { limiter: name }, wait / 1000);
+    });
+};
+
+/**
+ * Get the current values of the metrics
+ * @returns {Array} The metrics, each with `name`, `type`, `help` and `samples` (`{ labels, value }` for
+ *                  counters, `{ labels, count, sum, buckets: [{ le, count }] }` with cumulative bucket counts for histograms)
+ */
+Metrics.prototype.snapshot = function () {
+    var metrics = this.metrics;
+
+    return Object.keys(metrics).map(function (name) {
+        var metric = metrics[name];
+
+        return {
+            name: metric.name,
+            type: metric.type,
+            help: metric.help,
+            samples: Object.keys(metric.samples).map(function (key) {
+                var sample = metric.samples[key];
+
+                if (metric.type === 'counter') {
+                    return { labels: sample.labels, value: sample.value };
+                }
+                return {
+                    labels: sample.labels,
+                    count: sample.count,
+                    sum: sample.sum,
+                    buckets: sample.buckets.map(function (bucket) {
+                        return { le: bucket.le, count: bucket.count };
+                    })
+                };
+            })
+        };
+    });
+};
+
+/**
+ * Clear every recorded value
+ * @returns {void}
+ */
+Metrics.prototype.reset = function () {
+    var metrics = this.metrics;
+
+    Object.keys(metrics).forEach(function (name) {
+        metrics[name].samples = {};
+    });
+};
+
+Metrics.formatPrometheus = formatPrometheus;
+Metrics.createMetricsHandler = createMetricsHandler;
+Metrics.PROMETHEUS_CONTENT_TYPE = PROMETHEUS_CONTENT_TYPE;
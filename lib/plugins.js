@@ -0,0 +1,257 @@
+'use strict';
+
+var PassThrough = require('stream').PassThrough;
+
+var HOOKS = ['onRequest', 'onResponse', 'onError'];
+
+// the headers that mark responses served by the cache or replayed from a cassette
+var LOCAL_HEADERS = {
+    'x-box-view-cache': 'hit',
+    'x-box-view-cassette': 'replay'
+};
+
+/**
+ * Check that a plugin has at least one hook
+ * @param   {Object} plugin The plugin
+ * @returns {Object}        The plugin
+ * @throws  {Error}         If the plugin has no hooks
+ */
+function checkPlugin(plugin) {
+    var hasHook = !!plugin && HOOKS.some(function (hook) {
+        return typeof plugin[hook] === 'function';
+    });
+
+    if (!hasHook) {
+        throw new Error('A plugin must have at least one of the hooks ' + HOOKS.join(', ') + '.');
+    }
+    return plugin;
+}
+
+/**
+ * Call a hook of every plugin (in the order they were added) with the context of a request
+ * @param   {Array}  plugins The plugins
+ * @param   {string} hook    The name of the hook (e.g., 'onRequest')
+ * @param   {Object} ctx     The context
+ * @returns {Object}         The context
+ */
+function runHooks(plugins, hook, ctx) {
+    plugins.forEach(function (plugin) {
+        if (typeof plugin[hook] === 'function') {
+            plugin[hook](ctx);
+        }
+    });
+    return ctx;
+}
+
+/**
+ * Call an asynchronous hook, making sure its callback is only called once
+ * @param   {Object}   plugin   The plugin
+ * @param   {Function} fn       The hook
+ * @param   {Object}   ctx      The context
+ * @param   {Function} callback Function to call with an error (if the hook failed) once the hook is done
+ * @returns {Error}             The error the hook threw before it was done, or null (the callback is not called then)
+ */
+function callAsyncHook(plugin, fn, ctx, callback) {
+    var called = false;
+
+    try {
+        fn.call(plugin, ctx, function (err) {
+            if (!called) {
+                called = true;
+                callback(err);
+            }
+        });
+    } catch (err) {
+        if (!called) {
+            called = true;
+            return err;
+        }
+    }
+    return null;
+}
+
+/**
+ * Call a hook of every plugin (in the order they were added) with the context of a request,
+ * waiting for asynchronous hooks: hooks that take a second argument are called with a
+ * function to call (with an error, if the hook failed) when they are done
+ * @param   {Array}    plugins  The plugins
+ * @param   {string}   hook     The name of the hook (e.g., 'onRequest')
+ * @param   {Object}   ctx      The context
+ * @param   {Function} callback Function to call with the error of a hook that failed (or threw), or null; it is called synchronously if every hook is
+ * @returns {void}
+ */
+function runHooksAsync(plugins, hook, ctx, callback) {
+    var index = 0;
+
+    function next(err) {
+        var plugin;
+
+        while (!err && index < plugins.length) {
+            plugin = plugins[index++];
+            if (typeof plugin[hook] !== 'function') {
+                continue;
+            }
+            if (plugin[hook].length < 2) {
+                try {
+                    plugin[hook](ctx);
+                } catch (e) {
+                    err = e;
+                }
+                continue;
+            }
+            err = callAsyncHook(plugin, plugin[hook], ctx, next);
+            if (!err) {
+                // next is called when the hook is done
+                return;
+            }
+        }
+        callback(err || null);
+    }
+
+    next();
+}
+
+/**
+ * Encode a request body: objects are sent as JSON, and buffers, strings and streams as they are
+ * @param   {Object|Buffer|string|Stream} body The body
+ * @returns {Buffer|Stream}                    The encoded body, or null if there is no body
+ */
+function encodeBody(body) {
+    if (body === null || typeof body === 'undefined') {
+        return null;
+    }
+    if (Buffer.isBuffer(body) || typeof body.pipe === 'function') {
+        return body;
+    }
+    return new Buffer(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Create a response stream from a response given by a plugin, so it can be handled like
+ * a response from the API
+ * @param   {Object} response                The response (a response stream is returned as is)
+ * @param   {int}    [response.statusCode]   The status code (default: 200)
+ * @param   {Object} [response.headers]      The response headers
+ * @param   {*}      [response.body]         The response body (objects are sent as JSON)
+ * @returns {Stream}                         The response stream (with `statusCode` and `headers`)
+ */
+function createResponse(response) {
+    var stream,
+        body,
+        name;
+
+    if (typeof response.pipe === 'function') {
+        return response;
+    }
+
+    stream = new PassThrough();
+    // the whole body is available (see trackDownload in index.js)
+    stream.complete = true;
+    stream.statusCode = response.statusCode || 200;
+    stream.headers = {};
+    for (name in response.headers) {
+        if (response.headers.hasOwnProperty(name)) {
+            stream.headers[name.toLowerCase()] = response.headers[name];
+        }
+    }
+
+    body = encodeBody(response.body);
+    if (body && !Buffer.isBuffer(body)) {
+        body.on('error', function (err) {
+            stream.emit('error', err);
+        });
+        body.pipe(stream);
+        return stream;
+    }
+    if (body && !stream.headers['content-type'] && typeof response.body === 'object' && !Buffer.isBuffer(response.body)) {
+        stream.headers['content-type'] = 'application/json';
+    }
+    if (body) {
+        stream.headers['content-length'] = String(body.length);
+    }
+    stream.end(body || undefined);
+    return stream;
+}
+
+/**
+ * Copy a response stream (e.g., to replace `ctx.response` with in an onResponse hook),
+ * calling a function with the start of its body once it has been read
+ * @param   {HTTPResponse} response The response stream
+ * @param   {int}          maxBytes The maximum number of bytes of the body to keep
+ * @param   {Function}     callback Function to call with the first `maxBytes` bytes of the body (a Buffer) and its full length
+ * @returns {Stream}                The copy of the response stream (with its status code and headers)
+ */
+function copyResponse(response, maxBytes, callback) {
+    var copy = new PassThrough(),
+        chunks = [],
+        kept = 0,
+        length = 0;
+
+    copy.statusCode = response.statusCode;
+    copy.headers = response.headers;
+    copy.response = response;
+    Object.defineProperty(copy, 'complete', {
+        get: function () {
+            return response.complete;
+        }
+    });
+    response.on('data', function (chunk) {
+        length += chunk.length;
+        if (kept < maxBytes) {
+            chunk = chunk.slice(0, maxBytes - kept);
+            kept += chunk.length;
+            chunks.push(chunk);
+        }
+    });
+    response.on('end', function () {
+        callback(Buffer.concat(chunks), length);
+    });
+    response.on('error', function (err) {
+        copy.emit('error', err);
+    });
+    response.pipe(copy);
+    return copy;
+}
+
+/**
+ * Create a stand-in for a request that is not sent (because a plugin responded to it,
+ * or failed) or not sent yet (because it is waiting for the rate limiter), which discards
+ * anything written to it
+ * @param   {string} method The request method
+ * @param   {string} uri    The request uri
+ * @returns {Stream}        The request object
+ */
+function createLocalRequest(method, uri) {
+    var r = new PassThrough();
+
+    r.request = { method: method, uri: uri };
+    r.setHeader = function () {};
+    r.resume();
+    return r;
+}
+
+/**
+ * Check whether a response was served without a request to the API: a cache hit, or a
+ * response replayed from a cassette (see lib/cache.js and lib/cassette.js)
+ * @param   {Object}  [response] The response (a stream or object, with its headers)
+ * @returns {boolean}            Whether the response is local
+ */
+function isLocalResponse(response) {
+    var headers = response && response.headers;
+
+    return !!headers && Object.keys(LOCAL_HEADERS).some(function (name) {
+        return headers[name] === LOCAL_HEADERS[name];
+    });
+}
+
+module.exports = {
+    HOOKS: HOOKS,
+    checkPlugin: checkPlugin,
+    runHooks: runHooks,
+    runHooksAsync: runHooksAsync,
+    encodeBody: encodeBody,
+    createResponse: createResponse,
+    copyResponse: copyResponse,
+    createLocalRequest: createLocalRequest,
+    isLocalResponse: isLocalResponse
+};
@@ -0,0 +1,671 @@
+/*global Promise*/
+'use strict';
+
+var EventEmitter = require('events').EventEmitter,
+    extend = require('extend'),
+    copyResponse = require('./plugins').copyResponse,
+    getEntries = require('./list-stream').getEntries,
+    util = require('util');
+
+var STRATEGIES = ['round-robin', 'tenant', 'least-rate-limited'],
+    DEFAULT_MAX_UNAUTHORIZED = 3,
+    DEFAULT_MAX_OWNERS = 10000,
+    MAX_BODY_SIZE = 1024 * 1024;
+
+// how each method is routed: by the owner of the document or session in its first
+// argument (if it is known), or by the pool strategy; `options` is the position of
+// the options argument (which can have a `tenant`); documents.watch is routed per
+// document (see ClientPool#watch)
+var METHODS = {
+    documents: {
+        list: { options: 0 },
+        listAll: { options: 0 },
+        get: { owner: 'document', options: 1 },
+        update: { owner: 'document', options: 2 },
+        delete: { owner: 'document', options: 1 },
+        uploadFile: { options: 1 },
+        uploadURL: { options: 1 },
+        getContent: { owner: 'document', options: 1 },
+        getThumbnail: { owner: 'document', options: 3 },
+        downloadContent: { owner: 'document', options: 1 },
+        downloadThumbnail: { owner: 'document', options: 3 },
+        deleteWhere: { options: 1 },
+        uploadMany: { options: 1 }
+    },
+    sessions: {
+        create: { owner: 'document', options: 1 },
+        getContent: { owner: 'session', options: 1 },
+        getAsset: { owner: 'session', options: 2 },
+        delete: { owner: 'session', options: 1 }
+    }
+};
+
+// the calls whose response bodies have the ids of new documents or sessions
+var LEARNING_METHODS = ['documents.list', 'documents.uploadFile', 'documents.uploadURL', 'sessions.create'];
+
+module.exports = ClientPool;
+
+/**
+ * Get the id in a URL of a single document or session
+ * @param   {string} uri  The request URL
+ * @param   {string} base The URL of the collection (e.g., client.documentsURL)
+ * @returns {string}      The id, or null if the URL is not of a single document or session
+ */
+function getId(uri, base) {
+    var id;
+
+    if (uri.indexOf(base + '/') !== 0) {
+        return null;
+    }
+    id = uri.slice(base.length + 1).split(/[\/?]/)[0];
+    return id ? decodeURIComponent(id) : null;
+}
+
+/**
+ * Get the document id of an argument of a call (an id, or a document object)
+ * @param   {*}      arg The argument
+ * @returns {string}     The id (or undefined)
+ */
+function getArgId(arg) {
+    return arg && typeof arg === 'object' ? arg.id : arg;
+}
+
+/**
+ * Fail a call that could not be routed to a key: call the callback with the error (on
+ * the next tick, like a failed request), or return a thenable that rejects with it
+ * @param   {Error}    err        The error
+ * @param   {Function} [callback] The callback of the call
+ * @returns {Object}              The failed call (thenable if no callback is given)
+ * @throws  {Error}               If there is no callback and promises are not supported
+ */
+function fail(err, callback) {
+    var call = {},
+        promise = null;
+
+    if (typeof callback === 'function') {
+        process.nextTick(function () {
+            callback(err);
+        });
+        return call;
+    }
+    if (typeof Promise === 'undefined') {
+        throw err;
+    }
+    // like the client methods, the promise is created lazily, so a call whose result
+    // is ignored never results in an unhandled rejection
+    call.then = function (onFulfilled, onRejected) {
+        promise = promise || Promise.reject(err);
+        return promise.then(onFulfilled, onRejected);
+    };
+    call.catch = function (onRejected) {
+        return call.then(null, onRejected);
+    };
+    return call;
+}
+
+/**
+ * The owners of documents or sessions, which forgets the least recently used ids when
+ * it is full
+ * @param {int} max The maximum number of ids
+ * @constructor
+ */
+function OwnerMap(max) {
+    this.max = max;
+    this.clear();
+}
+
+/**
+ * Get the owner of an id (and mark it as recently used)
+ * @param   {string} id The id
+ * @returns {Object}    The key, or undefined if the owner is not known
+ */
+OwnerMap.prototype.get = function (id) {
+    // ids are prefixed, so they keep their insertion order (and can't resolve to a
+    // property of Object.prototype, like '__proto__')
+    var entry = this.entries['k' + id];
+
+    if (entry) {
+        delete this.entries['k' + id];
+        this.entries['k' + id] = entry;
+    }
+    return entry;
+};
+
+/**
+ * Set the owner of an id, forgetting the least recently used ids if the map is full
+ * @param   {string} id    The id
+ * @param   {Object} entry The key
+ * @returns {void}
+ */
+OwnerMap.prototype.set = function (id, entry) {
+    var oldest;
+
+    this.delete(id);
+    this.entries['k' + id] = entry;
+    this.size++;
+    for (oldest in this.entries) {
+        if (this.size <= this.max) {
+            break;
+        }
+        delete this.entries[oldest];
+        this.size--;
+    }
+};
+
+/**
+ * Forget the owner of an id
+ * @param   {string} id The id
+ * @returns {void}
+ */
+OwnerMap.prototype.delete = function (id) {
+    if (this.entries['k' + id]) {
+        delete this.entries['k' + id];
+        this.size--;
+    }
+};
+
+/**
+ * Forget every owner
+ * @returns {void}
+ */
+OwnerMap.prototype.clear = function () {
+    this.entries = Object.create(null);
+    this.size = 0;
+};
+
+/**
+ * Watch documents that are owned by several keys, with a watch per key (see documents.watch)
+ *
+ * Emits the events of every watch ('processing', 'done', 'error' and 'timeout'), and
+ * 'end' once they have all ended.
+ *
+ * @param {Array}    groups     The keys and their documents (`{ entry, ids }`)
+ * @param {Array}    ids        Every document id, in the order of the results
+ * @param {Object}   [options]  Watch options
+ * @param {Function} [callback] Function to call with an error or the final metadata of every document
+ * @constructor
+ */
+function PoolWatcher(groups, ids, options, callback) {
+    var watcher = this,
+        documentsById = {},
+        remaining = groups.length,
+        ending = groups.length,
+        failed = false;
+
+    EventEmitter.call(this);
+
+    function forward(event) {
+        return function () {
+            // like a single watch, conversion errors are only emitted if there are listeners
+            if (event !== 'error' || watcher.listeners('error').length) {
+                watcher.emit.apply(watcher, [event].concat(Array.prototype.slice.call(arguments)));
+            }
+        };
+    }
+
+    this.watchers = groups.map(function (group) {
+        var sub = group.entry.client.documents.watch(group.ids, options, function (err, docs) {
+            if (failed) {
+                return;
+            }
+            if (err) {
+                failed = true;
+                watcher.stop();
+                callback(err);
+                return;
+            }
+            docs.forEach(function (doc) {
+                documentsById[doc.id] = doc;
+            });
+            if (--remaining === 0) {
+                callback(null, ids.map(function (id) {
+                    return documentsById[id];
+                }));
+            }
+        });
+
+        ['processing', 'done', 'error', 'timeout'].forEach(function (event) {
+            sub.on(event, forward(event));
+        });
+        sub.once('end', function () {
+            if (--ending === 0) {
+                watcher.emit('end');
+            }
+        });
+        return sub;
+    });
+}
+
+util.inherits(PoolWatcher, EventEmitter);
+
+/**
+ * Stop every watch (see Watcher#stop)
+ * @returns {void}
+ */
+PoolWatcher.prototype.stop = function () {
+    this.watchers.forEach(function (sub) {
+        sub.stop();
+    });
+};
+
+/**
+ * A pool of clients, one per API key, with the same `documents` and `sessions` methods
+ * as a client
+ *
+ * Calls about a document or session go to the key that owns it, if the pool knows it (it
+ * learns the owners of the documents and sessions it lists, uploads, creates and fetches;
+ * see also setOwner). Other calls go to a key picked by the strategy:
+ *
+ * - 'round-robin' - each key in turn
+ * - 'least-rate-limited' - the key that was rate limited (429) least recently, in turn if several never were
+ * - 'tenant' - the keys of the tenant given with the `tenant` option of each call, in turn
+ *
+ * With any strategy, the `tenant` option of a call restricts it to the keys of that tenant.
+ * A key is taken out of rotation after repeated 401 responses (emitting 'disable' with
+ * its name), but still gets the calls about the documents it owns.
+ *
+ * @param {Object}   options                      Pool options
+ * @param {Array}    options.keys                 The API keys: tokens, or `{ token, tenant, name, options }` (`options` are client options for the key)
+ * @param {string}   [options.strategy]           'round-robin' (default), 'least-rate-limited' or 'tenant'
+ * @param {int}      [options.maxUnauthorized]    The number of consecutive 401 responses after which a key is taken out of rotation (default: 3)
+ * @param {int}      [options.maxOwners]          The maximum number of documents (and of sessions) whose owners are remembered; the least recently used are forgotten (default: 10000)
+ * @param {Object}   [options.clientOptions]      Client options for every key (see createClient)
+ * @param {Function} createClient                 Function to create the client of a key with (token, options)
+ * @constructor
+ */
+function ClientPool(options, createClient) {
+    var pool = this;
+
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    if (!Array.isArray(options.keys) || !options.keys.length) {
+        throw new Error('The keys option is required.');
+    }
+
+    this.strategy = options.strategy || 'round-robin';
+    if (STRATEGIES.indexOf(this.strategy) === -1) {
+        throw new Error('Invalid strategy: ' + this.strategy + ' (must be ' + STRATEGIES.join(', ') + ')');
+    }
+    this.maxUnauthorized = options.maxUnauthorized || DEFAULT_MAX_UNAUTHORIZED;
+    this.owners = {
+        document: new OwnerMap(options.maxOwners || DEFAULT_MAX_OWNERS),
+        session: new OwnerMap(options.maxOwners || DEFAULT_MAX_OWNERS)
+    };
+    this.next = 0;
+
+    this.keys = options.keys.map(function (key, i) {
+        var entry;
+
+        if (typeof key === 'string') {
+            key = { token: key };
+        }
+        if (!key || !key.token) {
+            throw new Error('Every key must have a token.');
+        }
+
+        entry = {
+            name: key.name || key.tenant || 'key-' + i,
+            tenant: key.tenant,
+            client: createClient(key.token, extend({}, options.clientOptions, key.options)),
+            active: true,
+            unauthorized: 0,
+            rateLimitedAt: 0
+        };
+        entry.client.use(pool.createPlugin(entry));
+        return entry;
+    });
+
+    this.keys.forEach(function (entry, i) {
+        if (pool.keys.slice(0, i).some(function (other) {
+            return other.name === entry.name;
+        })) {
+            throw new Error('Duplicate key name: ' + entry.name);
+        }
+    });
+
+    Object.keys(METHODS).forEach(function (api) {
+        pool[api] = {};
+        Object.keys(METHODS[api]).forEach(function (method) {
+            pool[api][method] = function () {
+                var target;
+
+                try {
+                    target = pool.route(METHODS[api][method], arguments).client[api];
+                } catch (err) {
+                    return fail(err, arguments[arguments.length - 1]);
+                }
+                return target[method].apply(target, arguments);
+            };
+        });
+    });
+    this.documents.watch = function (ids, options, callback) {
+        return pool.watch(ids, options, callback);
+    };
+}
+
+util.inherits(ClientPool, EventEmitter);
+
+/**
+ * Create the plugin (see client.use) that tracks the responses of a key: who owns the
+ * documents and sessions, when it was last rate limited, and whether it is unauthorized
+ * @param   {Object} entry The key
+ * @returns {Object}       The plugin
+ */
+ClientPool.prototype.createPlugin = function (entry) {
+    var pool = this;
+
+    return {
+        onResponse: function (ctx) {
+            var response = ctx.response,
+                type = (response.headers && response.headers['content-type']) || '';
+
+            if (response.statusCode === 401) {
+                entry.unauthorized++;
+                if (entry.active && entry.unauthorized >= pool.maxUnauthorized) {
+                    entry.active = false;
+                    pool.emit('disable', entry.name);
+                }
+                return;
+            }
+            entry.unauthorized = 0;
+            if (response.statusCode === 429) {
+                entry.rateLimitedAt = Date.now();
+            }
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return;
+            }
+
+            pool.learn(ctx.name, 'document', getId(ctx.request.url, ctx.client.documentsURL), entry);
+            pool.learn(ctx.name, 'session', getId(ctx.request.url, ctx.client.sessionsURL), entry);
+
+            if (LEARNING_METHODS.indexOf(ctx.name) > -1 && typeof response.pipe === 'function' && /json/.test(type)) {
+                ctx.response = copyResponse(response, MAX_BODY_SIZE, function (body, length) {
+                    var data;
+
+                    if (length > MAX_BODY_SIZE) {
+                        return;
+                    }
+                    try {
+                        data = JSON.parse(body.toString());
+                    } catch (err) {
+                        return;
+                    }
+                    if (ctx.name === 'documents.list') {
+                        getEntries(data).forEach(function (doc) {
+                            pool.learn(ctx.name, 'document', doc.id, entry);
+                        });
+                    } else {
+                        pool.learn(ctx.name, ctx.name === 'sessions.create' ? 'session' : 'document', data.id, entry);
+                    }
+                });
+            }
+        }
+    };
+};
+
+/**
+ * Record (or forget, if it was deleted) the owner of a document or session after a successful call
+ * @param   {string} name  The name of the call (e.g., 'documents.get')
+ * @param   {string} kind  'document' or 'session'
+ * @param   {string} id    The id (nothing is recorded if there is none)
+ * @param   {Object} entry The key that made the call
+ * @returns {void}
+ */
+ClientPool.prototype.learn = function (name, kind, id, entry) {
+    if (!id) {
+        return;
+    }
+    if (name === kind + 's.delete') {
+        this.owners[kind].delete(id);
+    } else {
+        this.owners[kind].set(id, entry);
+    }
+};
+
+/**
+ * Pick the key of a call
+ * @param   {Object}    route     How the method is routed (see METHODS)
+ * @param   {Arguments} args      The arguments of the call
+ * @returns {Object}              The key
+ * @throws  {Error}               If no key is available
+ */
+ClientPool.prototype.route = function (route, args) {
+    var options = args[route.options],
+        owner;
+
+    if (route.owner) {
+        owner = this.owners[route.owner].get(getArgId(args[0]));
+        if (owner) {
+            return owner;
+        }
+    }
+    return this.pick(options && typeof options === 'object' ? options.tenant : undefined);
+};
+
+/**
+ * Pick a key with the pool strategy
+ * @param   {string} [tenant] Only pick a key of this tenant
+ * @returns {Object}          The key
+ * @throws  {Error}           If no key is available
+ */
+ClientPool.prototype.pick = function (tenant) {
+    var keys,
+        oldest;
+
+    if (this.strategy === 'tenant' && typeof tenant === 'undefined') {
+        throw new Error('The tenant option is required with the tenant strategy.');
+    }
+
+    keys = this.keys.filter(function (entry) {
+        return entry.active && (typeof tenant === 'undefined' || entry.tenant === tenant);
+    });
+    if (!keys.length) {
+        throw new Error('No API key is available' + (typeof tenant === 'undefined' ? '' : ' for tenant ' + tenant) + '.');
+    }
+
+    if (this.strategy === 'least-rate-limited') {
+        oldest = Math.min.apply(Math, keys.map(function (entry) {
+            return entry.rateLimitedAt;
+        }));
+        keys = keys.filter(function (entry) {
+            return entry.rateLimitedAt === oldest;
+        });
+    }
+    return keys[this.next++ % keys.length];
+};
+
+/**
+ * Watch documents (see documents.watch) with the keys that own them: documents owned by
+ * one key are watched with a single watch, and documents owned by several keys with a
+ * watch per key (documents whose owner is not known are watched with a key picked by the
+ * strategy)
+ * @param   {Array|String} ids        Document ids, or document objects
+ * @param   {Object}       [options]  Watch options (see documents.watch)
+ * @param   {Function}     [callback] A callback to call with the final metadata of every document
+ * @returns {Watcher|PoolWatcher}     The watcher (an EventEmitter, thenable if no callback is given)
+ */
+ClientPool.prototype.watch = function (ids, options, callback) {
+    var pool = this,
+        groups = [],
+        all = [],
+        fallback = null,
+        watcher,
+        result = null,
+        promise = null,
+        settle = null;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    try {
+        (Array.isArray(ids) ? ids : [ids]).forEach(function (doc) {
+            var id = getArgId(doc),
+                entry = pool.owners.document.get(id),
+                group;
+
+            if (!entry) {
+                fallback = fallback || pool.pick(options && options.tenant);
+                entry = fallback;
+            }
+            group = groups.filter(function (g) {
+                return g.entry === entry;
+            })[0];
+            if (!group) {
+                group = { entry: entry, ids: [] };
+                groups.push(group);
+            }
+            group.ids.push(doc);
+            all.push(id);
+        });
+        fallback = groups.length ? groups[0].entry : pool.pick(options && options.tenant);
+    } catch (err) {
+        return fail(err, callback);
+    }
+
+    if (groups.length < 2) {
+        return fallback.client.documents.watch(ids, options, callback);
+    }
+
+    watcher = new PoolWatcher(groups, all, options, function () {
+        result = arguments;
+        if (typeof callback === 'function') {
+            callback.apply(null, result);
+        } else if (settle) {
+            settle();
+        }
+    });
+
+    if (typeof callback !== 'function' && typeof Promise !== 'undefined') {
+        // like the client methods, the promise is created lazily, so a watch whose
+        // result is ignored never results in an unhandled rejection
+        watcher.then = function (onFulfilled, onRejected) {
+            if (!promise) {
+                promise = new Promise(function (resolve, reject) {
+                    settle = function () {
+                        if (result[0]) {
+                            reject(result[0]);
+                        } else {
+                            resolve(result[1]);
+                        }
+                    };
+                    if (result) {
+                        settle();
+                    }
+                });
+            }
+            return promise.then(onFulfilled, onRejected);
+        };
+        watcher.catch = function (onRejected) {
+            return watcher.then(null, onRejected);
+        };
+    }
+    return watcher;
+};
+
+/**
+ * Get a key by name
+ * @param   {string} name The key name
+ * @returns {Object}      The key
+ * @throws  {Error}       If there is no such key
+ */
+ClientPool.prototype.getKey = function (name) {
+    var entry = this.keys.filter(function (key) {
+        return key.name === name;
+    })[0];
+
+    if (!entry) {
+        throw new Error('Unknown key: ' + name);
+    }
+    return entry;
+};
+
+/**
+ * Get the client of a key
+ * @param   {string}  name The key name
+ * @returns {BoxView}      The client
+ */
+ClientPool.prototype.getClient = function (name) {
+    return this.getKey(name).client;
+};
+
+/**
+ * Get the name of the key that owns a document
+ * @param   {string} id The document id
+ * @returns {string}    The key name, or null if it is not known
+ */
+ClientPool.prototype.getOwner = function (id) {
+    var owner = this.owners.document.get(id);
+    return owner ? owner.name : null;
+};
+
+/**
+ * Set the key that owns a document (e.g., for documents uploaded before the pool was created)
+ * @param   {string} id   The document id
+ * @param   {string} name The key name
+ * @returns {void}
+ */
+ClientPool.prototype.setOwner = function (id, name) {
+    this.owners.document.set(id, this.getKey(name));
+};
+
+/**
+ * Forget the owners of every document and session (e.g., after they were deleted some
+ * other way); calls about them go to keys picked by the strategy until the pool learns
+ * their owners again
+ * @returns {void}
+ */
+ClientPool.prototype.clearOwners = function () {
+    this.owners.document.clear();
+    this.owners.session.clear();
+};
+
+/**
+ * Put a key back into rotation
+ * @param   {string} name The key name
+ * @returns {void}
+ */
+ClientPool.prototype.enable = function (name) {
+    var entry = this.getKey(name);
+
+    entry.active = true;
+    entry.unauthorized = 0;
+};
+
+/**
+ * Take a key out of rotation (it still gets the calls about the documents it owns)
+ * @param   {string} name The key name
+ * @returns {void}
+ */
+ClientPool.prototype.disable = function (name) {
+    this.getKey(name).active = false;
+};
+
+/**
+ * Get the state of every key
+ * @returns {Array} `{ name, tenant, active, unauthorized, rateLimitedAt }` for each key
+ */
+ClientPool.prototype.status = function () {
+    return this.keys.map(function (entry) {
+        return {
+            name: entry.name,
+            tenant: entry.tenant,
+            active: entry.active,
+            unauthorized: entry.unauthorized,
+            rateLimitedAt: entry.rateLimitedAt ? new Date(entry.rateLimitedAt) : null
+        };
+    });
+};
+
+/**
+ * Close the client of every key (see client.close)
+ * @returns {void}
+ */
+ClientPool.prototype.close = function () {
+    this.keys.forEach(function (entry) {
+        entry.client.close();
+    });
+};
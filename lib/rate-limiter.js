@@ -0,0 +1,180 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter,
+    util = require('util');
+
+module.exports = RateLimiter;
+
+/**
+ * Limit the rate (with a token bucket) and the concurrency of requests, queueing the
+ * requests over the limits in order
+ *
+ * Emits 'queue' with the queue depth when a request has to wait, 'start' with the
+ * number of milliseconds a request waited when it is started, and 'pause' with the
+ * delay in milliseconds when the queue is paused (e.g., after a 429 response).
+ *
+ * @param {Object} [options]             Limiter options
+ * @param {number} [options.rate]        The maximum number of requests per second (default: no limit)
+ * @param {number} [options.burst]       The number of requests that can be started at once before the rate applies (default: the rate, at least 1)
+ * @param {int}    [options.concurrency] The maximum number of requests in flight (default: no limit)
+ * @constructor
+ */
+function RateLimiter(options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.rate = options.rate > 0 ? options.rate : Infinity;
+    this.burst = options.burst > 0 ? options.burst : Math.max(1, isFinite(this.rate) ? this.rate : 1);
+    this.concurrency = options.concurrency > 0 ? options.concurrency : Infinity;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+    this.waits = { count: 0, total: 0, max: 0 };
+}
+
+util.inherits(RateLimiter, EventEmitter);
+
+/**
+ * Add the tokens earned since the last refill to the bucket
+ * @param   {int} now The current time
+ * @returns {void}
+ */
+RateLimiter.prototype.refill = function (now) {
+    if (isFinite(this.rate)) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.rate / 1000);
+    } else {
+        this.tokens = this.burst;
+    }
+    this.lastRefill = now;
+};
+
+/**
+ * Start as many queued requests as the limits allow, and schedule another attempt if
+ * requests are waiting for the rate limit or a pause to end
+ * @returns {void}
+ */
+RateLimiter.prototype.drain = function () {
+    var limiter = this,
+        now,
+        delay = 0,
+        item;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length && this.active < this.concurrency) {
+        now = Date.now();
+        if (now < this.pausedUntil) {
+            delay = this.pausedUntil - now;
+            break;
+        }
+        this.refill(now);
+        if (this.tokens < 1) {
+            delay = Math.ceil((1 - this.tokens) * 1000 / this.rate);
+            break;
+        }
+        this.tokens -= 1;
+        this.active++;
+        item = this.queue.shift();
+        this.recordWait(now - item.queuedAt);
+        item.start();
+    }
+
+    if (delay) {
+        this.timer = setTimeout(function () {
+            limiter.drain();
+        }, delay);
+    }
+};
+
+/**
+ * Record the time a request waited in the queue
+ * @param   {int} wait The wait time in milliseconds
+ * @returns {void}
+ */
+RateLimiter.prototype.recordWait = function (wait) {
+    this.waits.count++;
+    this.waits.total += wait;
+    this.waits.max = Math.max(this.waits.max, wait);
+    this.emit('start', wait);
+};
+
+/**
+ * Queue a request, which is started as soon as the limits allow it
+ * @param   {Function} start Function to call to start the request, with a function to call when the request is complete
+ * @returns {Object}         The queued request, with a `cancel` method to remove it from the queue
+ */
+RateLimiter.prototype.schedule = function (start) {
+    var limiter = this,
+        item = {
+            queuedAt: Date.now(),
+            start: function () {
+                var done = false;
+                start(function () {
+                    if (!done) {
+                        done = true;
+                        limiter.active--;
+                        limiter.drain();
+                    }
+                });
+            },
+            cancel: function () {
+                var index = limiter.queue.indexOf(item);
+                if (index > -1) {
+                    limiter.queue.splice(index, 1);
+                    // stop waiting if nothing else is queued
+                    limiter.drain();
+                }
+            }
+        };
+
+    this.queue.push(item);
+    this.drain();
+    if (this.queue.indexOf(item) > -1) {
+        this.emit('queue', this.queue.length);
+    }
+    return item;
+};
+
+/**
+ * Stop starting requests for the given delay (requests in flight are not affected)
+ * @param   {int} delay The delay in milliseconds
+ * @returns {void}
+ */
+RateLimiter.prototype.pause = function (delay) {
+    var until = Date.now() + delay;
+
+    if (until <= this.pausedUntil) {
+        return;
+    }
+    this.pausedUntil = until;
+    // start slowly once the pause is over, instead of with a full burst
+    this.tokens = 0;
+    this.lastRefill = until;
+    this.emit('pause', delay);
+    this.drain();
+};
+
+/**
+ * Get the current state of the limiter
+ * @returns {Object} The queue depth (`queued`), the number of requests in flight (`active`),
+ *                   the end of the current pause (`pausedUntil`, a Date or null) and the wait
+ *                   times of started requests (`waitTime`: `{ count, total, max, mean }` in milliseconds)
+ */
+RateLimiter.prototype.stats = function () {
+    return {
+        queued: this.queue.length,
+        active: this.active,
+        pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+        waitTime: {
+            count: this.waits.count,
+            total: this.waits.total,
+            max: this.waits.max,
+            mean: this.waits.count ? this.waits.total / this.waits.count : 0
+        }
+    };
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+var extend = require('extend');
+
+var DURATION_RE = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/,
+    DURATION_UNITS = {
+        ms: 1,
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    };
+
+module.exports = createRetentionPolicy;
+
+/**
+ * Parse a duration, given in milliseconds or as a string with a unit (e.g., '30d' or '12h')
+ * @param   {int|string} duration The duration
+ * @returns {int}                 The duration in milliseconds
+ * @throws  {Error}               If the duration is invalid
+ */
+function parseDuration(duration) {
+    var match;
+
+    if (typeof duration === 'number' && duration >= 0) {
+        return duration;
+    }
+    match = DURATION_RE.exec(duration);
+    if (!match) {
+        throw new Error('Invalid duration: ' + duration);
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Create a retention policy, which deletes the documents older than a maximum age (and
+ * that match the other criteria) each time it is run, e.g., from a cron job
+ *
+ * @param   {Object}          options                 Policy options
+ * @param   {BoxView}         options.client          The client to delete documents with
+ * @param   {int|string}      options.maxAge          The maximum age of documents, in milliseconds or with a unit (e.g., '30d')
+ * @param   {String|Array}    [options.status]        Only delete documents with this status (or one of these)
+ * @param   {RegExp|String}   [options.nameMatches]   Only delete documents whose name matches this regular expression
+ * @param   {boolean}         [options.dryRun]        If true, only report the documents that would be deleted
+ * @param   {int}             [options.concurrency]   The maximum number of concurrent deletions (default: 4)
+ * @param   {boolean|Object}  [options.retry]         The retry option to use for requests
+ * @returns {Object}                                  The policy, with a `run([options], [callback])` method (see documents.deleteWhere)
+ */
+function createRetentionPolicy(options) {
+    var maxAge;
+
+    options = options || {};
+
+    if (!options.client) {
+        throw new Error('The client option is required.');
+    }
+    if (typeof options.maxAge === 'undefined') {
+        throw new Error('The maxAge option is required.');
+    }
+    maxAge = parseDuration(options.maxAge);
+
+    return {
+        maxAge: maxAge,
+
+        /**
+         * Delete the documents that are older than the maximum age (as of now)
+         * @param   {Object}   [runOptions]        Options that override the policy options for this run (e.g., `dryRun` or `signal`)
+         * @param   {Function} [callback]          Function to call with an error or the result (`{ matched, deleted, failed, dryRun }`)
+         * @returns {BulkDelete} The deletion (an EventEmitter, thenable if no callback is given)
+         */
+        run: function (runOptions, callback) {
+            var criteria = {
+                createdBefore: new Date(Date.now() - maxAge),
+                status: options.status,
+                nameMatches: options.nameMatches
+            };
+
+            if (typeof runOptions === 'function') {
+                callback = runOptions;
+                runOptions = {};
+            }
+
+            return options.client.documents.deleteWhere(criteria, extend({
+                dryRun: options.dryRun,
+                concurrency: options.concurrency,
+                retry: options.retry
+            }, runOptions), callback);
+        }
+    };
+}
@@ -0,0 +1,278 @@
+'use strict';
+
+var http = require('http'),
+    path = require('path'),
+    url = require('url');
+
+var DEFAULT_MAX_AGE = 3600,
+    DEFAULT_SESSION_TTL = 3600,
+    DEFAULT_MAX_SESSIONS = 10000,
+    ASSET_PATH_RE = /^\/([^\/]+)\/assets\/(.+)$/,
+    PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-encoding', 'etag', 'last-modified', 'cache-control'];
+
+var CONTENT_TYPES = {
+    '.css': 'text/css',
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.js': 'application/javascript',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.woff': 'application/font-woff',
+    '.ttf': 'application/x-font-ttf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+module.exports = createSessionProxy;
+
+/**
+ * Send a plain text response with the status text as the body
+ * @param   {HTTPResponse} res        The response object
+ * @param   {int}          statusCode The status code
+ * @returns {void}
+ */
+function respond(res, statusCode) {
+    res.statusCode = statusCode;
+    res.setHeader('content-type', 'text/plain');
+    res.end(http.STATUS_CODES[statusCode]);
+}
+
+/**
+ * Check whether an asset path (still URL-encoded) escapes the session's assets, i.e., has
+ * a '.' or '..' segment once decoded, or an encoded separator
+ * @param   {string}  asset The asset path
+ * @returns {boolean}       Whether the path is unsafe (or can't be decoded)
+ */
+function isUnsafeAsset(asset) {
+    return asset.split('/').some(function (segment) {
+        try {
+            segment = decodeURIComponent(segment);
+        } catch (e) {
+            return true;
+        }
+        return segment === '..' || segment === '.' || /[\/\\]/.test(segment);
+    });
+}
+
+/**
+ * Get the expiration time of a session in milliseconds
+ * @param   {Session|Object} session The session
+ * @param   {int}            ttl     The lifetime in seconds of a session without an expiration time
+ * @returns {number}                 The expiration time
+ */
+function getExpiration(session, ttl) {
+    var time = Date.parse(session['expires_at']);
+    return isNaN(time) ? Date.now() + ttl * 1000 : time;
+}
+
+/**
+ * Create a request handler that serves the viewer assets of sessions through the
+ * application's own origin, which works as a plain http request listener and as
+ * Connect/Express middleware
+ *
+ * Requests for `<mount path>/<session id>/assets/<asset>` are forwarded with
+ * sessions.getAsset, so the API token never reaches the browser. Only sessions that
+ * were registered with `proxy.allow(session)` (and haven't expired) are served;
+ * other requests are refused with 403. Expired sessions are forgotten when another
+ * session is allowed, and so are the oldest sessions once `maxSessions` are allowed.
+ *
+ * @param   {Object}  options               Proxy options
+ * @param   {BoxView} options.client        The client to fetch assets with
+ * @param   {string}  [options.path]        The path the proxy is mounted under, used to build asset URLs (default: '')
+ * @param   {int}     [options.maxAge]      The max-age in seconds of the cache-control header, if the API doesn't send one (default: 3600)
+ * @param   {int}     [options.ttl]         How long in seconds to serve a session without an `expires_at` (default: 3600)
+ * @param   {int}     [options.maxSessions] The maximum number of allowed sessions (default: 10000)
+ * @returns {Function}                      The request handler
+ */
+function createSessionProxy(options) {
+    // no prototype, so ids like '__proto__' or 'constructor' are never allowed by accident
+    var sessions = Object.create(null),
+        count = 0,
+        mountPath,
+        maxAge,
+        ttl,
+        maxSessions;
+
+    options = options || {};
+
+    if (!options.client) {
+        throw new Error('The client option is required.');
+    }
+
+    mountPath = (options.path || '').replace(/\/+$/, '');
+    maxAge = typeof options.maxAge === 'number' ? options.maxAge : DEFAULT_MAX_AGE;
+    ttl = typeof options.ttl === 'number' ? options.ttl : DEFAULT_SESSION_TTL;
+    maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+
+    function forget(id) {
+        if (id in sessions) {
+            delete sessions[id];
+            count--;
+        }
+    }
+
+    // forget expired sessions, then the oldest ones until there is room for another
+    function prune() {
+        var now = Date.now(),
+            id;
+
+        for (id in sessions) {
+            if (sessions[id] <= now) {
+                forget(id);
+            }
+        }
+        for (id in sessions) {
+            if (count < maxSessions) {
+                break;
+            }
+            forget(id);
+        }
+    }
+
+    function isAllowed(id) {
+        var expiration = sessions[id];
+
+        if (!expiration) {
+            return false;
+        }
+        if (expiration <= Date.now()) {
+            forget(id);
+            return false;
+        }
+        return true;
+    }
+
+    function getCacheControl(id) {
+        var seconds = Math.floor((sessions[id] - Date.now()) / 1000);
+        return 'private, max-age=' + Math.max(0, Math.min(maxAge, seconds));
+    }
+
+    function send(req, res, id, asset, response) {
+        var finished = false;
+
+        PASSTHROUGH_HEADERS.forEach(function (name) {
+            if (response.headers[name]) {
+                res.setHeader(name, response.headers[name]);
+            }
+        });
+        if (!response.headers['content-type']) {
+            res.setHeader('content-type', CONTENT_TYPES[path.extname(asset).toLowerCase()] || 'application/octet-stream');
+        }
+        if (!response.headers['cache-control']) {
+            res.setHeader('cache-control', getCacheControl(id));
+        }
+        res.setHeader('x-content-type-options', 'nosniff');
+        res.statusCode = 200;
+
+        if (req.method === 'HEAD') {
+            response.destroy();
+            res.end();
+            return;
+        }
+
+        response.on('end', function () {
+            finished = true;
+        });
+        // stop downloading the asset if the browser goes away
+        res.on('close', function () {
+            if (!finished) {
+                response.destroy();
+            }
+        });
+        response.pipe(res);
+    }
+
+    /**
+     * Handle a session asset request
+     * @param   {HTTPRequest}  req    The request object
+     * @param   {HTTPResponse} res    The response object
+     * @param   {Function}     [next] The next middleware (if used as middleware)
+     * @returns {void}
+     */
+    function proxy(req, res, next) {
+        var pathname = url.parse(req.url).pathname,
+            match = ASSET_PATH_RE.exec(pathname),
+            id,
+            asset;
+
+        if (!match) {
+            if (typeof next === 'function') {
+                next();
+            } else {
+                respond(res, 404);
+            }
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('allow', 'GET, HEAD');
+            respond(res, 405);
+            return;
+        }
+
+        try {
+            id = decodeURIComponent(match[1]);
+        } catch (e) {
+            respond(res, 400);
+            return;
+        }
+        asset = match[2];
+
+        if (isUnsafeAsset(asset)) {
+            respond(res, 400);
+            return;
+        }
+
+        if (!isAllowed(id)) {
+            respond(res, 403);
+            return;
+        }
+
+        options.client.sessions.getAsset(id, asset, function (err, response) {
+            if (err) {
+                // don't leak API errors (e.g., authentication failures) to the browser
+                respond(res, err.statusCode === 404 ? 404 : 502);
+                return;
+            }
+            send(req, res, id, asset, response);
+        });
+    }
+
+    /**
+     * Allow the proxy to serve the assets of a session until it expires (or for the ttl
+     * option if it has no expiration time)
+     * @param   {Session|Object} session The session (as returned by sessions.create)
+     * @returns {Function}               The proxy
+     */
+    proxy.allow = function (session) {
+        forget(session.id);
+        prune();
+        sessions[session.id] = getExpiration(session, ttl);
+        count++;
+        return proxy;
+    };
+
+    /**
+     * Stop serving the assets of a session
+     * @param   {string}   id The session uuid
+     * @returns {Function}    The proxy
+     */
+    proxy.revoke = function (id) {
+        forget(id);
+        return proxy;
+    };
+
+    /**
+     * Get the URL of the proxied session assets for viewer.js, or of a single asset
+     * @param   {Session|string} session The session or session uuid
+     * @param   {string}         [asset] The path of an asset (e.g., 'info.json')
+     * @returns {string}                 The URL
+     */
+    proxy.assetsUrl = function (session, asset) {
+        var id = typeof session === 'string' ? session : session.id;
+        return mountPath + '/' + encodeURIComponent(id) + '/assets/' + (asset ? String(asset).replace(/^\//, '') : '');
+    };
+
+    return proxy;
+}
@@ -0,0 +1,101 @@
+'use strict';
+
+var querystring = require('querystring');
+
+module.exports = Session;
+
+/**
+ * Get the URL of a session resource, from the URLs returned by the API if possible
+ * @param   {Session} session The session
+ * @param   {string}  name    The name of the URL in `urls` (e.g., 'view')
+ * @param   {string}  path    The path of the resource within the session (used if the API didn't return the URL)
+ * @returns {string}          The URL
+ */
+function getURL(session, name, path) {
+    if (session.urls && session.urls[name]) {
+        return session.urls[name];
+    }
+    return session.sessionsURL + '/' + session.id + path;
+}
+
+/**
+ * A viewing session, as returned by sessions.create, with helpers to build the URLs
+ * that viewer.js and browsers use to access it
+ *
+ * The session metadata (`id`, `document`, `expires_at`, `urls`, ...) is copied as-is,
+ * so a session serializes to the same JSON as the API response.
+ *
+ * @param {Object} data        The session metadata from the API
+ * @param {string} sessionsURL The sessions API URL (used to build URLs the API didn't return)
+ * @constructor
+ */
+function Session(data, sessionsURL) {
+    var key;
+
+    for (key in data) {
+        if (data.hasOwnProperty(key)) {
+            this[key] = data[key];
+        }
+    }
+
+    Object.defineProperty(this, 'sessionsURL', {
+        value: sessionsURL,
+        configurable: true,
+        writable: true
+    });
+}
+
+/**
+ * The time at which the session expires
+ * @type {Date}
+ */
+Object.defineProperty(Session.prototype, 'expiresAt', {
+    get: function () {
+        return this['expires_at'] ? new Date(this['expires_at']) : null;
+    }
+});
+
+/**
+ * Get the URL to view the document in a browser (e.g., in an iframe)
+ * @param   {Object} [params]       URL parameters
+ * @param   {string} [params.theme] The viewer theme ('light' or 'dark')
+ * @returns {string}                The URL
+ */
+Session.prototype.viewUrl = function (params) {
+    var query = querystring.stringify(params || {});
+    return getURL(this, 'view', '/view') + (query ? '?' + query : '');
+};
+
+/**
+ * Get the URL of the session assets for viewer.js, or of a single asset
+ * @param   {string} [asset] The path of an asset (e.g., 'info.json', 'page-1.svg' or 'stylesheet.css')
+ * @returns {string}         The URL
+ */
+Session.prototype.assetsUrl = function (asset) {
+    var base = getURL(this, 'assets', '/assets/');
+    if (!/\/$/.test(base)) {
+        base += '/';
+    }
+    return base + (asset ? String(asset).replace(/^\//, '') : '');
+};
+
+/**
+ * Get the URL of the realtime (server-sent events) channel for the session
+ * @returns {string} The URL, or null if the API didn't return one
+ */
+Session.prototype.realtimeUrl = function () {
+    return (this.urls && this.urls.realtime) || null;
+};
+
+/**
+ * Get the URL to download the original document (only if the session was created
+ * with `is_downloadable`), or the document as PDF or zip
+ * @param   {string} [extension] The document format ('pdf' or 'zip'; default: the original format)
+ * @returns {string}             The URL
+ */
+Session.prototype.downloadUrl = function (extension) {
+    if (extension && !/^\./.test(extension)) {
+        extension = '.' + extension;
+    }
+    return this.sessionsURL + '/' + this.id + '/content' + (extension || '');
+};
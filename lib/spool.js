@@ -0,0 +1,235 @@
+'use strict';
+
+// fs must be declared separately, else browserify gets sad w/brfs transform
+var fs = require('fs');
+
+var os = require('os'),
+    path = require('path'),
+    crypto = require('crypto'),
+    PassThrough = require('stream').PassThrough;
+
+var DEFAULT_MAX_MEMORY = 10 * 1024 * 1024;
+
+module.exports = Spool;
+
+/**
+ * Copy a readable stream to a temp file or a bounded memory buffer while it is
+ * being read, so that it can be read again (e.g., to retry an upload)
+ * @param {Stream}        source              The readable stream to spool
+ * @param {String|Object} [options]           Spool options, or the spool type
+ * @param {String}        [options.type]      Where to spool the stream: 'file' (default) or 'memory'
+ * @param {String}        [options.dir]       The directory for temp files (default: os.tmpdir())
+ * @param {int}           [options.maxMemory] The maximum number of bytes to buffer in memory (default: 10MB)
+ * @constructor
+ */
+function Spool(source, options) {
+    if (typeof options === 'string') {
+        options = { type: options };
+    } else if (typeof options !== 'object' || !options) {
+        options = {};
+    }
+
+    this.source = source;
+    this.type = options.type === 'memory' ? 'memory' : 'file';
+    this.maxMemory = options.maxMemory || DEFAULT_MAX_MEMORY;
+    this.dir = options.dir || os.tmpdir();
+    this.size = 0;
+    this.chunks = [];
+    this.file = null;
+    this.writer = null;
+    this.output = null;
+    this.error = null;
+    this.finished = false;
+    this.closed = false;
+    this.destroyed = false;
+    this.waiting = [];
+}
+
+/**
+ * Start reading the source stream
+ * @returns {Stream} A readable stream of the source data (for the first read)
+ */
+Spool.prototype.stream = function () {
+    var spool = this,
+        source = this.source;
+
+    this.output = new PassThrough();
+
+    if (this.type === 'file') {
+        this.file = path.join(this.dir, 'box-view-' + crypto.randomBytes(8).toString('hex') + '.spool');
+        this.writer = fs.createWriteStream(this.file);
+        this.writer.on('error', function (err) {
+            spool.fail(err);
+        });
+        this.writer.on('drain', function () {
+            source.resume();
+        });
+        this.writer.on('finish', function () {
+            spool.finish();
+        });
+        this.writer.on('close', function () {
+            spool.closed = true;
+        });
+    }
+
+    source.on('data', function (chunk) {
+        if (spool.destroyed) {
+            return;
+        }
+        spool.write(chunk);
+        if (spool.output && !spool.output.write(chunk)) {
+            source.pause();
+        }
+    });
+    source.on('end', function () {
+        if (spool.output) {
+            spool.output.end();
+        }
+        if (spool.destroyed) {
+            return;
+        }
+        if (spool.writer) {
+            spool.writer.end();
+        } else {
+            spool.finish();
+        }
+    });
+    source.on('error', function (err) {
+        var output = spool.output;
+
+        spool.fail(err);
+        // fail the first read too, so the truncated data isn't sent as if it were complete
+        if (output) {
+            spool.output = null;
+            output.emit('error', err);
+        }
+    });
+    this.output.on('drain', function () {
+        source.resume();
+    });
+
+    source.resume();
+    return this.output;
+};
+
+/**
+ * Store a chunk of the source data
+ * @param   {Buffer} chunk The chunk
+ * @returns {void}
+ */
+Spool.prototype.write = function (chunk) {
+    if (this.error) {
+        return;
+    }
+    this.size += chunk.length;
+    if (this.writer) {
+        if (!this.writer.write(chunk)) {
+            this.source.pause();
+        }
+    } else if (this.size > this.maxMemory) {
+        this.chunks = [];
+        this.fail(new Error('Stream exceeds the maximum spool size of ' + this.maxMemory + ' bytes.'));
+    } else {
+        this.chunks.push(chunk);
+    }
+};
+
+/**
+ * Mark the spool as finished, and flush any pending replays
+ * @returns {void}
+ */
+Spool.prototype.finish = function () {
+    this.finished = true;
+    this.flush();
+};
+
+/**
+ * Mark the spool as failed (it can no longer be replayed), and flush any pending replays
+ * @param   {Error} err The error
+ * @returns {void}
+ */
+Spool.prototype.fail = function (err) {
+    if (!this.error) {
+        this.error = err;
+    }
+    this.flush();
+};
+
+/**
+ * Call any pending replay callbacks if the spool is finished or failed
+ * @returns {void}
+ */
+Spool.prototype.flush = function () {
+    var waiting;
+    if (this.finished || this.error) {
+        waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(this.replay, this);
+    }
+};
+
+/**
+ * Whether the spool can (still) be replayed
+ * @returns {Boolean}
+ */
+Spool.prototype.replayable = function () {
+    return !this.error && !this.destroyed;
+};
+
+/**
+ * Get a readable stream of the full source data once it has been spooled
+ * @param   {Function} callback Function to call with an error or the stream
+ * @returns {void}
+ */
+Spool.prototype.replay = function (callback) {
+    var stream;
+
+    // stop feeding the first reader, so the rest of the source is spooled
+    // even if nobody is reading it anymore
+    if (this.output) {
+        this.output.end();
+        this.output = null;
+        this.source.resume();
+    }
+
+    if (this.destroyed) {
+        callback(new Error('Spool has been destroyed.'));
+    } else if (this.error) {
+        callback(this.error);
+    } else if (!this.finished) {
+        this.waiting.push(callback);
+    } else if (this.file) {
+        callback(null, fs.createReadStream(this.file));
+    } else {
+        stream = new PassThrough();
+        stream.end(Buffer.concat(this.chunks, this.size));
+        callback(null, stream);
+    }
+};
+
+/**
+ * Stop spooling and remove any spooled data (including the temp file)
+ * @returns {void}
+ */
+Spool.prototype.destroy = function () {
+    var file = this.file;
+
+    function unlink() {
+        fs.unlink(file, function () {});
+    }
+
+    if (this.destroyed) {
+        return;
+    }
+    this.destroyed = true;
+    this.chunks = [];
+    this.source.resume();
+    if (this.writer) {
+        if (this.closed) {
+            unlink();
+        } else {
+            this.writer.on('close', unlink);
+            this.writer.end();
+        }
+    }
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+var ValidationError = require('./errors').ValidationError;
+
+var MAX_LIST_LIMIT = 50,
+    THUMBNAIL_WIDTH = [16, 1024],
+    THUMBNAIL_HEIGHT = [16, 768],
+    THUMBNAIL_RE = /^\s*(\d+)\s*[x×]\s*(\d+)\s*$/i,
+    EXTENSION_RE = /^\.?[a-z0-9]+$/i,
+    URL_RE = /^https?:\/\/[^\s\/]+/i,
+    DOCUMENT_FIELDS = ['id', 'type', 'name', 'status', 'created_at', 'modified_at'],
+    DOCUMENT_UPDATE_FIELDS = ['name'],
+    CONTENT_EXTENSIONS = ['pdf', 'zip'],
+    MODES = ['strict', 'lenient'];
+
+module.exports = validate;
+
+/**
+ * Create a ValidationError for a bad parameter, shaped like the API's 400 responses
+ * (so `err.details` is `[{ field, message }]`)
+ * @param   {string} field   The name of the parameter
+ * @param   {string} message What is wrong with it
+ * @returns {ValidationError} The error
+ */
+function invalid(field, message) {
+    var text = 'Invalid ' + field + ': ' + message;
+
+    return new ValidationError(text, {
+        body: {
+            message: text,
+            details: [{ field: field, message: message }]
+        }
+    });
+}
+
+/**
+ * Check that a value is an integer within a range
+ * @param   {string} field The name of the parameter
+ * @param   {*}      value The value
+ * @param   {int}    min   The minimum value
+ * @param   {int}    max   The maximum value
+ * @returns {void}
+ * @throws  {ValidationError} If the value is out of range
+ */
+function checkRange(field, value, min, max) {
+    var number = Number(value);
+
+    if (value === '' || value === null || isNaN(number) || Math.floor(number) !== number || number < min || number > max) {
+        throw invalid(field, 'must be an integer between ' + min + ' and ' + max);
+    }
+}
+
+/**
+ * Check that a value is a date (or a date string)
+ * @param   {string} field The name of the parameter
+ * @param   {*}      value The value
+ * @returns {int}          The timestamp in milliseconds
+ * @throws  {ValidationError} If the value is not a date
+ */
+function checkDate(field, value) {
+    var time = new Date(value).getTime();
+
+    if (value === null || typeof value === 'boolean' || isNaN(time)) {
+        throw invalid(field, 'must be a date');
+    }
+    return time;
+}
+
+/**
+ * Check that a value is a boolean (only in strict mode; the API also accepts other values)
+ * @param   {string}  field  The name of the parameter
+ * @param   {*}       value  The value
+ * @param   {boolean} strict Whether to validate strictly
+ * @returns {void}
+ * @throws  {ValidationError} If the value is not a boolean
+ */
+function checkBoolean(field, value, strict) {
+    if (strict && typeof value !== 'boolean') {
+        throw invalid(field, 'must be true or false');
+    }
+}
+
+/**
+ * Check that a value is one of the known values (only in strict mode, since the API
+ * may add new values)
+ * @param   {string}  field  The name of the parameter
+ * @param   {string}  value  The value
+ * @param   {Array}   known  The known values
+ * @param   {boolean} strict Whether to validate strictly
+ * @returns {void}
+ * @throws  {ValidationError} If the value is unknown
+ */
+function checkKnown(field, value, known, strict) {
+    if (strict && known.indexOf(value) === -1) {
+        throw invalid(field, 'must be one of ' + known.join(', ') + ' (got ' + value + ')');
+    }
+}
+
+/**
+ * Check that an id is a non-empty string
+ * @param   {string} field The name of the parameter
+ * @param   {*}      id    The id
+ * @returns {void}
+ * @throws  {ValidationError} If the id is not a non-empty string
+ */
+function checkId(field, id) {
+    if (typeof id !== 'string' || !id) {
+        throw invalid(field, 'must be a non-empty string');
+    }
+}
+
+/**
+ * Check the value of a thumbnails upload parameter (e.g., '128x128,256x256')
+ * @param   {string} value The value
+ * @returns {void}
+ * @throws  {ValidationError} If a size is malformed or out of range
+ */
+function checkThumbnails(value) {
+    String(value).split(',').forEach(function (size) {
+        var match = THUMBNAIL_RE.exec(size);
+
+        if (!match) {
+            throw invalid('thumbnails', 'sizes must be formatted as {width}x{height} (got ' + size + ')');
+        }
+        checkRange('thumbnails width', match[1], THUMBNAIL_WIDTH[0], THUMBNAIL_WIDTH[1]);
+        checkRange('thumbnails height', match[2], THUMBNAIL_HEIGHT[0], THUMBNAIL_HEIGHT[1]);
+    });
+}
+
+/**
+ * Check a content extension
+ * @param   {string}  extension The extension (with or without a leading dot)
+ * @param   {boolean} strict    Whether to validate strictly
+ * @returns {void}
+ * @throws  {ValidationError} If the extension is malformed (or unknown, in strict mode)
+ */
+function checkExtension(extension, strict) {
+    if (!EXTENSION_RE.test(extension)) {
+        throw invalid('extension', 'must be a file extension (got ' + extension + ')');
+    }
+    checkKnown('extension', extension.replace(/^\./, '').toLowerCase(), CONTENT_EXTENSIONS, strict);
+}
+
+/**
+ * Check upload parameters
+ * @param   {Object}  params The parameters
+ * @param   {boolean} strict Whether to validate strictly
+ * @returns {void}
+ * @throws  {ValidationError} If a parameter is invalid
+ */
+function checkUploadParams(params, strict) {
+    if (typeof params.name !== 'undefined' && (typeof params.name !== 'string' || !params.name)) {
+        throw invalid('name', 'must be a non-empty string');
+    }
+    if (typeof params.thumbnails !== 'undefined') {
+        checkThumbnails(params.thumbnails);
+    }
+    if (typeof params['non_svg'] !== 'undefined') {
+        checkBoolean('non_svg', params['non_svg'], strict);
+    }
+}
+
+var RULES = {
+    'documents.list': function (args) {
+        var params = args.params || {},
+            before,
+            after;
+
+        if (typeof params.limit !== 'undefined') {
+            checkRange('limit', params.limit, 1, MAX_LIST_LIMIT);
+        }
+        if (params['created_before']) {
+            before = checkDate('created_before', params['created_before']);
+        }
+        if (params['created_after']) {
+            after = checkDate('created_after', params['created_after']);
+        }
+        if (before && after && after >= before) {
+            throw invalid('created_after', 'must be before created_before');
+        }
+    },
+
+    'documents.get': function (args, strict) {
+        var fields = args.fields;
+
+        checkId('id', args.id);
+        if (!fields) {
+            return;
+        }
+        (Array.isArray(fields) ? fields : String(fields).split(',')).forEach(function (field) {
+            checkKnown('fields', String(field).trim(), DOCUMENT_FIELDS, strict);
+        });
+    },
+
+    'documents.update': function (args, strict) {
+        var data = args.data,
+            key;
+
+        checkId('id', args.id);
+        if (!data || typeof data !== 'object') {
+            throw invalid('data', 'must be an object');
+        }
+        for (key in data) {
+            if (data.hasOwnProperty(key)) {
+                checkKnown('data', key, DOCUMENT_UPDATE_FIELDS, strict);
+            }
+        }
+        if (typeof data.name !== 'undefined' && (typeof data.name !== 'string' || !data.name)) {
+            throw invalid('name', 'must be a non-empty string');
+        }
+    },
+
+    'documents.delete': function (args) {
+        checkId('id', args.id);
+    },
+
+    'documents.uploadFile': function (args, strict) {
+        checkUploadParams(args.params || {}, strict);
+    },
+
+    'documents.uploadURL': function (args, strict) {
+        if (typeof args.url !== 'string' || !URL_RE.test(args.url)) {
+            throw invalid('url', 'must be an http or https URL');
+        }
+        checkUploadParams(args.params || {}, strict);
+    },
+
+    'documents.getContent': function (args, strict) {
+        checkId('id', args.id);
+        if (args.extension) {
+            checkExtension(args.extension, strict);
+        }
+    },
+
+    'documents.getThumbnail': function (args) {
+        checkId('id', args.id);
+        checkRange('width', args.width, THUMBNAIL_WIDTH[0], THUMBNAIL_WIDTH[1]);
+        checkRange('height', args.height, THUMBNAIL_HEIGHT[0], THUMBNAIL_HEIGHT[1]);
+    },
+
+    'sessions.create': function (args, strict) {
+        var params = args.params || {},
+            duration = params.duration;
+
+        checkId('id', args.id);
+        if (typeof duration !== 'undefined' && (typeof duration === 'boolean' || isNaN(duration) || Number(duration) <= 0)) {
+            throw invalid('duration', 'must be a positive number of minutes');
+        }
+        if (typeof params['expires_at'] !== 'undefined' && checkDate('expires_at', params['expires_at']) <= Date.now()) {
+            throw invalid('expires_at', 'must be in the future');
+        }
+        if (typeof params['is_downloadable'] !== 'undefined') {
+            checkBoolean('is_downloadable', params['is_downloadable'], strict);
+        }
+    },
+
+    'sessions.getContent': function (args, strict) {
+        RULES['documents.getContent'](args, strict);
+    },
+
+    'sessions.getAsset': function (args) {
+        checkId('id', args.id);
+        if (typeof args.asset !== 'string' || !args.asset) {
+            throw invalid('asset', 'must be a non-empty string');
+        }
+        args.asset.split('/').forEach(function (segment) {
+            try {
+                segment = decodeURIComponent(segment);
+            } catch (e) {
+                throw invalid('asset', 'must be a valid URL path');
+            }
+            if (segment === '..' || /[\/\\]/.test(segment)) {
+                throw invalid('asset', 'must not contain ".." segments');
+            }
+        });
+    },
+
+    'sessions.delete': function (args) {
+        checkId('id', args.id);
+    }
+};
+
+/**
+ * Validate the arguments of an API call before the request is made
+ *
+ * In 'strict' mode, values the API doesn't know about (yet) are rejected too, such as
+ * unknown `fields` names or content extensions; 'lenient' mode only rejects values that
+ * can never be valid, such as out-of-range numbers or malformed dates.
+ *
+ * @param   {string}         method The API method (e.g., 'documents.list')
+ * @param   {Object}         args   The arguments of the call, by name
+ * @param   {string|boolean} mode   'strict', 'lenient', or false to skip validation
+ * @returns {void}
+ * @throws  {ValidationError}       If an argument is invalid
+ */
+function validate(method, args, mode) {
+    if (!mode) {
+        return;
+    }
+    if (MODES.indexOf(mode) === -1) {
+        throw new Error('Invalid validate option: ' + mode + ' (must be strict, lenient or false)');
+    }
+    RULES[method](args, mode === 'strict');
+}
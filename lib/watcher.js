@@ -0,0 +1,373 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter,
+    extend = require('extend'),
+    AbortError = require('./errors').AbortError,
+    getEntries = require('./list-stream').getEntries,
+    util = require('util');
+
+var DEFAULT_INTERVAL = 5000,
+    DEFAULT_LIST_THRESHOLD = 10,
+    DEFAULT_CONCURRENCY = 4,
+    LIST_LIMIT = 50;
+
+module.exports = Watcher;
+
+/**
+ * Get the number of milliseconds to wait before polling again after a failed request
+ * @param   {HTTPResponse} [response] The response object (if any)
+ * @returns {int}                     The delay in milliseconds
+ */
+function getRetryAfter(response) {
+    var retryAfter = response && response.statusCode === 429 && response.headers['retry-after'];
+    return retryAfter ? parseInt(retryAfter, 10) * 1000 || 0 : 0;
+}
+
+/**
+ * Watch documents until their conversion is done (or fails)
+ *
+ * Emits 'processing' and 'done' with the document metadata when a document changes
+ * status, and 'timeout' with the last known metadata for documents that are still
+ * pending when the timeout is reached. Like any 'error' event, 'error' is emitted with
+ * an Error first (with the metadata in `err.document`), then the document metadata;
+ * it is only emitted if there are listeners, since failed conversions are also part
+ * of the final result. Emits 'end'
+ * when watching has finished. If watching is cancelled (with the signal option, or by
+ * closing the client), the callback is called with an AbortError instead.
+ *
+ * @param {Object}        documents                   The client's documents API
+ * @param {Array}         ids                         Document ids or document objects (e.g., from an upload response)
+ * @param {Object}        [options]                   Watch options
+ * @param {int}           [options.interval]          The number of milliseconds between polls (default: 5000)
+ * @param {int}           [options.timeout]           The number of milliseconds to watch before giving up (default: no timeout)
+ * @param {int}           [options.listThreshold]     Use documents.list instead of documents.get when more than this many documents are pending (default: 10)
+ * @param {int}           [options.concurrency]       The maximum number of concurrent documents.get requests (default: 4)
+ * @param {boolean|Object} [options.retry]            The retry option to use for requests
+ * @param {AbortSignal}   [options.signal]            A signal to stop watching with (and abort requests in flight)
+ * @param {Function}      [callback]                  Function to call with the final document metadata when every document is done, failed or timed out
+ * @constructor
+ */
+function Watcher(documents, ids, options, callback) {
+    var watcher = this;
+
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.documents = documents;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.deadline = options.timeout ? Date.now() + options.timeout : Infinity;
+    this.listThreshold = options.listThreshold || DEFAULT_LIST_THRESHOLD;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.retry = options.retry;
+    this.signal = options.signal;
+    this.callback = callback;
+    this.ids = [];
+    this.documentsById = {};
+    this.pending = {};
+    this.timer = null;
+    this.stopped = false;
+    this.onAbort = function () {
+        watcher.finish(new AbortError('Watching was aborted.'));
+    };
+
+    (Array.isArray(ids) ? ids : [ids]).forEach(function (doc) {
+        var id = typeof doc === 'string' ? doc : doc.id;
+        if (!watcher.documentsById[id]) {
+            watcher.ids.push(id);
+            watcher.pending[id] = true;
+            watcher.documentsById[id] = { id: id };
+        }
+    });
+
+    if (this.signal) {
+        this.signal.addEventListener('abort', this.onAbort);
+    }
+
+    process.nextTick(function () {
+        if (watcher.signal && watcher.signal.aborted) {
+            watcher.onAbort();
+            return;
+        }
+        // documents that were passed in with a status might already be done
+        (Array.isArray(ids) ? ids : [ids]).forEach(function (doc) {
+            if (typeof doc === 'object' && doc.status) {
+                watcher.update(doc);
+            }
+        });
+        watcher.poll();
+    });
+}
+
+util.inherits(Watcher, EventEmitter);
+
+/**
+ * Get the ids of the documents that are still pending
+ * @returns {Array} The ids
+ */
+Watcher.prototype.pendingIds = function () {
+    return this.ids.filter(function (id) {
+        return this.pending[id];
+    }, this);
+};
+
+/**
+ * Update the metadata for a document, and emit an event if its status changed
+ * @param   {Object} doc The document metadata
+ * @returns {void}
+ */
+Watcher.prototype.update = function (doc) {
+    var id = doc.id,
+        previous = this.documentsById[id],
+        err;
+
+    if (!this.pending[id]) {
+        return;
+    }
+
+    this.documentsById[id] = doc = extend({}, previous, doc);
+
+    if (doc.status === 'done') {
+        delete this.pending[id];
+        this.emit('done', doc);
+    } else if (doc.status === 'error') {
+        delete this.pending[id];
+        if (this.listeners('error').length) {
+            err = new Error('Document conversion failed');
+            err.document = doc;
+            this.emit('error', err, doc);
+        }
+    } else if (doc.status === 'processing' && previous.status !== 'processing') {
+        this.emit('processing', doc);
+    }
+};
+
+/**
+ * Poll the status of all pending documents, then schedule the next poll
+ * @returns {void}
+ */
+Watcher.prototype.poll = function () {
+    var watcher = this,
+        ids = this.pendingIds(),
+        listIds;
+
+    this.timer = null;
+
+    if (this.stopped) {
+        return;
+    }
+
+    if (!ids.length) {
+        this.finish();
+        return;
+    }
+
+    if (Date.now() >= this.deadline) {
+        ids.forEach(function (id) {
+            delete watcher.pending[id];
+            watcher.emit('timeout', watcher.documentsById[id]);
+        });
+        this.finish();
+        return;
+    }
+
+    // documents.list can only find documents within a window of creation
+    // timestamps, so it's only used for documents we know the timestamp of
+    listIds = ids.filter(function (id) {
+        return watcher.documentsById[id]['created_at'];
+    });
+
+    if (listIds.length > this.listThreshold) {
+        this.pollList(listIds, function (wait) {
+            // fetch anything that didn't show up in the list individually
+            watcher.pollEach(watcher.pendingIds(), function (getWait) {
+                watcher.schedule(Math.max(wait, getWait));
+            });
+        });
+    } else {
+        this.pollEach(ids, function (wait) {
+            watcher.schedule(wait);
+        });
+    }
+};
+
+/**
+ * Schedule the next poll
+ * @param   {int} wait The minimum number of milliseconds to wait (e.g., from a Retry-After header)
+ * @returns {void}
+ */
+Watcher.prototype.schedule = function (wait) {
+    var delay = Math.max(wait || 0, this.interval);
+
+    if (this.stopped) {
+        return;
+    }
+    if (!this.pendingIds().length) {
+        this.finish();
+        return;
+    }
+
+    delay = Math.max(0, Math.min(delay, this.deadline - Date.now()));
+    this.timer = setTimeout(this.poll.bind(this), delay);
+};
+
+/**
+ * Fetch the given documents one at a time (with bounded concurrency)
+ * @param   {Array}    ids  The document ids
+ * @param   {Function} done Function to call with the time to wait before the next poll
+ * @returns {void}
+ */
+Watcher.prototype.pollEach = function (ids, done) {
+    var watcher = this,
+        index = 0,
+        active = 0,
+        wait = 0;
+
+    function next() {
+        var id;
+
+        if (index >= ids.length || watcher.stopped) {
+            if (active === 0) {
+                done(wait);
+            }
+            return;
+        }
+
+        id = ids[index++];
+        active++;
+        try {
+            watcher.documents.get(id, { retry: watcher.retry, signal: watcher.signal }, function (err, doc, response) {
+                active--;
+                if (err instanceof AbortError) {
+                    watcher.finish(err);
+                } else if (err) {
+                    wait = Math.max(wait, getRetryAfter(response));
+                    if (response && [401, 403, 404].indexOf(response.statusCode) > -1) {
+                        // the document is gone (or not ours), so it won't ever be done
+                        watcher.update({ id: id, status: 'error' });
+                    }
+                } else {
+                    watcher.update(doc);
+                }
+                next();
+            });
+        } catch (err) {
+            // the id was rejected by client-side validation, so it won't ever be done
+            active--;
+            watcher.update({ id: id, status: 'error' });
+        }
+
+        if (active < watcher.concurrency) {
+            next();
+        }
+    }
+
+    if (!ids.length) {
+        done(0);
+        return;
+    }
+    next();
+};
+
+/**
+ * Find the given documents using documents.list, a page at a time, within the window
+ * of their creation timestamps
+ * @param   {Array}    ids  The document ids
+ * @param   {Function} done Function to call with the time to wait before the next poll
+ * @returns {void}
+ */
+Watcher.prototype.pollList = function (ids, done) {
+    var watcher = this,
+        remaining = {},
+        count = ids.length,
+        createdAfter,
+        createdBefore = null;
+
+    createdAfter = Math.min.apply(Math, ids.map(function (id) {
+        remaining[id] = true;
+        return new Date(watcher.documentsById[id]['created_at']).getTime();
+    }));
+
+    function next() {
+        var params = {
+            limit: LIST_LIMIT,
+            'created_after': new Date(createdAfter - 1000)
+        };
+
+        if (createdBefore) {
+            params['created_before'] = createdBefore;
+        }
+
+        watcher.documents.list({ params: params, retry: watcher.retry, signal: watcher.signal }, function (err, body, response) {
+            var docs,
+                oldest;
+
+            if (err) {
+                if (err instanceof AbortError) {
+                    watcher.finish(err);
+                }
+                done(getRetryAfter(response));
+                return;
+            }
+
+            docs = getEntries(body);
+            docs.forEach(function (doc) {
+                if (remaining[doc.id]) {
+                    delete remaining[doc.id];
+                    count--;
+                    watcher.update(doc);
+                }
+            });
+
+            oldest = docs.length && docs[docs.length - 1]['created_at'];
+            if (count > 0 && docs.length >= LIST_LIMIT && oldest && oldest !== createdBefore && !watcher.stopped) {
+                createdBefore = oldest;
+                next();
+            } else {
+                done(0);
+            }
+        });
+    }
+
+    next();
+};
+
+/**
+ * Stop watching, and call the callback with the metadata collected so far
+ * @returns {void}
+ */
+Watcher.prototype.stop = function () {
+    this.finish();
+};
+
+/**
+ * Finish watching and call the callback with the final document metadata (or an error)
+ * @param   {Error} [err] The error that stopped watching (if any)
+ * @returns {void}
+ */
+Watcher.prototype.finish = function (err) {
+    var watcher = this;
+
+    if (this.stopped) {
+        return;
+    }
+    this.stopped = true;
+    if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    if (this.signal) {
+        this.signal.removeEventListener('abort', this.onAbort);
+    }
+    this.emit('end');
+    if (typeof this.callback !== 'function') {
+        return;
+    }
+    if (err) {
+        this.callback(err);
+    } else {
+        this.callback(null, this.ids.map(function (id) {
+            return watcher.documentsById[id];
+        }));
+    }
+};
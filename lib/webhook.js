@@ -0,0 +1,195 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter,
+    http = require('http');
+
+var MAX_BODY_SIZE = 1024 * 1024,
+    EVENT_TYPE_RE = /^document\.[a-z_]+$/;
+
+module.exports = createWebhookHandler;
+
+/**
+ * Send a plain text response with the status text as the body
+ * @param   {HTTPResponse} res        The response object
+ * @param   {int}          statusCode The status code
+ * @returns {void}
+ */
+function respond(res, statusCode) {
+    res.statusCode = statusCode;
+    res.setHeader('content-type', 'text/plain');
+    res.end(http.STATUS_CODES[statusCode]);
+}
+
+/**
+ * Read the request body (or use the body already parsed by a body parser middleware)
+ * @param   {HTTPRequest} req      The request object
+ * @param   {Function}    callback Function to call with an error or the body
+ * @returns {void}
+ */
+function readBody(req, callback) {
+    var chunks = [],
+        size = 0,
+        aborted = false,
+        err;
+
+    if (typeof req.body !== 'undefined') {
+        callback(null, req.body);
+        return;
+    }
+
+    req.on('data', function (chunk) {
+        if (aborted) {
+            return;
+        }
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            aborted = true;
+            err = new Error('Request body is too large.');
+            err.statusCode = 413;
+            callback(err);
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', function () {
+        if (!aborted) {
+            callback(null, Buffer.concat(chunks, size));
+        }
+    });
+    req.on('error', function (err) {
+        if (!aborted) {
+            aborted = true;
+            callback(err);
+        }
+    });
+}
+
+/**
+ * Parse and validate a notification payload
+ * @param   {Buffer|string|Object|Array} body The request body
+ * @returns {Array}                           The notifications
+ * @throws  {Error}                           If the payload is invalid
+ */
+function parseNotifications(body) {
+    var notifications = body;
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+        notifications = JSON.parse(body.toString());
+    }
+
+    if (!Array.isArray(notifications)) {
+        notifications = [notifications];
+    }
+
+    notifications.forEach(function (notification) {
+        if (!notification || typeof notification !== 'object' ||
+                !EVENT_TYPE_RE.test(notification.type) ||
+                !notification.data || typeof notification.data.id !== 'string') {
+            throw new Error('Invalid notification payload.');
+        }
+    });
+
+    return notifications;
+}
+
+/**
+ * Create a request handler that receives Box View webhook notifications, which works
+ * as a plain http request listener and as Connect/Express middleware
+ *
+ * Emits an event named after the notification type (e.g., 'document.viewable',
+ * 'document.done' or 'document.error') with the document and the notification, and
+ * 'notification' with the same arguments for every notification. Emits 'invalid'
+ * with an error when a request is rejected, and 'error' if fetching a document fails
+ * (only if there are listeners; the notification is still emitted).
+ *
+ * @param   {Object}         [options]        Handler options
+ * @param   {BoxView}        [options.client] The client to use to fetch documents
+ * @param   {boolean|Object} [options.fetch]  If set, fetch the full document with documents.get (using these options) before emitting
+ * @returns {Function}                        The request handler (also an EventEmitter)
+ */
+function createWebhookHandler(options) {
+    var fetchOptions;
+
+    options = options || {};
+
+    if (options.fetch) {
+        if (!options.client) {
+            throw new Error('The client option is required to fetch documents.');
+        }
+        fetchOptions = typeof options.fetch === 'object' ? options.fetch : {};
+    }
+
+    function emitNotification(doc, notification) {
+        handler.emit(notification.type, doc, notification);
+        handler.emit('notification', doc, notification);
+    }
+
+    function handleNotification(notification) {
+        var id = notification.data.id;
+
+        if (!fetchOptions) {
+            emitNotification(notification.data, notification);
+            return;
+        }
+
+        options.client.documents.get(id, fetchOptions, function (err, doc) {
+            if (err) {
+                if (handler.listeners('error').length) {
+                    handler.emit('error', err, notification);
+                }
+                doc = notification.data;
+            }
+            emitNotification(doc, notification);
+        });
+    }
+
+    /**
+     * Handle a webhook request
+     * @param   {HTTPRequest}  req    The request object
+     * @param   {HTTPResponse} res    The response object
+     * @param   {Function}     [next] The next middleware (if used as middleware)
+     * @returns {void}
+     */
+    function handler(req, res, next) {
+        if (req.method !== 'POST') {
+            if (typeof next === 'function') {
+                next();
+            } else {
+                res.setHeader('allow', 'POST');
+                respond(res, 405);
+            }
+            return;
+        }
+
+        readBody(req, function (err, body) {
+            var notifications;
+
+            if (err) {
+                handler.emit('invalid', err);
+                respond(res, err.statusCode || 400);
+                return;
+            }
+
+            try {
+                notifications = parseNotifications(body);
+            } catch (e) {
+                handler.emit('invalid', e);
+                respond(res, 400);
+                return;
+            }
+
+            // acknowledge the notifications right away, before fetching anything
+            respond(res, 200);
+            notifications.forEach(handleNotification);
+        });
+    }
+
+    Object.getOwnPropertyNames(EventEmitter.prototype).forEach(function (name) {
+        if (name !== 'constructor' && typeof EventEmitter.prototype[name] === 'function') {
+            handler[name] = EventEmitter.prototype[name];
+        }
+    });
+    EventEmitter.call(handler);
+
+    return handler;
+}
@@ -1,10 +1,14 @@
-var TOKEN = process.env.BOX_VIEW_API_TOKEN;
+var TOKEN = process.env.BOX_VIEW_API_TOKEN,
+    // 'record' to record the requests to the cassette, or 'replay' to run without the API
+    CASSETTE_MODE = process.env.BOX_VIEW_CASSETTE;
 
 var fs = require('fs'),
     test = require('tape'),
     http = require('http'),
     BoxView = require('../'),
-    client = BoxView.createClient(TOKEN);
+    client = BoxView.createClient(TOKEN, CASSETTE_MODE ? {
+        cassette: { file: __dirname + '/cassettes/api-test.json', mode: CASSETTE_MODE }
+    } : {});
 
 var options = {
     params: {},
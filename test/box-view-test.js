@@ -1,3 +1,4 @@
+/*global AbortController*/
 var TOKEN = 'test api token';
 
 var fs = require('fs'),
@@ -78,6 +79,81 @@ test('documents.list should request the appropriate docs when filters are applie
     });
 });
 
+test('documents.listAll should stream every document across pages without duplicates', function (t) {
+    t.plan(3);
+
+    var querystring = require('querystring'),
+        page1 = [],
+        page2,
+        ids = [],
+        i;
+
+    for (i = 0; i < 50; i++) {
+        page1.push({ id: 'doc' + i, 'created_at': new Date(Date.UTC(2014, 5, 2, 18, 30, 50 - Math.min(i, 40))).toISOString() });
+    }
+    // the last documents on the first page share a timestamp with the first ones on the next page
+    page2 = page1.slice(40).concat([
+        { id: 'doc50', 'created_at': page1[49]['created_at'] },
+        { id: 'doc51', 'created_at': '2014-06-01T00:00:00.000Z' }
+    ]);
+
+    var request = nockAPI()
+        .get('/1/documents?limit=50')
+        .reply(200, page1)
+        .get('/1/documents?' + querystring.stringify({
+            'created_before': new Date(Date.parse(page1[49]['created_at']) + 1000).toISOString(),
+            limit: 50
+        }))
+        .reply(200, page2);
+
+    client.documents.listAll()
+        .on('data', function (doc) {
+            ids.push(doc.id);
+        })
+        .on('end', function () {
+            t.equal(ids.length, 52, 'should return every document');
+            t.equal(ids[51], 'doc51', 'should return documents in order');
+            t.ok(request.isDone(), 'request should be made properly');
+        });
+});
+
+test('documents.listAll should stop after max documents', function (t) {
+    t.plan(2);
+
+    var ids = [],
+        docs = [
+            { id: 'abc', 'created_at': '2014-06-02T18:30:57Z' },
+            { id: 'xyz', 'created_at': '2014-06-02T18:30:56Z' }
+        ];
+
+    var request = nockAPI()
+        .get('/1/documents?limit=50')
+        .reply(200, docs);
+
+    client.documents.listAll({ max: 1 })
+        .on('data', function (doc) {
+            ids.push(doc.id);
+        })
+        .on('end', function () {
+            t.deepEqual(ids, ['abc'], 'should return max documents');
+            t.ok(request.isDone(), 'request should be made properly');
+        });
+});
+
+test('documents.listAll should emit an error when a request fails', function (t) {
+    t.plan(1);
+
+    nockAPI()
+        .get('/1/documents?limit=50')
+        .reply(401, { message: 'Unauthorized' });
+
+    client.documents.listAll()
+        .on('error', function (err) {
+            t.equal(err.message, 'Unauthorized', 'should be an error');
+        })
+        .resume();
+});
+
 test('documents.list should return a list of documents when the request is successful', function (t) {
     t.plan(3);
 
@@ -214,6 +290,75 @@ test('documents.delete should return an error when the document is not found', f
     });
 });
 
+test('documents.deleteWhere should delete the matching documents', function (t) {
+    t.plan(4);
+
+    var createdBefore = new Date('2014-06-03T00:00:00Z'),
+        docs = [
+            { id: 'abc', name: 'report.pdf', status: 'done', 'created_at': '2014-06-02T18:30:57Z' },
+            { id: 'def', name: 'report.docx', status: 'error', 'created_at': '2014-06-02T18:30:56Z' },
+            { id: 'xyz', name: 'contract.pdf', status: 'done', 'created_at': '2014-06-02T18:30:55Z' }
+        ];
+
+    var request = nockAPI()
+        .get('/1/documents')
+        .query({ limit: 50, 'created_before': createdBefore.toISOString() })
+        .reply(200, docs)
+        .delete('/1/documents/abc')
+        .reply(204)
+        .delete('/1/documents/def')
+        .reply(404, { message: 'Not found' });
+
+    client.documents.deleteWhere({ createdBefore: createdBefore, nameMatches: /^report/ }, function (err, result) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(result.matched.map(function (doc) {
+            return doc.id;
+        }), ['abc', 'def'], 'should match documents by name');
+        t.equal(result.deleted.length, 2, 'should count documents that are already gone as deleted');
+        t.ok(request.isDone(), 'requests should be made properly');
+    });
+});
+
+test('documents.deleteWhere should refuse to delete every document unless all is set', function (t) {
+    t.plan(5);
+
+    var request = nockAPI()
+        .get('/1/documents')
+        .query(true)
+        .reply(200, [{ id: 'abc', name: 'report.pdf', status: 'done', 'created_at': '2014-06-02T18:30:57Z' }]);
+
+    client.documents.deleteWhere({}, function (err) {
+        t.ok(err instanceof BoxView.ValidationError, 'should be a ValidationError');
+        t.equal(err.details[0].field, 'criteria', 'should name the criteria');
+        t.notOk(request.isDone(), 'should not list the documents');
+
+        client.documents.deleteWhere({ all: true }, { dryRun: true }).then(function (result) {
+            t.equal(result.matched.length, 1, 'should match every document with all: true');
+            t.ok(request.isDone(), 'request should be made properly');
+        }).catch(t.error);
+    });
+});
+
+test('documents.deleteWhere should only report the matching documents in a dry run', function (t) {
+    t.plan(3);
+
+    var docs = [
+            { id: 'abc', name: 'report.pdf', status: 'done', 'created_at': '2014-06-02T18:30:57Z' },
+            { id: 'def', name: 'report.docx', status: 'error', 'created_at': '2014-06-02T18:30:56Z' }
+        ];
+
+    var request = nockAPI()
+        .get('/1/documents')
+        .query(true)
+        .reply(200, docs);
+
+    client.createRetentionPolicy({ maxAge: '30d', status: 'error', dryRun: true }).run().then(function (result) {
+        t.deepEqual(result.matched, [docs[1]], 'should match documents by status');
+        t.equal(result.deleted.length, 0, 'should not delete anything');
+        t.ok(request.isDone(), 'request should be made properly');
+    }).catch(t.error);
+});
+
 test('uploadFile should make a file upload request properly when given a filename', function (t) {
     t.plan(3);
 
@@ -246,6 +391,53 @@ test('uploadFile should make a file upload request properly when given a file st
     });
 });
 
+test('uploadFile should emit progress events with the total size of a file', function (t) {
+    t.plan(3);
+
+    var size = fs.statSync(__dirname + '/files/content.pdf').size,
+        progress = [];
+
+    var request = nockUploads()
+        .post('/1/documents')
+        .reply(202, { id: 'abc' });
+
+    client.documents.uploadFile(__dirname + '/files/content.pdf', function (err) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(progress[progress.length - 1], { bytes: size, total: size }, 'should report every byte sent');
+        t.ok(request.isDone(), 'request should be made properly');
+    }).on('progress', function (info) {
+        progress.push(info);
+    });
+});
+
+test('uploadFile should call onProgress with the size of a Buffer', function (t) {
+    t.plan(2);
+
+    var content = fs.readFileSync(__dirname + '/files/thumbnail.png'),
+        progress = [];
+
+    nockUploads()
+        .post('/1/documents')
+        .reply(202, { id: 'abc' });
+
+    client.documents.uploadFile(content, {
+        onProgress: function (info) {
+            progress.push(info);
+        }
+    }, function (err) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(progress[progress.length - 1], { bytes: content.length, total: content.length }, 'should report every byte sent');
+    });
+});
+
+test('uploadFile should fail when the file does not exist', function (t) {
+    t.plan(1);
+
+    client.documents.uploadFile(__dirname + '/files/missing.pdf', function (err) {
+        t.equal(err.code, 'ENOENT', 'should be the file error');
+    });
+});
+
 test('uploadFile should make a file upload request properly when given extra options', function (t) {
     t.plan(3);
 
@@ -306,6 +498,104 @@ test('uploadURL should make a url upload request with the proper params', functi
     });
 });
 
+test('uploadMany should upload every source and report failures', function (t) {
+    t.plan(3);
+
+    var url = 'http://example.com/blah.pdf',
+        results = [];
+
+    var request = nockUploads()
+        .post('/1/documents')
+        .reply(202, { id: 'abc', name: 'content.pdf', status: 'queued' });
+    nockAPI()
+        .post('/1/documents', { name: 'foo', url: url })
+        .reply(400, { message: 'Bad request' });
+
+    client.documents.uploadMany([
+        __dirname + '/files/content.pdf',
+        { source: url, name: 'foo' },
+        __dirname + '/files/missing.pdf'
+    ], { concurrency: 1 }).on('result', function (result) {
+        results.push(result.source);
+    }).then(function (report) {
+        t.deepEqual(report.map(function (result) {
+            return [result.id, result.status, result.error];
+        }), [
+            ['abc', 'queued', null],
+            [null, 'failed', 'Bad request'],
+            [null, 'failed', report[2].error]
+        ], 'should report the result of each source');
+        t.ok(/ENOENT/.test(report[2].error), 'should report missing files');
+        t.ok(results.length === 3 && request.isDone(), 'should emit each result');
+    }).catch(t.error);
+});
+
+test('uploadMany should finish once when entries fail synchronously', function (t) {
+    t.plan(4);
+
+    var callbacks = 0,
+        ends = 0;
+
+    client.documents.uploadMany([
+        {},
+        { source: '' },
+        { source: 'http://example.com/a.pdf', thumbnails: 'not a size' }
+    ], { concurrency: 2 }, function (err, report) {
+        callbacks++;
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(report.map(function (result) {
+            return result.status;
+        }), ['failed', 'failed', 'failed'], 'should report every entry');
+    }).on('end', function () {
+        ends++;
+    });
+
+    setTimeout(function () {
+        t.equal(callbacks, 1, 'should call the callback once');
+        t.equal(ends, 1, 'should emit end once');
+    }, 20);
+});
+
+test('uploadMany should not grow the stack when many entries fail synchronously', function (t) {
+    t.plan(2);
+
+    var entries = [],
+        i;
+
+    for (i = 0; i < 20000; i++) {
+        entries.push({ source: '' });
+    }
+
+    client.documents.uploadMany(entries, { concurrency: 1 }, function (err, report) {
+        t.notOk(err, 'should not be an error');
+        t.equal(report.length, entries.length, 'should report every entry');
+    });
+});
+
+test('uploadMany should upload the files of a CSV manifest and write a report', function (t) {
+    t.plan(3);
+
+    var dir = require('os').tmpdir(),
+        manifest = dir + '/box-view-manifest.csv',
+        report = dir + '/box-view-report.json';
+
+    fs.writeFileSync(manifest, 'source,name,thumbnails\nhttp://example.com/blah.pdf,"Report, 2014",128x128\n');
+    t.on('end', function () {
+        fs.unlinkSync(manifest);
+        fs.unlinkSync(report);
+    });
+
+    var request = nockAPI()
+        .post('/1/documents', { url: 'http://example.com/blah.pdf', name: 'Report, 2014', thumbnails: '128x128' })
+        .reply(202, { id: 'abc', name: 'Report, 2014', status: 'queued' });
+
+    client.documents.uploadMany(manifest, { report: report }, function (err, results) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(JSON.parse(fs.readFileSync(report)), results, 'should write the report');
+        t.ok(request.isDone(), 'should upload with the params from the manifest');
+    });
+});
+
 test('uploadURL should set content length correctly when unicode characters are used in the name', function (t) {
     t.plan(3);
 
@@ -397,95 +687,2073 @@ test('documents.getThumbnail should retry requesting thumbnail when retry-after
     });
 });
 
+test('documents.downloadContent should wait until the content is ready and save it to a file', function (t) {
+    t.plan(5);
 
+    var id = 'abc',
+        dest = require('os').tmpdir() + '/box-view-test-' + Date.now() + '.pdf';
 
-//////// SESSIONS /////////
+    var request = nockAPI()
+        .get('/1/documents/' + id + '/content.pdf')
+        .reply(202, '', { 'retry-after': '0' })
+        .get('/1/documents/' + id + '/content.pdf')
+        .reply(200, 'some pdf content', { 'content-type': 'application/pdf' });
 
-test('sessions.create should request a session when called', function (t) {
+    client.documents.downloadContent(id, { extension: 'pdf', dest: dest }, function (err, result) {
+        t.notOk(err, 'should not be an error');
+        t.equal(result.bytes, 16, 'should report the bytes written');
+        t.equal(result.contentType, 'application/pdf', 'should report the content type');
+        t.equal(fs.readFileSync(dest, 'utf8'), 'some pdf content', 'should save the content');
+        t.ok(request.isDone(), 'request should be retried until the content is ready');
+        fs.unlinkSync(dest);
+    });
+});
+
+test('documents.downloadThumbnail should save the thumbnail to a writable stream', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        dest = require('concat-stream')(function (data) {
+            t.equal(data.toString(), 'some png', 'should write the thumbnail');
+        });
+
+    nockAPI()
+        .get('/1/documents/' + id + '/thumbnail?width=100&height=100')
+        .reply(200, 'some png', { 'content-type': 'image/png' });
+
+    client.documents.downloadThumbnail(id, 100, 100, { dest: dest }).then(function (result) {
+        t.equal(result.contentType, 'image/png', 'should resolve with the content type');
+    });
+});
+
+test('documents.getContent should report download progress when onProgress is set', function (t) {
     t.plan(3);
 
-    var id = 'abc';
+    var id = 'abc',
+        progress = [];
 
-    var session = {
-        type: 'session',
-        id: 'xyz',
-        'expires_at': '3915-10-06T10:24:21.320Z'
-    };
+    nockAPI()
+        .get('/1/documents/' + id + '/content')
+        .reply(200, 'some pdf content', { 'content-length': '16' });
+
+    client.documents.getContent(id, {
+        onProgress: function (info) {
+            progress.push(info);
+        }
+    }, function (err, res) {
+        t.equal(res.statusCode, 200, 'should have the status code');
+        res.pipe(require('concat-stream')(function (body) {
+            t.equal(body.toString(), 'some pdf content', 'should be the content');
+            t.deepEqual(progress[progress.length - 1], { bytes: 16, total: 16 }, 'should report the bytes read');
+        }));
+    });
+});
+
+test('documents.downloadContent should not leave a file behind when the download fails', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        dest = require('os').tmpdir() + '/box-view-test-' + Date.now() + '.pdf';
+
+    nockAPI()
+        .get('/1/documents/' + id + '/content.pdf')
+        .reply(404, { message: 'Not found' });
+
+    client.documents.downloadContent(id, { extension: 'pdf', dest: dest }, function (err) {
+        t.ok(err instanceof BoxView.NotFoundError, 'should be a NotFoundError');
+        t.notOk(fs.existsSync(dest), 'should not create the file');
+    });
+});
+
+test('documents.downloadContent should stop retrying server errors after maxAttempts', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        dest = require('os').tmpdir() + '/box-view-test-' + Date.now() + '.pdf';
 
     var request = nockAPI()
-        .post('/1/sessions', {
-            'document_id': id
-        })
-        .reply(201, session);
+        .get('/1/documents/' + id + '/content.pdf')
+        .times(2)
+        .reply(503, { message: 'Unavailable' });
 
-    client.sessions.create(id, function (err, sess) {
-        t.notOk(err, 'should not be an error');
-        t.deepEqual(session, sess, 'session should be correct');
+    client.documents.downloadContent(id, { extension: 'pdf', dest: dest, retry: { maxAttempts: 2, baseDelay: 0 } }, function (err) {
+        t.ok(err instanceof BoxView.BoxViewError, 'should be an error');
+        t.ok(request.isDone(), 'should make maxAttempts requests');
+        t.notOk(fs.existsSync(dest), 'should not create the file');
+    });
+});
+
+test('documents.downloadThumbnail should time out while the thumbnail is being saved', function (t) {
+    t.plan(1);
+
+    var id = 'abc',
+        // a destination that never finishes writing
+        dest = new (require('stream').Writable)({
+            write: function () {}
+        });
+
+    nockAPI()
+        .get('/1/documents/' + id + '/thumbnail?width=100&height=100')
+        .reply(200, 'some png', { 'content-type': 'image/png' });
+
+    client.documents.downloadThumbnail(id, 100, 100, { dest: dest, timeout: 50 }, function (err) {
+        t.ok(err instanceof BoxView.TimeoutError, 'should be a TimeoutError');
+    });
+});
+
+test('documents.get should resolve with the body and response when no callback is given', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        doc1 = { id: id, name: 'foo', status: 'done', 'created_at': '2014-06-02T18:30:57Z' };
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, doc1);
+
+    client.documents.get(id).then(function (result) {
+        t.deepEqual(result.body, doc1, 'should be the same doc');
+        t.equal(result.response.statusCode, 200, 'should include the response');
         t.ok(request.isDone(), 'request should be made properly');
     });
 });
 
-test('sessions.create should retry requesting a session when retry-after header is sent and retry is true', function (t) {
-    t.plan(4);
+test('documents.get should reject when no callback is given and the document is not found', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        error = {
+            message: 'Not found',
+            type: 'error',
+            'request_id': 'abcxyz'
+        };
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(404, error);
+
+    client.documents.get(id).catch(function (err) {
+        t.equal(err.message, 'Not found', 'should be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('documents.delete should resolve with the response when no callback is given', function (t) {
+    t.plan(3);
 
     var id = 'abc';
 
-    var session = {
-        type: 'session',
-        id: 'xyz',
-        'expires_at': '3915-10-06T10:24:21.320Z'
-    };
+    var request = nockAPI()
+        .delete('/1/documents/' + id)
+        .reply(204);
+
+    client.documents.delete(id).then(function (result) {
+        t.equal(result.body, null, 'should not have a body');
+        t.equal(result.response.statusCode, 204, 'should include the response');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('documents.getContent should resolve with the response stream when no callback is given and retry is true', function (t) {
+    t.plan(3);
 
+    var id = 'abc';
     var request1 = nockAPI()
-        .post('/1/sessions', {
-            'document_id': id
-        })
+        .get('/1/documents/' + id + '/content.pdf')
         .reply(202, '', { 'retry-after': '0' });
     var request2 = nockAPI()
-        .post('/1/sessions', {
-            'document_id': id
-        })
-        .reply(201, session);
+        .get('/1/documents/' + id + '/content.pdf')
+        .replyWithFile(200, __dirname + '/files/content.pdf');
 
-    client.sessions.create(id, { retry: true }, function (err, sess) {
+    client.documents.getContent(id, { extension: 'pdf', retry: true }).then(function (response) {
+        t.ok(response.readable, 'response should be a readble stream');
+        t.ok(request1.isDone(), 'request should be made properly');
+        t.ok(request2.isDone(), 'request should be made properly');
+    });
+});
+
+test('documents.get should retry server errors according to the client retry policy', function (t) {
+    t.plan(5);
+
+    var id = 'abc',
+        retries = [],
+        doc1 = { id: id, name: 'foo', status: 'done', 'created_at': '2014-06-02T18:30:57Z' },
+        retryClient = BoxView.createClient(TOKEN, {
+            retry: {
+                baseDelay: 0,
+                onRetry: function (info) {
+                    retries.push(info);
+                }
+            }
+        });
+
+    var request1 = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(503, { message: 'Service Unavailable' });
+    var request2 = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, doc1);
+
+    retryClient.documents.get(id, function (err, doc) {
         t.notOk(err, 'should not be an error');
-        t.deepEqual(session, sess, 'session should be correct');
+        t.deepEqual(doc1, doc, 'should be the same doc');
+        t.deepEqual(retries.map(function (info) {
+            return [info.attempt, info.response.statusCode];
+        }), [[2, 503]], 'should call onRetry before each retry');
         t.ok(request1.isDone(), 'request should be made properly');
         t.ok(request2.isDone(), 'request should be made properly');
     });
 });
 
-test('sessions.delete should make a DELETE request properly', function (t) {
-    t.plan(2);
+test('documents.get should return the last error when maxAttempts is reached', function (t) {
+    t.plan(4);
 
     var id = 'abc';
 
     var request = nockAPI()
-        .delete('/1/sessions/' + id)
-        .reply(204);
+        .get('/1/documents/' + id)
+        .times(2)
+        .reply(500, { message: 'Internal Server Error' });
 
-    client.sessions.delete(id, function (err) {
-        t.notOk(err, 'should not be an error');
+    client.documents.get(id, { retry: { maxAttempts: 2, baseDelay: 0 } }, function (err, body, response) {
+        t.ok(err, 'should be an error');
+        t.equal(err.message, 'Internal Server Error', 'should be the error message');
+        t.equal(response.statusCode, 500, 'should be the last response');
         t.ok(request.isDone(), 'request should be made properly');
     });
 });
 
-test('sessions.delete should return an error when the session is not found', function (t) {
+test('documents.delete should not retry when retry is false, even if the client has a retry policy', function (t) {
     t.plan(2);
 
     var id = 'abc',
-        err = {
-            message: 'Not found',
-            type: 'error',
-            'request_id': 'abcxyz'
-        };
+        retryClient = BoxView.createClient(TOKEN, { retry: { baseDelay: 0 } });
 
     var request = nockAPI()
-        .delete('/1/sessions/' + id)
-        .reply(404, err);
+        .delete('/1/documents/' + id)
+        .reply(503);
 
-    client.sessions.delete(id, function (err) {
+    retryClient.documents.delete(id, { retry: false }, function (err) {
+        t.ok(err, 'should be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('uploadURL should not retry a server error by default, since the document may have been created', function (t) {
+    t.plan(3);
+
+    var url = 'http://example.com/blah.pdf';
+
+    var request = nockAPI()
+        .post('/1/documents')
+        .reply(503, { message: 'Unavailable' });
+    var retryRequest = nockAPI()
+        .post('/1/documents')
+        .reply(202, { id: 'abc' });
+
+    client.documents.uploadURL(url, { retry: { baseDelay: 0 } }, function (err) {
+        t.ok(err, 'should be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+        t.notOk(retryRequest.isDone(), 'should not retry the request');
+        nock.cleanAll();
+    });
+});
+
+test('documents.getContent should keep polling pending content past maxAttempts unless it is set explicitly', function (t) {
+    t.plan(3);
+
+    var id = 'abc';
+    var request1 = nockAPI()
+        .get('/1/documents/' + id + '/content.pdf')
+        .times(6)
+        .reply(202, '', { 'retry-after': '0' });
+    var request2 = nockAPI()
+        .get('/1/documents/' + id + '/content.pdf')
+        .replyWithFile(200, __dirname + '/files/content.pdf');
+
+    client.documents.getContent(id, { extension: 'pdf', retry: { baseDelay: 0 } }, function (err) {
+        t.notOk(err, 'should not be an error');
+        t.ok(request1.isDone(), 'should poll while the content is pending');
+        t.ok(request2.isDone(), 'should request the content once it is ready');
+    });
+});
+
+test('documents.getContent should stop polling pending content after maxAttempts when it is set', function (t) {
+    t.plan(3);
+
+    var id = 'abc';
+    var request = nockAPI()
+        .get('/1/documents/' + id + '/content.pdf')
+        .times(2)
+        .reply(202, '', { 'retry-after': '0' });
+
+    client.documents.getContent(id, { extension: 'pdf', retry: { maxAttempts: 2, baseDelay: 0 } }, function (err, response) {
+        t.notOk(err, 'should not be an error');
+        t.equal(response.statusCode, 202, 'should be the last pending response');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('uploadFile should retry a file upload when given a filename and retry is enabled', function (t) {
+    t.plan(4);
+
+    var doc1 = { some: 'stuff' };
+
+    var request1 = nockUploads()
+        .post('/1/documents')
+        .reply(429, { message: 'Too Many Requests' }, { 'retry-after': '0' });
+    var request2 = nockUploads()
+        .post('/1/documents')
+        .reply(202, doc1);
+
+    client.documents.uploadFile(__dirname + '/files/content.pdf', { retry: true }, function (err, doc) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(doc1, doc, 'should be a doc');
+        t.ok(request1.isDone(), 'request should be made properly');
+        t.ok(request2.isDone(), 'request should be made properly');
+    });
+});
+
+
+test('uploadFile should retry a stream upload when retry and spool are set', function (t) {
+    t.plan(4);
+
+    var doc1 = { some: 'stuff' },
+        file = fs.createReadStream(__dirname + '/files/content.pdf'),
+        bodies = [];
+
+    function saveBody(body) {
+        bodies.push(body);
+        return true;
+    }
+
+    nockUploads()
+        .post('/1/documents', saveBody)
+        .reply(503, { message: 'Service Unavailable' })
+        .post('/1/documents', saveBody)
+        .reply(202, doc1);
+
+    client.documents.uploadFile(file, { retry: { baseDelay: 0, retryNonIdempotent: true }, spool: 'memory' }, function (err, doc) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(doc1, doc, 'should be a doc');
+        t.equal(bodies.length, 2, 'should make two requests');
+        t.equal(bodies[1].length, bodies[0].length, 'should upload the full file again');
+    });
+});
+
+test('uploadFile should remove the spooled temp file after the upload fails', function (t) {
+    t.plan(3);
+
+    var os = require('os'),
+        file = fs.createReadStream(__dirname + '/files/content.pdf');
+
+    function spoolFiles() {
+        return fs.readdirSync(os.tmpdir()).filter(function (name) {
+            return /^box-view-.*\.spool$/.test(name);
+        });
+    }
+
+    var request = nockUploads()
+        .post('/1/documents')
+        .times(2)
+        .reply(500, { message: 'Internal Server Error' });
+
+    client.documents.uploadFile(file, { retry: { maxAttempts: 2, baseDelay: 0, retryNonIdempotent: true }, spool: 'file' }, function (err) {
+        t.ok(err, 'should be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+        setTimeout(function () {
+            t.deepEqual(spoolFiles(), [], 'should remove the temp file');
+        }, 50);
+    });
+});
+
+test('uploadFile should fail a spooled stream upload when the stream fails', function (t) {
+    t.plan(2);
+
+    var file = new (require('stream').PassThrough)();
+
+    nockUploads()
+        .post('/1/documents')
+        .reply(202, { id: 'abc' });
+
+    client.documents.uploadFile(file, { retry: { baseDelay: 0, retryNonIdempotent: true }, spool: 'memory', params: { name: 'content.pdf' } }, function (err) {
         t.ok(err, 'should be an error');
+        t.equal(err && err.message, 'read failed', 'should be the stream error');
+        nock.cleanAll();
+    });
+
+    file.write('the start of a file');
+    setTimeout(function () {
+        file.destroy(new Error('read failed'));
+    }, 10);
+});
+
+test('uploadFile should throw when retrying a stream upload without the spool option', function (t) {
+    t.plan(1);
+
+    var file = fs.createReadStream(__dirname + '/files/content.pdf');
+
+    t.throws(function () {
+        client.documents.uploadFile(file, { retry: true }, function () {});
+    }, /spool/, 'should throw an error');
+    file.destroy();
+});
+
+test('documents.watch should poll documents until they are done', function (t) {
+    t.plan(5);
+
+    var id = 'abc',
+        events = [];
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'queued' })
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'processing' })
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'done' });
+
+    var watcher = client.documents.watch([id], { interval: 1 }, function (err, docs) {
+        t.notOk(err, 'should not be an error');
+        t.equal(docs.length, 1, 'should return every document');
+        t.equal(docs[0].status, 'done', 'should be the final metadata');
+        t.deepEqual(events, ['processing', 'done'], 'should emit status changes');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+
+    watcher.on('processing', function () {
+        events.push('processing');
+    });
+    watcher.on('done', function () {
+        events.push('done');
+    });
+});
+
+test('documents.watch should report documents with invalid ids as failed', function (t) {
+    t.plan(6);
+
+    var id = 'abc';
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'done' });
+
+    client.documents.watch(['', id], { interval: 1 }, function (err, docs) {
+        t.notOk(err, 'should not be an error');
+        t.equal(docs[0].status, 'error', 'should report the invalid id as failed');
+        t.equal(docs[1].status, 'done', 'should keep watching the other documents');
         t.ok(request.isDone(), 'request should be made properly');
+    }).on('error', function (err, doc) {
+        t.ok(err instanceof Error, 'should emit an error first');
+        t.equal(err.document, doc, 'should emit the document');
+    });
+});
+
+test('documents.watch should use documents.list when many documents are pending', function (t) {
+    t.plan(4);
+
+    var created = '2014-06-02T18:30:57Z',
+        docs = [
+            { id: 'abc', status: 'queued', 'created_at': created },
+            { id: 'xyz', status: 'queued', 'created_at': created }
+        ],
+        failed = [];
+
+    var request = nockAPI()
+        .filteringPath(/created_after=[^&]*/, 'created_after=X')
+        .get('/1/documents?limit=50&created_after=X')
+        .reply(200, [
+            { id: 'xyz', status: 'error', 'created_at': created },
+            { id: 'abc', status: 'done', 'created_at': created }
+        ]);
+
+    client.documents.watch(docs, { interval: 1, listThreshold: 1 })
+        .on('error', function (err, doc) {
+            failed.push(doc.id);
+        })
+        .then(function (docs) {
+            t.equal(docs[0].status, 'done', 'should be done');
+            t.equal(docs[1].status, 'error', 'should be an error');
+            t.deepEqual(failed, ['xyz'], 'should emit conversion errors');
+            t.ok(request.isDone(), 'request should be made properly');
+        });
+});
+
+test('documents.watch should emit timeout for documents that are not done in time', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        timedOut = [];
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'processing' });
+
+    client.documents.watch(id, { interval: 1000, timeout: 10 })
+        .on('timeout', function (doc) {
+            timedOut.push(doc.id);
+        })
+        .then(function (docs) {
+            t.equal(docs.length, 1, 'should return every document');
+            t.equal(docs[0].status, 'processing', 'should be the last known metadata');
+            t.deepEqual(timedOut, [id], 'should emit timeout');
+        });
+});
+
+test('documents.get should return a NotFoundError with request details when the document is not found', function (t) {
+    t.plan(7);
+
+    var id = 'abc',
+        body = { message: 'Not found', type: 'error' };
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(404, body);
+
+    client.documents.get(id, function (err) {
+        t.ok(err instanceof BoxView.NotFoundError, 'should be a NotFoundError');
+        t.ok(err instanceof BoxView.BoxViewError, 'should be a BoxViewError');
+        t.equal(err.statusCode, 404, 'should have the status code');
+        t.deepEqual(err.body, body, 'should have the parsed body');
+        t.equal(err.method, 'GET', 'should have the request method');
+        t.equal(err.url, 'https://view-api.box.com/1/documents/' + id, 'should have the request url');
+        t.notOk(err.retryable, 'should not be retryable');
+    });
+});
+
+test('uploadURL should return a ValidationError with field details when the request is invalid', function (t) {
+    t.plan(3);
+
+    var details = [{ field: 'url', message: 'Invalid URL' }];
+
+    nockAPI()
+        .post('/1/documents')
+        .reply(400, { message: 'Bad request', details: details });
+
+    client.documents.uploadURL('not a url', { validate: false }, function (err) {
+        t.ok(err instanceof BoxView.ValidationError, 'should be a ValidationError');
+        t.equal(err.message, 'Bad request', 'should have the message');
+        t.deepEqual(err.details, details, 'should have the field details');
+    });
+});
+
+test('documents.list should throw a ValidationError without making a request when the limit is out of range', function (t) {
+    t.plan(4);
+
+    var request = nockAPI()
+        .get('/1/documents')
+        .query(true)
+        .reply(200, {});
+
+    try {
+        client.documents.list({ params: { limit: 100 } }, function () {
+            t.fail('should not call the callback');
+        });
+    } catch (err) {
+        t.ok(err instanceof BoxView.ValidationError, 'should be a ValidationError');
+        t.equal(err.message, 'Invalid limit: must be an integer between 1 and 50', 'should name the parameter');
+        t.equal(err.details[0].field, 'limit', 'should have the field details');
+    }
+    t.notOk(request.isDone(), 'should not make a request');
+    nock.cleanAll();
+});
+
+test('uploadFile should validate thumbnail sizes', function (t) {
+    t.plan(2);
+
+    t.throws(function () {
+        client.documents.uploadFile(new Buffer('hello'), { params: { name: 'a.txt', thumbnails: '128x128,2000x128' } });
+    }, /Invalid thumbnails width: must be an integer between 16 and 1024/, 'should reject a width out of range');
+    t.throws(function () {
+        client.documents.uploadFile(new Buffer('hello'), { params: { name: 'a.txt', thumbnails: 'big' } });
+    }, /Invalid thumbnails: sizes must be formatted as \{width\}x\{height\}/, 'should reject a malformed size');
+});
+
+test('strict validation should reject values the client does not know, and lenient validation should send them', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        strictClient = BoxView.createClient(TOKEN, { validate: 'strict' });
+
+    nockAPI()
+        .get('/1/documents/' + id + '/content.docx')
+        .reply(200, 'content');
+
+    t.throws(function () {
+        strictClient.documents.getContent(id, { extension: 'docx' });
+    }, /Invalid extension: must be one of pdf, zip \(got docx\)/, 'should reject an unknown extension when strict');
+
+    client.documents.getContent(id, { extension: 'docx' }, function (err, response) {
+        t.error(err, 'should not be an error when lenient');
+        t.equal(response.statusCode, 200, 'should make the request');
+        response.resume();
+    });
+});
+
+test('documents.list should return a retryable RateLimitError when rate limited', function (t) {
+    t.plan(3);
+
+    nockAPI()
+        .get('/1/documents')
+        .reply(429, { message: 'Too many requests' }, { 'retry-after': '7' });
+
+    client.documents.list({ retry: false }, function (err) {
+        t.ok(err instanceof BoxView.RateLimitError, 'should be a RateLimitError');
+        t.equal(err.retryAfter, 7, 'should have the retry-after value');
+        t.ok(err.retryable, 'should be retryable');
+    });
+});
+
+test('documents.get should fail with a TimeoutError when the call takes longer than the timeout', function (t) {
+    t.plan(3);
+
+    var id = 'abc';
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .delay(500)
+        .reply(200, { id: id });
+
+    client.documents.get(id, { timeout: 50 }, function (err) {
+        t.ok(err instanceof BoxView.TimeoutError, 'should be a TimeoutError');
+        t.equal(err.timeout, 50, 'should have the timeout');
+        t.equal(err.url, 'https://view-api.box.com/1/documents/' + id, 'should have the request url');
+    });
+});
+
+test('documents.get should fail with an AbortError when the signal is aborted', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        controller = new AbortController();
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .delay(500)
+        .reply(200, { id: id });
+
+    client.documents.get(id, { signal: controller.signal }).catch(function (err) {
+        t.ok(err instanceof BoxView.AbortError, 'should be an AbortError');
+        t.equal(err.code, 'ABORT_ERR', 'should have the code');
+    });
+    setTimeout(function () {
+        controller.abort();
+    }, 20);
+});
+
+test('client.close should cancel outstanding calls and scheduled retries', function (t) {
+    t.plan(4);
+
+    var id = 'abc',
+        closingClient = BoxView.createClient(TOKEN, { retry: true });
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(503, { message: 'Unavailable' }, { 'retry-after': '10' });
+    var retryRequest = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id });
+
+    closingClient.documents.get(id, function (err) {
+        t.ok(err instanceof BoxView.AbortError, 'should be an AbortError');
+        t.notOk(retryRequest.isDone(), 'should not retry the request');
+        nock.cleanAll();
+        closingClient.documents.get(id, function (err) {
+            t.ok(err instanceof BoxView.AbortError, 'later calls should fail too');
+        });
+    });
+    setTimeout(function () {
+        t.ok(request.isDone(), 'request should be made');
+        closingClient.close();
+    }, 50);
+});
+
+test('limits should queue requests over the concurrency limit', function (t) {
+    t.plan(5);
+
+    var limitedClient = BoxView.createClient(TOKEN, { limits: { requests: { concurrency: 1 } } }),
+        limiter = limitedClient.limiters.requests,
+        order = [];
+
+    nockAPI()
+        .get('/1/documents/abc')
+        .delay(50)
+        .reply(200, { id: 'abc' })
+        .get('/1/documents/xyz')
+        .reply(200, { id: 'xyz' });
+
+    limitedClient.documents.get('abc', function (err, doc) {
+        order.push(doc.id);
+    });
+    limitedClient.documents.get('xyz', function (err, doc) {
+        order.push(doc.id);
+        t.deepEqual(order, ['abc', 'xyz'], 'should send the queued request after the first one');
+        t.equal(limiter.stats().waitTime.count, 2, 'should record the wait times');
+        t.ok(limiter.stats().waitTime.max >= 40, 'should record how long the request waited');
+    });
+
+    setTimeout(function () {
+        var stats = limiter.stats();
+        t.equal(stats.active, 1, 'should have one request in flight');
+        t.equal(stats.queued, 1, 'should queue the other request');
+    }, 20);
+});
+
+test('limits should send the body of a queued upload once the limiter starts it', function (t) {
+    t.plan(4);
+
+    var limitedClient = BoxView.createClient(TOKEN, { limits: { uploads: { concurrency: 1 } } }),
+        limiter = limitedClient.limiters.uploads;
+
+    var request = nockAPI()
+        .post('/1/documents', { url: 'http://example.com/a.pdf', name: 'a.pdf' })
+        .delay(50)
+        .reply(202, { id: 'abc' })
+        .post('/1/documents', { url: 'http://example.com/b.pdf', name: 'b.pdf' })
+        .reply(202, { id: 'xyz' });
+
+    limitedClient.documents.uploadURL('http://example.com/a.pdf', function () {});
+    limitedClient.documents.uploadURL('http://example.com/b.pdf', function (err, doc) {
+        t.notOk(err, 'should not be an error');
+        t.equal(doc.id, 'xyz', 'should be the document');
+        t.ok(request.isDone(), 'requests should be made properly');
+    });
+
+    setTimeout(function () {
+        t.equal(limiter.stats().queued, 1, 'should queue the second upload');
+    }, 20);
+});
+
+test('limits should pause the queue when a 429 response is received', function (t) {
+    t.plan(5);
+
+    var limitedClient = BoxView.createClient(TOKEN, { limits: {} }),
+        limiter = limitedClient.limiters.requests;
+
+    nockAPI()
+        .get('/1/documents/abc')
+        .reply(429, { message: 'Too many requests' }, { 'retry-after': '60' });
+
+    limiter.on('pause', function (delay) {
+        t.equal(delay, 60000, 'should pause for the retry-after delay');
+    });
+
+    limitedClient.documents.get('abc', function (err) {
+        t.ok(err instanceof BoxView.RateLimitError, 'should be a RateLimitError');
+
+        limitedClient.documents.get('xyz', function (err) {
+            t.ok(err instanceof BoxView.AbortError, 'should cancel the queued request');
+        });
+        setTimeout(function () {
+            t.equal(limiter.stats().queued, 1, 'should queue later requests');
+            t.equal(limitedClient.limiters.uploads.stats().pausedUntil, null, 'should not pause uploads');
+            limitedClient.close();
+        }, 20);
+    });
+});
+
+
+//////// SESSIONS /////////
+
+test('sessions.create should request a session when called', function (t) {
+    t.plan(3);
+
+    var id = 'abc';
+
+    var session = {
+        type: 'session',
+        id: 'xyz',
+        'expires_at': '3915-10-06T10:24:21.320Z'
+    };
+
+    var request = nockAPI()
+        .post('/1/sessions', {
+            'document_id': id
+        })
+        .reply(201, session);
+
+    client.sessions.create(id, function (err, sess) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(session, sess, 'session should be correct');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('sessions.create should retry requesting a session when retry-after header is sent and retry is true', function (t) {
+    t.plan(4);
+
+    var id = 'abc';
+
+    var session = {
+        type: 'session',
+        id: 'xyz',
+        'expires_at': '3915-10-06T10:24:21.320Z'
+    };
+
+    var request1 = nockAPI()
+        .post('/1/sessions', {
+            'document_id': id
+        })
+        .reply(202, '', { 'retry-after': '0' });
+    var request2 = nockAPI()
+        .post('/1/sessions', {
+            'document_id': id
+        })
+        .reply(201, session);
+
+    client.sessions.create(id, { retry: true }, function (err, sess) {
+        t.notOk(err, 'should not be an error');
+        t.deepEqual(session, sess, 'session should be correct');
+        t.ok(request1.isDone(), 'request should be made properly');
+        t.ok(request2.isDone(), 'request should be made properly');
+    });
+});
+
+test('sessions.delete should make a DELETE request properly', function (t) {
+    t.plan(2);
+
+    var id = 'abc';
+
+    var request = nockAPI()
+        .delete('/1/sessions/' + id)
+        .reply(204);
+
+    client.sessions.delete(id, function (err) {
+        t.notOk(err, 'should not be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('sessions.delete should return an error when the session is not found', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        err = {
+            message: 'Not found',
+            type: 'error',
+            'request_id': 'abcxyz'
+        };
+
+    var request = nockAPI()
+        .delete('/1/sessions/' + id)
+        .reply(404, err);
+
+    client.sessions.delete(id, function (err) {
+        t.ok(err, 'should be an error');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('sessions.create should resolve with the session when no callback is given', function (t) {
+    t.plan(2);
+
+    var id = 'abc';
+
+    var session = {
+        type: 'session',
+        id: 'xyz',
+        'expires_at': '3915-10-06T10:24:21.320Z'
+    };
+
+    var request = nockAPI()
+        .post('/1/sessions', {
+            'document_id': id
+        })
+        .reply(201, session);
+
+    client.sessions.create(id).then(function (result) {
+        t.deepEqual(result.body, session, 'session should be correct');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('sessions.create should return a session with URL helpers', function (t) {
+    t.plan(6);
+
+    var id = 'abc',
+        session = {
+            type: 'session',
+            id: 'xyz',
+            'expires_at': '2014-06-02T19:30:57Z',
+            urls: {
+                view: 'https://view-api.box.com/1/sessions/xyz/view',
+                assets: 'https://view-api.box.com/1/sessions/xyz/assets/',
+                realtime: 'https://view-api.box.com/sse/xyz'
+            }
+        };
+
+    nockAPI()
+        .post('/1/sessions', { 'document_id': id })
+        .reply(201, session);
+
+    client.sessions.create(id, function (err, s) {
+        t.equal(s.expiresAt.getTime(), Date.parse(session['expires_at']), 'expiresAt should be a Date');
+        t.equal(s.viewUrl({ theme: 'dark' }), session.urls.view + '?theme=dark', 'should build the view url');
+        t.equal(s.assetsUrl('page-1.svg'), session.urls.assets + 'page-1.svg', 'should build asset urls');
+        t.equal(s.realtimeUrl(), session.urls.realtime, 'should return the realtime url');
+        t.equal(s.downloadUrl('pdf'), 'https://view-api.box.com/1/sessions/xyz/content.pdf', 'should build the download url');
+        t.deepEqual(JSON.parse(JSON.stringify(s)), session, 'should serialize to the API response');
+    });
+});
+
+test('sessions.getAsset should return the asset as a readable stream', function (t) {
+    t.plan(3);
+
+    var id = 'xyz',
+        info = { numpages: 2 };
+
+    var request = nockAPI()
+        .get('/1/sessions/' + id + '/assets/info.json')
+        .reply(200, info);
+
+    client.sessions.getAsset(id, 'info.json', function (err, res) {
+        t.notOk(err, 'should not be an error');
+        res.pipe(require('concat-stream')(function (body) {
+            t.deepEqual(JSON.parse(body), info, 'should be the asset');
+            t.ok(request.isDone(), 'request should be made properly');
+        }));
+    });
+});
+
+test('sessions.getContent should return an error when the session is not downloadable', function (t) {
+    t.plan(2);
+
+    var id = 'xyz';
+
+    nockAPI()
+        .get('/1/sessions/' + id + '/content')
+        .reply(403, { message: 'Forbidden' });
+
+    client.sessions.getContent(id, function (err) {
+        t.ok(err instanceof BoxView.BoxViewError, 'should be an error');
+        t.equal(err.statusCode, 403, 'should have the status code');
+    });
+});
+
+
+//////// PLUGINS /////////
+
+
+test('client.use should let plugins change each request and see each response', function (t) {
+    t.plan(6);
+
+    var id = 'abc',
+        attempts = [],
+        pluginClient = BoxView.createClient(TOKEN).use({
+            onRequest: function (ctx) {
+                attempts.push(ctx.attempt);
+                ctx.request.headers['x-request-id'] = ctx.name + '-' + ctx.attempt;
+                ctx.request.url += '?fields=name';
+            },
+            onResponse: function (ctx) {
+                t.equal(ctx.response.statusCode, ctx.attempt === 1 ? 503 : 200, 'should get the response of each attempt');
+            }
+        }),
+        request = nockAPI()
+            .get('/1/documents/' + id)
+            .query({ fields: 'name' })
+            .matchHeader('x-request-id', 'documents.get-1')
+            .reply(503, { message: 'Unavailable' })
+            .get('/1/documents/' + id)
+            .query({ fields: 'name' })
+            .matchHeader('x-request-id', 'documents.get-2')
+            .reply(200, { id: id, name: 'foo' });
+
+    pluginClient.documents.get(id, { retry: { baseDelay: 0 } }, function (err, doc) {
+        t.error(err, 'should not be an error');
+        t.equal(doc.name, 'foo', 'should return the document');
+        t.deepEqual(attempts, [1, 2], 'should run the hooks for each attempt');
+        t.ok(request.isDone(), 'should send the changed requests');
+    });
+});
+
+test('client.use should let plugins change the request body', function (t) {
+    t.plan(2);
+
+    var url = 'http://example.com/foo.doc',
+        pluginClient = BoxView.createClient(TOKEN, {
+            plugins: [{
+                onRequest: function (ctx) {
+                    ctx.request.body['non_svg'] = true;
+                }
+            }]
+        }),
+        request = nockAPI()
+            .post('/1/documents', { url: url, name: 'foo.doc', 'non_svg': true })
+            .reply(202, { id: 'abc' });
+
+    pluginClient.documents.uploadURL(url, function (err) {
+        t.error(err, 'should not be an error');
+        t.ok(request.isDone(), 'should send the changed body');
+    });
+});
+
+test('client.use should let plugins respond instead of the API', function (t) {
+    t.plan(3);
+
+    var pluginClient = BoxView.createClient(TOKEN).use({
+        onRequest: function (ctx) {
+            ctx.response = { statusCode: 200, body: { id: 'abc', name: 'cached' } };
+        }
+    });
+
+    pluginClient.documents.get('abc', function (err, doc, response) {
+        t.error(err, 'should not be an error');
+        t.equal(doc.name, 'cached', 'should return the plugin response');
+        t.equal(response.headers['content-type'], 'application/json', 'should have a content type');
+    });
+});
+
+test('client.use should wait for asynchronous onRequest hooks', function (t) {
+    t.plan(4);
+
+    var url = 'http://example.com/foo.doc',
+        pluginClient = BoxView.createClient(TOKEN).use({
+            onRequest: function (ctx, next) {
+                setTimeout(function () {
+                    ctx.request.headers['x-token'] = 'fetched';
+                    next();
+                }, 10);
+            }
+        }).use({
+            onRequest: function (ctx, next) {
+                t.equal(ctx.request.headers['x-token'], 'fetched', 'should run the hooks in order');
+                next();
+            }
+        }),
+        request = nockAPI()
+            .matchHeader('x-token', 'fetched')
+            .post('/1/documents', { url: url, name: 'foo.doc' })
+            .reply(202, { id: 'abc' });
+
+    pluginClient.documents.uploadURL(url, function (err, doc) {
+        t.notOk(err, 'should not be an error');
+        t.equal(doc.id, 'abc', 'should be the document');
+        t.ok(request.isDone(), 'request should be sent once the hooks are done');
+    });
+});
+
+test('client.use should fail the call when an asynchronous onRequest hook fails', function (t) {
+    t.plan(1);
+
+    var pluginClient = BoxView.createClient(TOKEN).use({
+        onRequest: function (ctx, next) {
+            process.nextTick(function () {
+                next(new Error('no token'));
+            });
+        }
+    });
+
+    pluginClient.documents.get('abc', function (err) {
+        t.equal(err && err.message, 'no token', 'should be the hook error');
+    });
+});
+
+test('client.use should let plugins transform errors', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        pluginClient = BoxView.createClient(TOKEN).use({
+            onError: function (ctx) {
+                var err = new Error(ctx.name + ' failed: ' + ctx.error.message);
+                err.cause = ctx.error;
+                ctx.error = err;
+            }
+        });
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(404, { message: 'Not found' });
+
+    pluginClient.documents.get(id, function (err) {
+        t.equal(err.message, 'documents.get failed: Not found', 'should return the transformed error');
+        t.ok(err.cause instanceof BoxView.NotFoundError, 'should keep the original error');
+        t.throws(function () {
+            pluginClient.use({});
+        }, /A plugin must have at least one of the hooks/, 'should reject plugins without hooks');
+    });
+});
+
+//////// LOGGING /////////
+
+
+/**
+ * Create a logger that records what it logs
+ * @returns {Object} The logger (with an `entries` array of `{ level, fields, message }`)
+ */
+function createTestLogger() {
+    var logger = { entries: [] };
+
+    ['debug', 'info', 'warn', 'error'].forEach(function (level) {
+        logger[level] = function (fields, message) {
+            logger.entries.push({ level: level, fields: fields, message: message });
+        };
+    });
+    return logger;
+}
+
+test('logger should log requests, responses and errors without the API token', function (t) {
+    t.plan(8);
+
+    var id = 'abc',
+        logger = createTestLogger(),
+        logClient = BoxView.createClient(TOKEN, { logger: logger });
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(404, { message: 'Not found' });
+
+    logClient.documents.get(id, function () {
+        var entries = logger.entries;
+
+        t.deepEqual(entries.map(function (entry) {
+            return entry.level + ' ' + entry.message;
+        }), ['debug box-view request', 'debug box-view response', 'error box-view request failed'], 'should log the request, response and error');
+        t.equal(entries[0].fields.url, 'https://view-api.box.com/1/documents/' + id, 'should log the url');
+        t.equal(entries[0].fields.headers.authorization, 'token [REDACTED]', 'should redact the token');
+        t.equal(JSON.stringify(entries).indexOf(TOKEN), -1, 'should never log the token');
+        t.notOk('body' in entries[0].fields, 'should not log bodies by default');
+        t.equal(entries[1].fields.statusCode, 404, 'should log the status code');
+        t.equal(typeof entries[1].fields.duration, 'number', 'should log the duration');
+        t.equal(entries[2].fields.error.body, '{"message":"Not found"}', 'should log the error body');
+    });
+});
+
+test('logger should log truncated bodies when logBodies is set', function (t) {
+    t.plan(3);
+
+    var url = 'http://example.com/foo.doc',
+        logger = createTestLogger(),
+        logClient = BoxView.createClient(TOKEN, { logger: logger, logBodies: 10 });
+
+    nockAPI()
+        .post('/1/documents')
+        .reply(202, { id: 'abc', status: 'queued' });
+
+    logClient.documents.uploadURL(url, function (err, doc) {
+        t.equal(doc.id, 'abc', 'should still return the response body');
+        t.equal(logger.entries[0].fields.body, '{"name":"f... (43 more characters)', 'should truncate the request body');
+        t.equal(logger.entries[1].fields.body, '{"id":"abc... (20 more bytes)', 'should truncate the response body');
+    });
+});
+
+test('DEBUG=box-view should log requests to stderr', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        debug = process.env.DEBUG,
+        consoleError = console.error,
+        lines = [],
+        debugClient;
+
+    process.env.DEBUG = 'box-view';
+    debugClient = BoxView.createClient(TOKEN);
+    process.env.DEBUG = debug || '';
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id });
+
+    console.error = function (line) {
+        lines.push(line);
+    };
+    debugClient.documents.get(id, function () {
+        console.error = consoleError;
+        t.equal(lines.length, 2, 'should log the request and response');
+        t.ok(/^box-view request .*"authorization":"token \[REDACTED\]"/.test(lines[0]), 'should redact the token');
+    });
+});
+
+//////// METRICS /////////
+
+
+/**
+ * Find a sample of a metric in a metrics snapshot
+ * @param   {Array}  snapshot The metrics snapshot
+ * @param   {string} name     The metric name
+ * @param   {Object} labels   The labels of the sample
+ * @returns {Object}          The sample (or undefined)
+ */
+function findSample(snapshot, name, labels) {
+    var metric = snapshot.filter(function (m) {
+        return m.name === name;
+    })[0];
+
+    return metric.samples.filter(function (sample) {
+        return JSON.stringify(sample.labels) === JSON.stringify(labels);
+    })[0];
+}
+
+test('client.metrics should count requests, retries and errors per operation', function (t) {
+    t.plan(6);
+
+    var id = 'abc',
+        metricsClient = BoxView.createClient(TOKEN, { metrics: { buckets: [1, 10] } });
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(503, { message: 'Unavailable' })
+        .get('/1/documents/' + id)
+        .reply(200, { id: id })
+        .delete('/1/documents/' + id)
+        .reply(404, { message: 'Not found' });
+
+    metricsClient.documents.get(id, { retry: { baseDelay: 0 } }, function () {
+        metricsClient.documents.delete(id, function () {
+            var snapshot = metricsClient.metrics(),
+                duration = findSample(snapshot, 'box_view_request_duration_seconds', { operation: 'documents.get', 'status_code': '200', retry: 'true' });
+
+            t.equal(findSample(snapshot, 'box_view_requests_total', { operation: 'documents.get', 'status_code': '503', retry: 'false' }).value, 1, 'should count the failed attempt');
+            t.equal(findSample(snapshot, 'box_view_requests_total', { operation: 'documents.get', 'status_code': '200', retry: 'true' }).value, 1, 'should count the retry');
+            t.equal(findSample(snapshot, 'box_view_retries_total', { operation: 'documents.get' }).value, 1, 'should count retries');
+            t.equal(findSample(snapshot, 'box_view_errors_total', { operation: 'documents.delete', error: 'NotFoundError' }).value, 1, 'should count failed calls');
+            t.equal(duration.count, 1, 'should record the duration');
+            t.deepEqual(duration.buckets.map(function (bucket) {
+                return bucket.le;
+            }), [1, 10, Infinity], 'should use the configured buckets');
+        });
+    });
+});
+
+test('client.metrics and the logger should skip responses served by the cache or replayed from a cassette', function (t) {
+    t.plan(5);
+
+    var id = 'abc',
+        file = require('os').tmpdir() + '/box-view-cassette-' + Date.now() + '.json',
+        logger = createTestLogger(),
+        cacheClient = BoxView.createClient(TOKEN, { cache: true, logger: logger }),
+        labels = { operation: 'documents.get', 'status_code': '200', retry: 'false' };
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .times(2)
+        .reply(200, { id: id, status: 'done' });
+
+    t.on('end', function () {
+        fs.unlinkSync(file);
+    });
+
+    cacheClient.documents.get(id, function () {
+        cacheClient.documents.get(id, function () {
+            t.equal(findSample(cacheClient.metrics(), 'box_view_requests_total', labels).value, 1, 'should not count cache hits');
+            t.deepEqual(logger.entries.map(function (entry) {
+                return entry.message;
+            }), ['box-view request', 'box-view response'], 'should not log cache hits');
+
+            BoxView.createClient(TOKEN, { cassette: { file: file, mode: 'record' } }).documents.get(id, function () {
+                var replayLogger = createTestLogger(),
+                    player = BoxView.createClient(TOKEN, { cassette: { file: file }, logger: replayLogger });
+
+                player.documents.get(id, function (err, doc) {
+                    t.equal(doc.id, id, 'should replay the response');
+                    t.equal(findSample(player.metrics(), 'box_view_requests_total', labels), undefined, 'should not count replayed responses');
+                    t.ok(replayLogger.entries.length === 0 && request.isDone(), 'should not log replayed requests');
+                });
+            });
+        });
+    });
+});
+
+test('createMetricsHandler should serve the metrics in the Prometheus text format', function (t) {
+    t.plan(4);
+
+    var id = 'abc',
+        metricsClient = BoxView.createClient(TOKEN, { metrics: { buckets: [1] } }),
+        handler = metricsClient.createMetricsHandler(),
+        res = new (require('stream').PassThrough)();
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id });
+
+    res.writeHead = function (statusCode, headers) {
+        res.statusCode = statusCode;
+        res.headers = headers;
+    };
+
+    metricsClient.documents.get(id, function () {
+        res.pipe(require('concat-stream')(function (body) {
+            var text = body.toString();
+
+            t.equal(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8', 'should set the content type');
+            t.ok(text.indexOf('# TYPE box_view_requests_total counter\n') > -1, 'should describe the metrics');
+            t.ok(text.indexOf('box_view_requests_total{operation="documents.get",status_code="200",retry="false"} 1\n') > -1, 'should serialize counters');
+            t.ok(text.indexOf('box_view_request_duration_seconds_bucket{operation="documents.get",status_code="200",retry="false",le="+Inf"} 1\n') > -1, 'should serialize histograms');
+        }));
+        handler({ method: 'GET', url: '/metrics' }, res);
+    });
+});
+
+//////// CACHE /////////
+
+test('client cache should serve done documents from the cache until they are updated', function (t) {
+    t.plan(8);
+
+    var id = 'abc',
+        cacheClient = BoxView.createClient(TOKEN, { cache: true });
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .query({ fields: 'id,name,status' })
+        .reply(200, { id: id, name: 'a', status: 'done' })
+        .get('/1/documents/' + id)
+        .query({ fields: 'id,status' })
+        .reply(200, { id: id, status: 'done' })
+        .put('/1/documents/' + id)
+        .reply(200, { id: id, name: 'b' })
+        .get('/1/documents/' + id)
+        .query({ fields: 'id,name,status' })
+        .reply(200, { id: id, name: 'b', status: 'done' });
+
+    cacheClient.documents.get(id, { fields: 'id,name,status' }, function (err, doc) {
+        t.equal(doc.name, 'a', 'should return the document');
+        cacheClient.documents.get(id, { fields: ['status', 'name', 'id'] }, function (err, doc, response) {
+            t.equal(doc.name, 'a', 'should return the cached document');
+            t.equal(response.headers['x-box-view-cache'], 'hit', 'should mark cached responses');
+            cacheClient.documents.get(id, { fields: 'id,status' }, function (err, doc) {
+                t.notOk(doc.name, 'should not serve the response of other fields');
+                cacheClient.documents.update(id, { name: 'b' }, function (err) {
+                    t.notOk(err, 'should not be an error');
+                    cacheClient.documents.get(id, { fields: 'id,name,status' }, function (err, doc) {
+                        t.equal(doc.name, 'b', 'should request the document again after it was updated');
+                        t.deepEqual(cacheClient.cache.stats(), { hits: 1, misses: 3 }, 'should count hits and misses');
+                        t.ok(request.isDone(), 'requests should be made properly');
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('client cache should only cache thumbnails after a 200 response', function (t) {
+    t.plan(6);
+
+    var id = 'abc',
+        dir = require('os').tmpdir() + '/box-view-cache-test-' + Date.now(),
+        cacheClient = BoxView.createClient(TOKEN, { cache: { store: 'disk', dir: dir } }),
+        concat = require('concat-stream');
+
+    var request = nockAPI()
+        .get('/1/documents/' + id + '/thumbnail?width=200&height=100')
+        .reply(202, '')
+        .get('/1/documents/' + id + '/thumbnail?width=200&height=100')
+        .reply(200, 'a thumbnail', { 'content-type': 'image/png' });
+
+    cacheClient.documents.getThumbnail(id, 200, 100, { retry: false }, function (err, response) {
+        t.equal(response.statusCode, 202, 'should return the 202 response');
+        response.resume();
+        cacheClient.documents.getThumbnail(id, 200, 100, function (err, response) {
+            t.equal(response.statusCode, 200, 'should request the thumbnail again');
+            response.pipe(concat(function () {
+                cacheClient.documents.getThumbnail(id, 200, 100, function (err, response) {
+                    t.equal(response.headers['x-box-view-cache'], 'hit', 'should serve the thumbnail from the cache');
+                    t.equal(response.headers['content-type'], 'image/png', 'should keep the content type');
+                    response.pipe(concat(function (body) {
+                        t.equal(body.toString(), 'a thumbnail', 'should serve the cached thumbnail');
+                        t.ok(request.isDone(), 'requests should be made properly');
+                        cacheClient.cache.clear(function () {
+                            fs.rmdirSync(dir);
+                        });
+                    }));
+                });
+            }));
+        });
+    });
+});
+
+test('client cache disk store should serve entries written by another client from disk', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        dir = require('os').tmpdir() + '/box-view-cache-test-' + Date.now(),
+        writer = BoxView.createClient(TOKEN, { cache: { store: 'disk', dir: dir } }),
+        concat = require('concat-stream');
+
+    var request = nockAPI()
+        .get('/1/documents/' + id + '/thumbnail?width=200&height=100')
+        .reply(200, 'a thumbnail', { 'content-type': 'image/png' });
+
+    writer.documents.getThumbnail(id, 200, 100, function (err, response) {
+        response.pipe(concat(function () {
+            writer.cache.store.settle(function () {
+                var reader = BoxView.createClient(TOKEN, { cache: { store: 'disk', dir: dir } });
+
+                reader.documents.getThumbnail(id, 200, 100, function (err, response) {
+                    t.equal(response.headers['x-box-view-cache'], 'hit', 'should serve the thumbnail from the cache');
+                    response.pipe(concat(function (body) {
+                        t.equal(body.toString(), 'a thumbnail', 'should read the thumbnail from disk');
+                        t.ok(request.isDone(), 'request should be made once');
+                        reader.cache.clear(function () {
+                            fs.rmdirSync(dir);
+                        });
+                    }));
+                });
+            });
+        }));
+    });
+});
+
+test('client cache disk store should write entries asynchronously and stream their bodies from disk', function (t) {
+    t.plan(5);
+
+    var FileStore = require('../lib/cache').FileStore,
+        dir = require('os').tmpdir() + '/box-view-cache-test-' + Date.now(),
+        store = new FileStore({ dir: dir }),
+        concat = require('concat-stream');
+
+    store.set('abc', 'key', { expires: 1, statusCode: 200, headers: { 'content-type': 'image/png' }, body: new Buffer('a thumbnail') }, function () {
+        new FileStore({ dir: dir }).get('abc', 'key', function (err, entry) {
+            t.equal(entry.statusCode, 200, 'should read the status code');
+            t.deepEqual(entry.headers, { 'content-type': 'image/png' }, 'should read the headers');
+            entry.body.pipe(concat(function (body) {
+                t.equal(body.toString(), 'a thumbnail', 'should stream the body');
+                store.deleteGroup('abc', function () {
+                    store.get('abc', 'key', function (err, entry) {
+                        t.equal(entry, undefined, 'should remove the entry');
+                        fs.rmdirSync(dir);
+                    });
+                });
+            }));
+        });
+    });
+    store.get('abc', 'key', function (err, entry) {
+        t.equal(entry.body.toString(), 'a thumbnail', 'should serve the entry while it is written');
+    });
+});
+
+test('client cache should forget invalidations older than the longest TTL', function (t) {
+    t.plan(2);
+
+    var cacheClient = BoxView.createClient(TOKEN, { cache: { ttl: { documents: 10, thumbnails: 10 } } });
+
+    cacheClient.cache.invalidate('abc');
+    setTimeout(function () {
+        cacheClient.cache.invalidate('xyz');
+        t.notOk('abc' in cacheClient.cache.invalidated, 'should prune the old invalidation');
+        t.ok('xyz' in cacheClient.cache.invalidated, 'should keep the new invalidation');
+    }, 30);
+});
+
+//////// POOL /////////
+
+function nockKey(token, host) {
+    return nock(host || 'https://view-api.box.com', {
+        reqheaders: {
+            'authorization': 'token ' + token
+        }
+    });
+}
+
+test('createPool should spread uploads over the keys and send calls about a document to the key that owns it', function (t) {
+    t.plan(6);
+
+    var pool = BoxView.createPool({ keys: ['key a', 'key b'] });
+
+    var requestA = nockKey('key a')
+        .post('/1/documents')
+        .reply(202, { type: 'document', id: 'doc-a', status: 'queued' })
+        .get('/1/documents/doc-a')
+        .reply(200, { id: 'doc-a', status: 'done' })
+        .post('/1/sessions', { 'document_id': 'doc-a' })
+        .reply(201, { type: 'session', id: 'session-a' })
+        .delete('/1/sessions/session-a')
+        .reply(204);
+    var requestB = nockKey('key b')
+        .post('/1/documents')
+        .reply(202, { type: 'document', id: 'doc-b', status: 'queued' })
+        .delete('/1/documents/doc-b')
+        .reply(204);
+
+    pool.documents.uploadURL('http://example.com/a.pdf', function (err) {
+        t.notOk(err, 'should not be an error');
+        pool.documents.uploadURL('http://example.com/b.pdf', function () {
+            t.equal(pool.getOwner('doc-b'), 'key-1', 'should remember the owner of uploaded documents');
+            pool.documents.get('doc-a', function () {
+                pool.documents.delete('doc-b', function () {
+                    t.equal(pool.getOwner('doc-b'), null, 'should forget deleted documents');
+                    pool.sessions.create('doc-a', function () {
+                        pool.sessions.delete('session-a', function (err) {
+                            t.notOk(err, 'should not be an error');
+                            t.ok(requestA.isDone(), 'requests should be made with the first key');
+                            t.ok(requestB.isDone(), 'requests should be made with the second key');
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('createPool should watch documents with the keys that own them', function (t) {
+    t.plan(5);
+
+    var pool = BoxView.createPool({ keys: ['key a', 'key b'] }),
+        done = [];
+
+    var requestA = nockKey('key a')
+        .get('/1/documents/doc-a')
+        .reply(200, { id: 'doc-a', status: 'done' });
+    var requestB = nockKey('key b')
+        .get('/1/documents/doc-b')
+        .reply(200, { id: 'doc-b', status: 'done' });
+
+    pool.setOwner('doc-a', 'key-0');
+    pool.setOwner('doc-b', 'key-1');
+    t.equal(pool.getOwner('__proto__'), null, 'should not find owners on the prototype');
+
+    pool.documents.watch(['doc-b', 'doc-a'], { interval: 10 }).on('done', function (doc) {
+        done.push(doc.id);
+    }).then(function (docs) {
+        t.deepEqual(docs.map(function (doc) {
+            return doc.id + ':' + doc.status;
+        }), ['doc-b:done', 'doc-a:done'], 'should return every document in order');
+        t.equal(done.length, 2, 'should emit the events of every watch');
+        t.ok(requestA.isDone(), 'should watch the first document with its key');
+        t.ok(requestB.isDone(), 'should watch the second document with its key');
+    }).catch(t.error);
+});
+
+test('createPool should route calls by tenant with the tenant strategy', function (t) {
+    t.plan(6);
+
+    var pool = BoxView.createPool({
+        strategy: 'tenant',
+        keys: [{ token: 'key a', tenant: 'acme' }, { token: 'key b', tenant: 'globex' }]
+    });
+
+    var request = nockKey('key b')
+        .get('/1/documents')
+        .reply(200, { 'document_collection': { 'total_count': 1, entries: [{ id: 'doc-b' }] } });
+
+    pool.documents.list({}, function (err) {
+        t.ok(/tenant option is required/.test(err && err.message), 'should require a tenant');
+    });
+    pool.documents.list({ tenant: 'initech' }).catch(function (err) {
+        t.ok(/No API key is available for tenant initech/.test(err.message), 'should reject calls without a key');
+    });
+    pool.documents.watch('doc-a', function (err) {
+        t.ok(/tenant option is required/.test(err && err.message), 'should require a tenant to watch');
+    });
+
+    pool.documents.list({ tenant: 'globex' }, function (err) {
+        t.notOk(err, 'should not be an error');
+        t.equal(pool.getOwner('doc-b'), 'globex', 'should remember the owner of listed documents');
+        t.ok(request.isDone(), 'request should be made with the key of the tenant');
+    });
+});
+
+test('createPool should forget the owners of the least recently used documents', function (t) {
+    t.plan(5);
+
+    var pool = BoxView.createPool({ keys: ['key a', 'key b'], maxOwners: 2 });
+
+    pool.setOwner('doc-1', 'key-1');
+    pool.setOwner('doc-2', 'key-1');
+    t.equal(pool.getOwner('doc-1'), 'key-1', 'should remember the owner');
+    pool.setOwner('doc-3', 'key-0');
+    t.equal(pool.getOwner('doc-2'), null, 'should forget the least recently used document');
+    t.equal(pool.getOwner('doc-1'), 'key-1', 'should remember recently used documents');
+    t.equal(pool.getOwner('doc-3'), 'key-0', 'should remember the new document');
+
+    pool.clearOwners();
+    t.equal(pool.getOwner('doc-1'), null, 'should forget every owner');
+});
+
+test('createPool should take a key out of rotation after repeated 401 responses', function (t) {
+    t.plan(5);
+
+    var pool = BoxView.createPool({ keys: ['bad key', 'key b'], maxUnauthorized: 2 });
+
+    nockKey('bad key')
+        .get('/1/documents')
+        .times(2)
+        .reply(401, { message: 'Unauthorized' });
+    var request = nockKey('key b')
+        .get('/1/documents')
+        .times(3)
+        .reply(200, { 'document_collection': { 'total_count': 0, entries: [] } });
+
+    pool.on('disable', function (name) {
+        t.equal(name, 'key-0', 'should emit the name of the key');
+    });
+
+    pool.documents.list(function (err) {
+        t.ok(err instanceof BoxView.AuthenticationError, 'should be an AuthenticationError');
+        pool.documents.list(function () {
+            pool.documents.list(function () {
+                pool.documents.list(function () {
+                    pool.documents.list(function (err) {
+                        t.notOk(err, 'should use the other key');
+                        t.notOk(pool.status()[0].active, 'should report the key as inactive');
+                        t.ok(request.isDone(), 'requests should be made with the other key');
+                    });
+                });
+            });
+        });
+    });
+});
+
+//////// CASSETTES /////////
+
+test('cassettes should record requests with the token scrubbed, and replay them without network access', function (t) {
+    t.plan(8);
+
+    var id = 'abc',
+        dir = require('os').tmpdir() + '/box-view-cassette-' + Date.now(),
+        file = dir + '/cassettes/api-test.json',
+        recorder = BoxView.createClient(TOKEN, { cassette: { file: file, mode: 'record' } }),
+        concat = require('concat-stream');
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, { id: id, status: 'done' })
+        .get('/1/documents/' + id + '/thumbnail?width=200&height=100')
+        .replyWithFile(200, __dirname + '/files/thumbnail.png', { 'content-type': 'image/png' });
+
+    t.on('end', function () {
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir + '/cassettes');
+        fs.rmdirSync(dir);
+    });
+
+    recorder.documents.get(id, function () {
+        recorder.documents.getThumbnail(id, 200, 100, function (err, response) {
+            response.pipe(concat(function () {
+                var player = BoxView.createClient('another token', { cassette: { file: file } });
+
+                t.ok(request.isDone(), 'requests should be made properly');
+                t.equal(fs.readFileSync(file, 'utf8').indexOf(TOKEN), -1, 'should scrub the token');
+
+                player.documents.get(id, function (err, doc) {
+                    t.notOk(err, 'should not be an error');
+                    t.equal(doc.status, 'done', 'should replay the response');
+                    player.documents.getThumbnail(id, 200, 100, function (err, response) {
+                        t.equal(response.headers['content-type'], 'image/png', 'should replay the headers');
+                        response.pipe(concat(function (body) {
+                            t.deepEqual(body, fs.readFileSync(__dirname + '/files/thumbnail.png'), 'should replay streamed bodies');
+                            player.documents.delete(id, function (err) {
+                                t.ok(err, 'should fail for requests that were not recorded');
+                                t.ok(/No response was recorded for DELETE/.test(err.message), 'should say which request was not recorded');
+                            });
+                        }));
+                    });
+                });
+            }));
+        });
+    });
+});
+
+//////// WEBHOOKS /////////
+
+function mockWebhookRequest(handler, method, body, callback) {
+    var req = new (require('stream').PassThrough)(),
+        res = {
+            headers: {},
+            setHeader: function (name, value) {
+                this.headers[name] = value;
+            },
+            end: function (data) {
+                callback(this.statusCode, data);
+            }
+        };
+    req.method = method;
+    handler(req, res);
+    req.end(body);
+}
+
+test('createWebhookHandler should emit typed events for each notification', function (t) {
+    t.plan(5);
+
+    var handler = BoxView.createWebhookHandler(),
+        payload = [
+            { type: 'document.done', data: { type: 'document', id: 'abc' } },
+            { type: 'document.error', data: { type: 'document', id: 'xyz' } }
+        ];
+
+    handler.on('document.done', function (doc, notification) {
+        t.equal(doc.id, 'abc', 'should be the document');
+        t.equal(notification.type, 'document.done', 'should be the notification');
+    });
+    handler.on('document.error', function (doc) {
+        t.equal(doc.id, 'xyz', 'should be the document');
+    });
+
+    mockWebhookRequest(handler, 'POST', JSON.stringify(payload), function (statusCode, body) {
+        t.equal(statusCode, 200, 'should respond with 200');
+        t.equal(body, 'OK', 'should respond with OK');
+    });
+});
+
+test('createWebhookHandler should reject invalid payloads', function (t) {
+    t.plan(2);
+
+    var handler = BoxView.createWebhookHandler();
+
+    handler.on('invalid', function (err) {
+        t.ok(err, 'should emit an error');
+    });
+
+    mockWebhookRequest(handler, 'POST', JSON.stringify({ type: 'document.done' }), function (statusCode) {
+        t.equal(statusCode, 400, 'should respond with 400');
+    });
+});
+
+test('createWebhookHandler should fetch the document before emitting when fetch is set', function (t) {
+    t.plan(2);
+
+    var id = 'abc',
+        doc1 = { id: id, name: 'foo', status: 'done', 'created_at': '2014-06-02T18:30:57Z' },
+        handler = client.createWebhookHandler({ fetch: true });
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, doc1);
+
+    handler.on('document.done', function (doc) {
+        t.deepEqual(doc, doc1, 'should be the full document');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+
+    mockWebhookRequest(handler, 'POST', JSON.stringify({ type: 'document.done', data: { id: id } }), function () {});
+});
+
+
+
+//////// SESSION PROXY /////////
+
+function mockProxyRequest(proxy, url, callback) {
+    var res = new (require('stream').PassThrough)();
+    res.headers = {};
+    res.setHeader = function (name, value) {
+        this.headers[name] = value;
+    };
+    res.pipe(require('concat-stream')(function (body) {
+        callback(res.statusCode, res.headers, body.toString());
+    }));
+    proxy({ method: 'GET', url: url }, res);
+}
+
+test('createSessionProxy should forward asset requests for allowed sessions', function (t) {
+    t.plan(5);
+
+    var id = 'xyz',
+        proxy = client.createSessionProxy({ path: '/viewer/' });
+
+    var request = nockAPI()
+        .get('/1/sessions/' + id + '/assets/page-1.svg')
+        .reply(200, '<svg></svg>');
+
+    proxy.allow({ id: id, 'expires_at': new Date(Date.now() + 60000).toISOString() });
+    t.equal(proxy.assetsUrl(id, 'page-1.svg'), '/viewer/' + id + '/assets/page-1.svg', 'should build the proxied url');
+
+    mockProxyRequest(proxy, '/' + id + '/assets/page-1.svg', function (statusCode, headers, body) {
+        t.equal(statusCode, 200, 'should respond with 200');
+        t.equal(headers['content-type'], 'image/svg+xml', 'should set the content type');
+        t.ok(/^private, max-age=(59|60)$/.test(headers['cache-control']), 'should cache until the session expires');
+        t.ok(body === '<svg></svg>' && request.isDone(), 'should stream the asset');
+    });
+});
+
+test('createSessionProxy should refuse sessions that were not allowed', function (t) {
+    t.plan(3);
+
+    var proxy = BoxView.createSessionProxy({ client: client });
+
+    proxy.allow({ id: 'expired', 'expires_at': '2014-06-02T19:30:57Z' });
+    proxy.allow({ id: 'revoked' }).revoke('revoked');
+
+    mockProxyRequest(proxy, '/unknown/assets/info.json', function (statusCode) {
+        t.equal(statusCode, 403, 'should refuse unknown sessions');
+    });
+    mockProxyRequest(proxy, '/expired/assets/info.json', function (statusCode) {
+        t.equal(statusCode, 403, 'should refuse expired sessions');
+    });
+    mockProxyRequest(proxy, '/revoked/assets/info.json', function (statusCode) {
+        t.equal(statusCode, 403, 'should refuse revoked sessions');
+    });
+});
+
+test('createSessionProxy should expire sessions without an expiration time, and forget the oldest sessions', function (t) {
+    t.plan(4);
+
+    var proxy = BoxView.createSessionProxy({ client: client, ttl: 30, maxSessions: 2 });
+
+    var request = nockAPI()
+        .get('/1/sessions/b/assets/info.json')
+        .reply(200, {})
+        .get('/1/sessions/c/assets/info.json')
+        .reply(200, {});
+
+    proxy.allow({ id: 'a' }).allow({ id: 'b' }).allow({ id: 'c' });
+
+    mockProxyRequest(proxy, '/a/assets/info.json', function (statusCode) {
+        t.equal(statusCode, 403, 'should forget the oldest session');
+        mockProxyRequest(proxy, '/b/assets/info.json', function (statusCode, headers) {
+            t.ok(/^private, max-age=(29|30)$/.test(headers['cache-control']), 'should serve the session for the ttl');
+            mockProxyRequest(proxy, '/c/assets/info.json', function (statusCode) {
+                t.equal(statusCode, 200, 'should serve the newest session');
+                t.ok(request.isDone(), 'requests should be made properly');
+            });
+        });
+    });
+});
+
+test('createSessionProxy should refuse session ids that are object prototype keys', function (t) {
+    var ids = ['__proto__', 'constructor', 'toString', 'hasOwnProperty'],
+        proxy = BoxView.createSessionProxy({ client: client });
+
+    t.plan(ids.length);
+
+    ids.forEach(function (id) {
+        mockProxyRequest(proxy, '/' + id + '/assets/info.json', function (statusCode) {
+            t.equal(statusCode, 403, 'should refuse ' + id);
+        });
+    });
+});
+
+test('createSessionProxy should refuse encoded path traversal', function (t) {
+    var paths = ['%2e%2e/%2e%2e/documents', '.%2E/info.json', '%2E/info.json', '..%2F..%2Fdocuments', 'a%5C..%5Cb', '%E0%A4%A'],
+        proxy = BoxView.createSessionProxy({ client: client });
+
+    t.plan(paths.length + 1);
+
+    proxy.allow({ id: 'xyz' });
+    paths.forEach(function (asset) {
+        mockProxyRequest(proxy, '/xyz/assets/' + asset, function (statusCode) {
+            t.equal(statusCode, 400, 'should refuse ' + asset);
+        });
+    });
+
+    t.throws(function () {
+        client.sessions.getAsset('xyz', '%2e%2e/%2e%2e/documents', function () {});
+    }, /Invalid asset/, 'sessions.getAsset should reject encoded ".." segments');
+});
+
+
+//////// FAKE SERVER /////////
+
+function withFakeServer(t, options, fn) {
+    var server = BoxView.createFakeServer(options);
+    nock.enableNetConnect('localhost');
+    t.on('end', function () {
+        server.close();
+    });
+    server.listen(0, 'localhost', function () {
+        fn(server, server.configure(BoxView.createClient(TOKEN, { retry: { baseDelay: 10 } })));
+    });
+}
+
+test('createFakeServer should convert uploaded documents and serve their content', function (t) {
+    t.plan(5);
+
+    withFakeServer(t, { conversionDelay: 10, retryAfter: 0 }, function (server, fakeClient) {
+        var size = fs.statSync(__dirname + '/files/content.pdf').size,
+            id;
+
+        fakeClient.documents.uploadFile(__dirname + '/files/content.pdf').then(function (result) {
+            id = result.body.id;
+            t.equal(result.body.status, 'queued', 'document should be queued');
+            return fakeClient.documents.watch(result.body, { interval: 10 });
+        }).then(function (docs) {
+            t.equal(docs[0].status, 'done', 'document should be done');
+            return fakeClient.documents.getContent(id);
+        }).then(function (content) {
+            var length = 0;
+            t.equal(content.statusCode, 200, 'should respond with 200');
+            content.on('data', function (chunk) {
+                length += chunk.length;
+            });
+            content.on('end', function () {
+                t.equal(length, size, 'content should be the uploaded file');
+                t.ok(server.documents[id], 'document should be in the store');
+            });
+        }).catch(t.error);
+    });
+});
+
+test('createFakeServer should reject requests with the wrong token', function (t) {
+    t.plan(2);
+
+    withFakeServer(t, { token: 'another token' }, function (server, fakeClient) {
+        fakeClient.documents.list(function (err, body, response) {
+            t.ok(err, 'should be an error');
+            t.equal(response.statusCode, 401, 'should respond with 401');
+        });
+    });
+});
+
+
+
+test('createFakeServer should be reachable through a proxy', function (t) {
+    t.plan(4);
+
+    var net = require('net'),
+        connects = [],
+        proxy = require('http').createServer();
+
+    proxy.on('connect', function (req, socket) {
+        var parts = req.url.split(':'),
+            upstream = net.connect(Number(parts[1]), parts[0], function () {
+                socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                upstream.pipe(socket);
+                socket.pipe(upstream);
+            });
+
+        connects.push(req.url);
+        upstream.on('error', function () {
+            socket.destroy();
+        });
+    });
+
+    withFakeServer(t, {}, function (server) {
+        proxy.listen(0, 'localhost', function () {
+            var proxyClient = server.configure(BoxView.createClient(TOKEN, {
+                proxy: 'http://localhost:' + proxy.address().port,
+                noProxy: ''
+            }));
+
+            t.on('end', function () {
+                proxyClient.close();
+                proxy.close();
+            });
+
+            proxyClient.documents.list(function (err) {
+                t.notOk(err, 'should not be an error');
+                proxyClient.documents.list(function (err) {
+                    t.notOk(err, 'should not be an error');
+                    t.equal(connects.length, 1, 'should reuse the tunnel');
+                    t.equal(connects[0], 'localhost:' + server.address().port, 'should tunnel to the API host');
+                });
+            });
+        });
+    });
+});
+
+test('getProxy should use the proxy environment variables unless the host is excluded', function (t) {
+    t.plan(6);
+
+    var getProxy = require('../lib/agents').getProxy,
+        env = { 'HTTPS_PROXY': 'proxy.example.com:3128', 'no_proxy': 'localhost,.internal.example.com,10.0.0.1:8080' };
+
+    t.equal(getProxy('https://view-api.box.com/1/documents', {}, env), 'http://proxy.example.com:3128', 'should use HTTPS_PROXY for https requests');
+    t.equal(getProxy('http://view-api.box.com/1/documents', {}, env), null, 'should use HTTP_PROXY for http requests');
+    t.equal(getProxy('https://api.internal.example.com/', {}, env), null, 'should exclude subdomains');
+    t.equal(getProxy('https://10.0.0.1:8443/', {}, env), 'http://proxy.example.com:3128', 'should match ports');
+    t.equal(getProxy('https://localhost/', { proxy: 'http://other:8080', noProxy: [] }, env), 'http://other:8080', 'should prefer the options');
+    t.equal(getProxy('https://view-api.box.com/', { proxy: false }, env), null, 'should not use a proxy if the option is false');
+});
+
+//////// CLI /////////
+
+function runCLI(args, callback) {
+    var concat = require('concat-stream'),
+        PassThrough = require('stream').PassThrough,
+        stdout = new PassThrough(),
+        stderr = new PassThrough(),
+        output = { stdout: '', stderr: '' };
+
+    stdout.pipe(concat(function (data) {
+        output.stdout = data.toString();
+    }));
+    stderr.pipe(concat(function (data) {
+        output.stderr = data.toString();
+    }));
+
+    require('../lib/cli')(args, {
+        env: { 'BOX_VIEW_API_TOKEN': TOKEN },
+        stdout: stdout,
+        stderr: stderr
+    }, function (code) {
+        stdout.end();
+        stderr.end();
+        setImmediate(function () {
+            callback(code, output);
+        });
+    });
+}
+
+test('box-view get should print the document as json', function (t) {
+    t.plan(3);
+
+    var id = 'abc',
+        doc = { id: id, name: 'foo', status: 'done' };
+
+    var request = nockAPI()
+        .get('/1/documents/' + id)
+        .reply(200, doc);
+
+    runCLI(['get', id, '--json'], function (code, output) {
+        t.equal(code, 0, 'should exit with 0');
+        t.deepEqual(JSON.parse(output.stdout), doc, 'should print the document');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('box-view list should print a table of documents', function (t) {
+    t.plan(2);
+
+    var request = nockAPI()
+        .get('/1/documents?limit=2')
+        .reply(200, { 'document_collection': { 'total_count': 1, entries: [{ id: 'abc', name: 'foo', status: 'done' }] } });
+
+    runCLI(['list', '--limit', '2'], function (code, output) {
+        t.equal(output.stdout, 'id   name  status\nabc  foo   done\n', 'should print a table');
+        t.ok(request.isDone(), 'request should be made properly');
+    });
+});
+
+test('box-view upload --wait should fail when the document can not be watched, and close the client', function (t) {
+    t.plan(4);
+
+    var url = 'http://example.com/foo.doc',
+        createClient = BoxView.createClient,
+        closed = 0;
+
+    var request = nockAPI()
+        .post('/1/documents', { name: 'foo.doc', url: url })
+        .reply(202, { id: 'abc', status: 'queued' });
+
+    BoxView.createClient = function () {
+        var cliClient = createClient.apply(null, arguments),
+            close = cliClient.close;
+
+        cliClient.documents.watch = function (doc, callback) {
+            process.nextTick(function () {
+                callback(new Error('Watch failed'));
+            });
+        };
+        cliClient.close = function () {
+            closed++;
+            return close.apply(this, arguments);
+        };
+        return cliClient;
+    };
+    t.on('end', function () {
+        BoxView.createClient = createClient;
+    });
+
+    runCLI(['upload', url, '--wait'], function (code, output) {
+        t.equal(code, 1, 'should exit with 1');
+        t.equal(output.stderr, 'box-view: Watch failed\n', 'should print the error');
+        t.equal(closed, 1, 'should close the client');
+        t.ok(request.isDone(), 'requests should be made properly');
+    });
+});
+
+test('box-view should exit with a meaningful code when a request fails', function (t) {
+    t.plan(3);
+
+    var id = 'abc';
+
+    nockAPI()
+        .get('/1/documents/' + id)
+        .reply(404, { message: 'Not found' });
+
+    runCLI(['get', id], function (code, output) {
+        t.equal(code, 4, 'should exit with 4');
+        t.equal(output.stderr, 'box-view: Not found\n', 'should print the error');
+        runCLI(['thumbnail', id, 'big'], function (code) {
+            t.equal(code, 2, 'should exit with 2 for invalid usage');
+        });
     });
 });